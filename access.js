@@ -0,0 +1,359 @@
+// access.js - Roles and Access Control for MindSpace
+
+const ROLES = {
+  CLIENT: 'client',
+  THERAPIST: 'therapist',
+  ADMIN: 'admin'
+};
+
+// Where each role lands after login
+const ROLE_HOME_PAGES = {
+  client: 'dashboard.html',
+  therapist: 'therapist-dashboard.html',
+  admin: 'therapist-dashboard.html'
+};
+
+// Roles that may read a client's data besides the client themself
+// Therapists additionally need a relationship with the client (see canRead)
+const ACCESS_RULES = {
+  profile: [ROLES.THERAPIST, ROLES.ADMIN],       // name and contact details
+  appointments: [ROLES.THERAPIST, ROLES.ADMIN],
+  moods: [ROLES.THERAPIST]                        // only when shared with that therapist
+};
+
+// Fields only the owning client ever sees
+const PRIVATE_FIELDS = {
+  users: ['emergencyContact', 'phone'],
+  appointments: ['notes'],
+  moods: ['notes']
+};
+
+// Who may act on an appointment: its client, its therapist and/or an admin
+const APPOINTMENT_ACTIONS = {
+  cancel: ['client', 'therapist', 'admin'],
+  reschedule: ['client', 'therapist'],
+  complete: ['client', 'therapist'],
+  notes: ['client'],
+  remind: ['client', 'therapist']
+};
+
+class AccessDeniedError extends Error {
+  constructor(message = 'You do not have access to this information') {
+    super(message);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+class Access {
+  // Get a user's role (accounts created before roles existed are clients)
+  static getRole(user) {
+    return (user && user.role) || ROLES.CLIENT;
+  }
+
+  // Check if a user has one of the given roles
+  static hasRole(user, roles) {
+    return Boolean(user) && roles.includes(this.getRole(user));
+  }
+
+  // Landing page for a user's role
+  static getHomePage(user) {
+    return ROLE_HOME_PAGES[this.getRole(user)] || ROLE_HOME_PAGES.client;
+  }
+
+  // Get the signed-in user making the request
+  static async getActor() {
+    const session = await AuthUtils.getCurrentSession();
+    if (!session) return null;
+    return (await mindspaceDB.get('users', session.userId)) || null;
+  }
+
+  // Check if the actor is the given client
+  static isSelf(actor, userId) {
+    return Boolean(actor) && actor.id === userId;
+  }
+
+  // Check if the actor is the given therapist's account, or an admin
+  static canManageTherapist(actor, therapistId) {
+    if (this.hasRole(actor, [ROLES.ADMIN])) return true;
+    return this.hasRole(actor, [ROLES.THERAPIST]) && actor.therapistId === therapistId;
+  }
+
+  // Get a therapist's link to a client: active connection and/or appointments together
+  static async getClientRelationship(therapistId, clientId) {
+    const connections = await mindspaceDB.getByIndex('userTherapists', 'userId', clientId);
+    const connection = connections.find(conn =>
+      conn.therapistId === therapistId && conn.status === 'active'
+    ) || null;
+
+    const appointment = await mindspaceDB.query('appointments').index('therapistId')
+      .equals(therapistId)
+      .filter(apt => apt.userId === clientId)
+      .first();
+
+    return { connection, hasAppointments: Boolean(appointment) };
+  }
+
+  // Check if the actor may read one kind of a client's data
+  static async canRead(actor, scope, clientId) {
+    if (!actor) return false;
+    if (this.isSelf(actor, clientId)) return true;
+
+    const role = this.getRole(actor);
+    if (!(ACCESS_RULES[scope] || []).includes(role)) return false;
+    if (role === ROLES.ADMIN) return true;
+
+    // Therapists only see their own clients
+    if (role !== ROLES.THERAPIST || !actor.therapistId) return false;
+    const { connection, hasAppointments } = await this.getClientRelationship(actor.therapistId, clientId);
+
+    if (scope === 'moods') {
+      return Boolean(connection && connection.shareMoods);
+    }
+    return Boolean(connection) || hasAppointments;
+  }
+
+  // Resolve the actor and make sure they may read a client's data (throws AccessDeniedError)
+  static async assertCanRead(scope, clientId) {
+    const actor = await this.getActor();
+    if (!(await this.canRead(actor, scope, clientId))) {
+      throw new AccessDeniedError();
+    }
+    return actor;
+  }
+
+  // Refuse to act on another client's behalf; returns a failure result, or null if allowed
+  static async requireSelf(userId) {
+    const actor = await this.getActor();
+    if (this.isSelf(actor, userId)) return null;
+    return {
+      success: false,
+      message: 'You can only manage your own account'
+    };
+  }
+
+  // Check if the actor may see an appointment: its client, its therapist or an admin
+  static canSeeAppointment(actor, appointment) {
+    if (!actor || !appointment) return false;
+    if (this.isSelf(actor, appointment.userId)) return true;
+    if (this.hasRole(actor, [ROLES.ADMIN])) return true;
+    return this.hasRole(actor, [ROLES.THERAPIST]) && actor.therapistId === appointment.therapistId;
+  }
+
+  // Check if the actor may perform an action on an appointment
+  static canManageAppointment(actor, appointment, action) {
+    if (!actor || !appointment) return false;
+    const allowed = APPOINTMENT_ACTIONS[action] || [];
+
+    if (allowed.includes('client') && this.isSelf(actor, appointment.userId)) return true;
+    if (allowed.includes('admin') && this.hasRole(actor, [ROLES.ADMIN])) return true;
+    return allowed.includes('therapist') &&
+      this.hasRole(actor, [ROLES.THERAPIST]) &&
+      actor.therapistId === appointment.therapistId;
+  }
+
+  // Return a copy of a record without the fields only its owner may see
+  static redact(storeName, record, actor) {
+    const fields = PRIVATE_FIELDS[storeName];
+    if (!fields || !record) return record;
+
+    const ownerId = storeName === 'users' ? record.id : record.userId;
+    if (this.isSelf(actor, ownerId)) return record;
+
+    const redacted = { ...record };
+    fields.forEach(field => delete redacted[field]);
+    return redacted;
+  }
+
+  // Redact a list of records
+  static redactAll(storeName, records, actor) {
+    return records.map(record => this.redact(storeName, record, actor));
+  }
+
+  // Change a user's role (admins only); therapists must be linked to a therapists record
+  static async assignRole(userId, role, therapistId = null) {
+    try {
+      const actor = await this.getActor();
+      if (!this.hasRole(actor, [ROLES.ADMIN])) {
+        return {
+          success: false,
+          message: 'Only administrators can change roles'
+        };
+      }
+
+      if (!Object.values(ROLES).includes(role)) {
+        return {
+          success: false,
+          message: 'Unknown role'
+        };
+      }
+
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      if (role === ROLES.THERAPIST) {
+        const linkError = await this.checkTherapistLink(therapistId, userId);
+        if (linkError) return linkError;
+        user.therapistId = therapistId;
+      } else {
+        delete user.therapistId;
+      }
+
+      const previousRole = this.getRole(user);
+      user.role = role;
+      await mindspaceDB.update('users', user);
+      await SecurityLog.record(userId, 'role_changed', {
+        from: previousRole,
+        to: role,
+        by: actor.id
+      });
+
+      return {
+        success: true,
+        message: `${user.fullName} is now ${role === ROLES.ADMIN ? 'an' : 'a'} ${role}`
+      };
+    } catch (error) {
+      console.error('Assign role error:', error);
+      return {
+        success: false,
+        message: 'Failed to change role'
+      };
+    }
+  }
+
+  // Create a staff login with a password that passes the policy (admins only; the first admin
+  // comes from setupFirstAdmin)
+  static async provisionStaff(userData, role, therapistId = null) {
+    try {
+      if (![ROLES.THERAPIST, ROLES.ADMIN].includes(role)) {
+        return {
+          success: false,
+          message: 'Staff accounts are therapists or admins'
+        };
+      }
+
+      const actor = await this.getActor();
+      if (!this.hasRole(actor, [ROLES.ADMIN])) {
+        return {
+          success: false,
+          message: 'Only administrators can create staff accounts'
+        };
+      }
+
+      if (role === ROLES.THERAPIST) {
+        const linkError = await this.checkTherapistLink(therapistId);
+        if (linkError) return linkError;
+      }
+
+      return await this.createStaffAccount(userData, role, therapistId, actor);
+    } catch (error) {
+      console.error('Provision staff error:', error);
+      return {
+        success: false,
+        message: 'Failed to create the staff account'
+      };
+    }
+  }
+
+  // One-time setup step for a device without an administrator: creates the first admin login.
+  // Unless the device has no accounts at all, it must be run from a signed-in session and
+  // confirmed with that account's password.
+  static async setupFirstAdmin(userData, currentPassword = null) {
+    try {
+      const users = await mindspaceDB.getAll('users');
+      if (users.some(user => this.getRole(user) === ROLES.ADMIN)) {
+        return {
+          success: false,
+          message: 'This device already has an administrator; ask them to create your account'
+        };
+      }
+
+      const actor = await this.getActor();
+      if (users.length > 0) {
+        if (!actor) {
+          return {
+            success: false,
+            message: 'Sign in to set up the first administrator'
+          };
+        }
+
+        const verification = await AuthUtils.verifyPassword(actor, currentPassword || '');
+        if (!verification.valid) {
+          return {
+            success: false,
+            message: 'Enter your current password to confirm'
+          };
+        }
+      }
+
+      return await this.createStaffAccount(userData, ROLES.ADMIN, null, actor);
+    } catch (error) {
+      console.error('Set up first admin error:', error);
+      return {
+        success: false,
+        message: 'Failed to create the administrator account'
+      };
+    }
+  }
+
+  // Register a staff login and log who created it
+  static async createStaffAccount(userData, role, therapistId, actor) {
+    const result = await Auth.register(userData, {
+      role,
+      therapistId: role === ROLES.THERAPIST ? therapistId : undefined
+    });
+    if (!result.success) return result;
+
+    await SecurityLog.record(result.userId, 'role_changed', {
+      from: null,
+      to: role,
+      by: actor ? actor.id : null
+    });
+
+    return {
+      ...result,
+      message: `${userData.fullName} can now sign in as ${role === ROLES.ADMIN ? 'an' : 'a'} ${role}`
+    };
+  }
+
+  // Failure result if a therapist login can't be linked to the profile, or null if it can
+  // (each profile has one login; userId is the account being linked, if it exists)
+  static async checkTherapistLink(therapistId, userId = null) {
+    const therapist = therapistId ? await mindspaceDB.get('therapists', therapistId) : null;
+    if (!therapist) {
+      return {
+        success: false,
+        message: 'Choose the therapist profile this account belongs to'
+      };
+    }
+
+    const users = await mindspaceDB.getAll('users');
+    const linked = users.find(u => u.therapistId === therapistId && u.id !== userId);
+    if (linked) {
+      return {
+        success: false,
+        message: `${therapist.name} is already linked to ${linked.email}`
+      };
+    }
+    return null;
+  }
+
+  // Hide navigation links that are not meant for the user's role (elements with data-roles)
+  static applyNavigation(user) {
+    const role = this.getRole(user);
+    document.querySelectorAll('[data-roles]').forEach(element => {
+      const roles = element.dataset.roles.split(' ');
+      element.style.display = roles.includes(role) ? '' : 'none';
+    });
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.Access = Access;
+  window.AccessDeniedError = AccessDeniedError;
+}
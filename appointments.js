@@ -1,128 +1,372 @@
 // appointments.js - Appointment Management Logic for MindSpace
 
+// How often a recurring series repeats
+const RECURRENCE_RULES = {
+  weekly: { label: 'Every week', days: 7 },
+  biweekly: { label: 'Every 2 weeks', days: 14 },
+  monthly: { label: 'Every month', months: 1 } // same day of the month, or its last day when shorter
+};
+
+// Most sessions a series can book at once
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Which sessions of a series a cancel or reschedule applies to
+const SERIES_SCOPES = {
+  THIS: 'this',           // only the chosen session
+  FOLLOWING: 'following', // the chosen session and the upcoming ones after it
+  ALL: 'all'              // every upcoming session in the series
+};
+
 class AppointmentManager {
   // Book a new appointment
   static async bookAppointment(userId, appointmentData) {
     try {
-      // Validate therapist connection
-      const isConnected = await TherapistManager.isConnected(userId, appointmentData.therapistId);
-      if (!isConnected) {
-        return {
-          success: false,
-          message: 'You must be connected with this therapist first'
-        };
-      }
-
-      // Check if time slot is available
-      const isAvailable = await this.isSlotAvailable(
-        appointmentData.therapistId,
-        appointmentData.date,
-        appointmentData.time
-      );
+      // Clients book for themselves
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
 
-      if (!isAvailable) {
-        return {
-          success: false,
-          message: 'This time slot is no longer available'
-        };
-      }
-
-      // Create appointment object
-      const appointment = {
+      // Create appointment object (sealed up front: encryption can't run inside a transaction)
+      const appointment = await Vault.seal('appointments', {
         userId: userId,
         therapistId: appointmentData.therapistId,
         date: appointmentData.date,
         time: appointmentData.time,
-        duration: appointmentData.duration || 50,
+        duration: ScheduleUtils.getDuration(appointmentData),
         type: appointmentData.type || 'Regular Session',
         status: 'confirmed',
         notes: appointmentData.notes || '',
         createdAt: new Date().toISOString()
-      };
+      });
+
+      // Check the connection and the slot and save in one transaction,
+      // so two tabs can't book the same slot
+      return await mindspaceDB.transaction(['therapists', 'userTherapists', 'appointments'], 'readwrite', async (stores) => {
+        const connections = await stores.userTherapists.getByIndex('userTherapist', [userId, appointment.therapistId]);
+        if (!connections.some(conn => conn.status === 'active')) {
+          return {
+            success: false,
+            message: 'You must be connected with this therapist first'
+          };
+        }
 
-      // Save appointment
-      const appointmentId = await mindspaceDB.add('appointments', appointment);
+        // Same checks as each session of a series: not in the past, free with the therapist
+        // and clear of the client's other sessions
+        const therapist = await stores.therapists.get(appointment.therapistId);
+        const [{ problem }] = await this.checkOccurrences(stores, userId, appointment, [appointment.date], therapist);
+        if (problem) {
+          return {
+            success: false,
+            message: problem
+          };
+        }
 
+        // date and time are the therapist's wall-clock time; startsAt pins down the instant
+        const appointmentId = await stores.appointments.add({
+          ...appointment,
+          ...ScheduleUtils.getAnchor(therapist, appointment.date, appointment.time)
+        });
+
+        return {
+          success: true,
+          appointmentId: appointmentId,
+          message: 'Appointment booked successfully'
+        };
+      });
+    } catch (error) {
+      console.error('Error booking appointment:', error);
       return {
-        success: true,
-        appointmentId: appointmentId,
-        message: 'Appointment booked successfully'
+        success: false,
+        message: StorageFullError.describe(error, 'Your appointment', 'Failed to book appointment')
       };
+    }
+  }
+
+  // Date of a series session `steps` repeats after (or before, when negative) startDate
+  static getOccurrenceDate(startDate, recurrence, steps) {
+    const rule = RECURRENCE_RULES[recurrence];
+    if (rule.months) {
+      const [year, month, day] = startDate.split('-').map(Number);
+      const target = new Date(year, month - 1 + rule.months * steps, 1);
+      const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+      target.setDate(Math.min(day, lastDay));
+      return DateUtils.toDateKey(target);
+    }
+    return DateUtils.toDateKey(`${startDate}T00:00:00`, rule.days * steps);
+  }
+
+  // Dates of every session in a series starting on data.date: { dates } or { error }
+  // The series ends after data.count sessions or on the last date up to data.until (YYYY-MM-DD)
+  static planSeries(data) {
+    const { date, recurrence, count = null, until = null } = data;
+
+    if (!RECURRENCE_RULES[recurrence]) {
+      return { error: 'Choose how often the sessions repeat' };
+    }
+    if (Boolean(count) === Boolean(until)) {
+      return { error: 'Choose either a number of sessions or an end date' };
+    }
+    if (count && (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES)) {
+      return { error: `A series can have 2 to ${MAX_SERIES_OCCURRENCES} sessions` };
+    }
+    if (until && until <= date) {
+      return { error: 'The end date must be after the first session' };
+    }
+
+    const dates = [];
+    const limit = count || MAX_SERIES_OCCURRENCES + 1;
+    for (let steps = 0; steps < limit; steps++) {
+      const next = this.getOccurrenceDate(date, recurrence, steps);
+      if (until && next > until) break;
+      dates.push(next);
+    }
+
+    if (dates.length > MAX_SERIES_OCCURRENCES) {
+      return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions; choose an earlier end date` };
+    }
+    return { dates };
+  }
+
+  // Check each planned session of a series: [{ date, time, startsAt, timeZone, problem }],
+  // problem is null when it can be booked
+  static async checkOccurrences(stores, userId, data, dates, therapist) {
+    const now = new Date();
+    const duration = data.duration || SCHEDULE_CONFIG.defaultDuration;
+    const occurrences = [];
+
+    for (const date of dates) {
+      const start = new Date(ScheduleUtils.getAnchor(therapist, date, data.time).startsAt);
+      let problem = null;
+      if (start <= now) {
+        problem = 'This time has already passed';
+      }
+      if (!problem) {
+        const booked = await stores.appointments.getByIndex('therapistDate', [data.therapistId, date]);
+        problem = ScheduleUtils.getSlotProblem(therapist, date, data.time, duration, booked);
+      }
+      if (!problem) {
+        const own = await this.getClientSessionsAround(stores.appointments, userId, date);
+        if (ScheduleUtils.findClientConflict(own, start, duration)) {
+          problem = 'You have another session at this time';
+        }
+      }
+      occurrences.push({ date, time: data.time, startsAt: start.toISOString(), timeZone: ScheduleUtils.getTimeZone(therapist), problem });
+    }
+    return occurrences;
+  }
+
+  // A client's sessions from the day before a date to the day after: stored dates are each
+  // therapist's own, so a session at an instant can sit under a neighbouring date
+  static async getClientSessionsAround(appointments, userId, date) {
+    const from = DateUtils.toDateKey(`${date}T00:00:00`, -1);
+    const to = DateUtils.toDateKey(`${date}T00:00:00`, 1);
+    return appointments.query().index('userDate').between([userId, from], [userId, to]).toArray();
+  }
+
+  // Check every session of a series before booking it; `busy` marks bookable sessions that clash
+  // with the client's imported calendars
+  static async previewSeries(userId, data) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const plan = this.planSeries(data);
+      if (plan.error) {
+        return {
+          success: false,
+          message: plan.error
+        };
+      }
+
+      return await mindspaceDB.transaction(['therapists', 'userTherapists', 'appointments', 'calendarEvents'], 'readonly', async (stores) => {
+        // Same connection check as bookSeries, so the preview never offers what booking refuses
+        const connections = await stores.userTherapists.getByIndex('userTherapist', [userId, data.therapistId]);
+        if (!connections.some(conn => conn.status === 'active')) {
+          return {
+            success: false,
+            message: 'You must be connected with this therapist first'
+          };
+        }
+
+        const therapist = await stores.therapists.get(data.therapistId);
+        const occurrences = await this.checkOccurrences(stores, userId, data, plan.dates, therapist);
+        const available = occurrences.filter(occurrence => !occurrence.problem).length;
+
+        // Clashes with the client's imported calendars are flagged, not skipped
+        const events = await stores.calendarEvents.getByIndex('userId', userId);
+        const duration = data.duration || SCHEDULE_CONFIG.defaultDuration;
+        occurrences.forEach(occurrence => {
+          occurrence.busy = !occurrence.problem &&
+            Boolean(ScheduleUtils.findBusyEvent(events, new Date(occurrence.startsAt), duration));
+        });
+
+        return {
+          success: true,
+          occurrences: occurrences,
+          available: available,
+          message: `${available} of ${occurrences.length} sessions can be booked`
+        };
+      });
     } catch (error) {
-      console.error('Error booking appointment:', error);
+      console.error('Error previewing series:', error);
       return {
         success: false,
-        message: 'Failed to book appointment'
+        message: 'Failed to check the sessions'
       };
     }
   }
 
-  // Get available time slots for a therapist on a specific date
-  static async getAvailableSlots(therapistId, date, duration = 50) {
+  // Book a recurring series: each session is its own appointment sharing a seriesId.
+  // Sessions that conflict are skipped and returned in `skipped`.
+  static async bookSeries(userId, data) {
     try {
-      const therapist = await mindspaceDB.get('therapists', therapistId);
-      if (!therapist) return [];
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
 
-      // Check if therapist works on this day
-      const dayOfWeek = DateUtils.getDayOfWeek(date);
-      if (!therapist.availability.includes(dayOfWeek)) {
-        return [];
+      const plan = this.planSeries(data);
+      if (plan.error) {
+        return {
+          success: false,
+          message: plan.error
+        };
       }
 
-      // Generate all possible time slots based on duration
-      const allSlots = DateUtils.generateTimeSlots(9, 17, duration);
+      // Sealed up front: encryption can't run inside a transaction
+      const seriesId = crypto.randomUUID();
+      const createdAt = new Date().toISOString();
+      const records = await Promise.all(plan.dates.map((date, index) => Vault.seal('appointments', {
+        userId: userId,
+        therapistId: data.therapistId,
+        date: date,
+        time: data.time,
+        duration: ScheduleUtils.getDuration(data),
+        type: data.type || 'Regular Session',
+        status: 'confirmed',
+        notes: data.notes || '',
+        createdAt: createdAt,
+        seriesId: seriesId,
+        seriesIndex: index,
+        recurrence: data.recurrence
+      })));
+
+      // Check the connection and every session and save in one transaction
+      return await mindspaceDB.transaction(['therapists', 'userTherapists', 'appointments'], 'readwrite', async (stores) => {
+        const connections = await stores.userTherapists.getByIndex('userTherapist', [userId, data.therapistId]);
+        if (!connections.some(conn => conn.status === 'active')) {
+          return {
+            success: false,
+            message: 'You must be connected with this therapist first'
+          };
+        }
 
-      // Get existing appointments for this therapist on this date
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
-      const dateAppointments = allAppointments.filter(apt => 
-        apt.date === date && apt.status !== 'cancelled'
-      );
+        const therapist = await stores.therapists.get(data.therapistId);
+        const occurrences = await this.checkOccurrences(stores, userId, data, plan.dates, therapist);
+        const skipped = occurrences.filter(occurrence => occurrence.problem);
+        if (skipped.length === occurrences.length) {
+          return {
+            success: false,
+            skipped: skipped,
+            message: 'None of the sessions in this series are available'
+          };
+        }
 
-      // Remove booked slots
-      const bookedTimes = dateAppointments.map(apt => apt.time);
-      const availableSlots = allSlots.filter(slot => !bookedTimes.includes(slot));
+        const appointmentIds = [];
+        for (let i = 0; i < records.length; i++) {
+          if (occurrences[i].problem) continue;
+          appointmentIds.push(await stores.appointments.add({
+            ...records[i],
+            ...ScheduleUtils.getAnchor(therapist, records[i].date, records[i].time)
+          }));
+        }
 
-      return availableSlots;
+        return {
+          success: true,
+          seriesId: seriesId,
+          appointmentIds: appointmentIds,
+          skipped: skipped,
+          message: skipped.length > 0
+            ? `Booked ${appointmentIds.length} sessions; ${skipped.length} skipped because of conflicts`
+            : `Booked ${appointmentIds.length} sessions`
+        };
+      });
+    } catch (error) {
+      console.error('Error booking series:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'Your sessions', 'Failed to book the series')
+      };
+    }
+  }
+
+  // The sessions a series-aware change applies to, the chosen one first.
+  // Only confirmed sessions still to come change along with it.
+  static async getSeriesTargets(appointments, appointment, scope) {
+    if (!appointment.seriesId || scope === SERIES_SCOPES.THIS) return [appointment];
+
+    const now = new Date();
+    const others = (await appointments.getByIndex('seriesId', appointment.seriesId)).filter(apt =>
+      apt.id !== appointment.id &&
+      apt.status === 'confirmed' &&
+      isFutureAppointment(apt, now) &&
+      (scope === SERIES_SCOPES.ALL || apt.seriesIndex > appointment.seriesIndex)
+    );
+    return [appointment, ...others.sort((a, b) => a.seriesIndex - b.seriesIndex)];
+  }
+
+  // Get available start times for a session of this length with a therapist on a specific date
+  // Slots keep clear of existing sessions, including the buffer after each (see ScheduleUtils);
+  // ignoreId leaves out an appointment that is being moved
+  static async getAvailableSlots(therapistId, date, duration = SCHEDULE_CONFIG.defaultDuration, ignoreId = null) {
+    try {
+      const therapist = await mindspaceDB.get('therapists', therapistId);
+      if (!therapist) return [];
+
+      const dayAppointments = await mindspaceDB.getByIndex('appointments', 'therapistDate', [therapistId, date]);
+      return ScheduleUtils.getOpenSlots(therapist, date, dayAppointments, duration, { ignoreId });
     } catch (error) {
       console.error('Error getting available slots:', error);
       return [];
     }
   }
 
-  // Check if a specific time slot is available
-  static async isSlotAvailable(therapistId, date, time) {
+  // Check if a session of this length can start at a time: within the therapist's hours and
+  // without overlapping another session
+  static async isSlotAvailable(therapistId, date, time, duration = SCHEDULE_CONFIG.defaultDuration) {
     try {
-      const appointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
-      
-      const conflict = appointments.find(apt => 
-        apt.date === date && 
-        apt.time === time && 
-        apt.status !== 'cancelled'
-      );
-
-      return !conflict;
+      const therapist = await mindspaceDB.get('therapists', therapistId);
+      const appointments = await mindspaceDB.getByIndex('appointments', 'therapistDate', [therapistId, date]);
+      return !ScheduleUtils.getSlotProblem(therapist, date, time, duration, appointments);
     } catch (error) {
       console.error('Error checking slot availability:', error);
       return false;
     }
   }
 
+  // Decrypt vault-encrypted fields and keep only what the reader may see
+  // Therapists reading a client's appointments only get sessions booked with them, without private notes
+  static async openForReader(appointments, actor) {
+    const visible = appointments.filter(apt => Access.canSeeAppointment(actor, apt));
+    return Access.redactAll('appointments', await Vault.openAll('appointments', visible), actor);
+  }
+
+  // Get a user's appointments between two dates (YYYY-MM-DD, inclusive; null leaves that end open)
+  static async getUserAppointments(userId, fromDate = null, toDate = null) {
+    const actor = await Access.assertCanRead('appointments', userId);
+    const appointments = await mindspaceDB.query('appointments').index('userDate')
+      .between(fromDate ? [userId, fromDate] : [userId], toDate ? [userId, toDate] : [userId, []])
+      .toArray();
+    return this.openForReader(appointments, actor);
+  }
+
   // Get upcoming appointments for a user
   static async getUpcomingAppointments(userId) {
     try {
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      // From yesterday: a therapist behind this time zone can still be on the previous date
+      const allAppointments = await this.getUserAppointments(userId, DateUtils.toDateKey(new Date(), -1));
       
-      const upcoming = allAppointments.filter(apt => {
-        const aptDateTime = new Date(apt.date + ' ' + apt.time);
-        return aptDateTime > new Date() && apt.status === 'confirmed';
-      });
+      const upcoming = allAppointments.filter(apt => isFutureAppointment(apt) && apt.status === 'confirmed');
 
-      // Sort by date and time
-      return upcoming.sort((a, b) => {
-        const dateA = new Date(a.date + ' ' + a.time);
-        const dateB = new Date(b.date + ' ' + b.time);
-        return dateA - dateB;
-      });
+      // Sort by start time
+      return upcoming.sort((a, b) => TimeZoneUtils.getStart(a) - TimeZoneUtils.getStart(b));
     } catch (error) {
       console.error('Error getting upcoming appointments:', error);
       return [];
@@ -132,19 +376,12 @@ class AppointmentManager {
   // Get past appointments for a user
   static async getPastAppointments(userId) {
     try {
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      const allAppointments = await this.getUserAppointments(userId);
       
-      const past = allAppointments.filter(apt => {
-        const aptDateTime = new Date(apt.date + ' ' + apt.time);
-        return aptDateTime < new Date() || apt.status === 'completed';
-      });
+      const past = allAppointments.filter(apt => !isFutureAppointment(apt) || apt.status === 'completed');
 
-      // Sort by date and time (most recent first)
-      return past.sort((a, b) => {
-        const dateA = new Date(a.date + ' ' + a.time);
-        const dateB = new Date(b.date + ' ' + b.time);
-        return dateB - dateA;
-      });
+      // Sort by start time (most recent first)
+      return past.sort((a, b) => TimeZoneUtils.getStart(b) - TimeZoneUtils.getStart(a));
     } catch (error) {
       console.error('Error getting past appointments:', error);
       return [];
@@ -154,16 +391,13 @@ class AppointmentManager {
   // Get cancelled appointments for a user
   static async getCancelledAppointments(userId) {
     try {
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      const allAppointments = await this.getUserAppointments(userId);
       
-      const cancelled = allAppointments.filter(apt => apt.status === 'cancelled');
+      // Archived ones were put away by the user's retention policy (see retention.js)
+      const cancelled = allAppointments.filter(apt => apt.status === 'cancelled' && !apt.archivedAt);
 
-      // Sort by date and time (most recent first)
-      return cancelled.sort((a, b) => {
-        const dateA = new Date(a.date + ' ' + a.time);
-        const dateB = new Date(b.date + ' ' + b.time);
-        return dateB - dateA;
-      });
+      // Sort by start time (most recent first)
+      return cancelled.sort((a, b) => TimeZoneUtils.getStart(b) - TimeZoneUtils.getStart(a));
     } catch (error) {
       console.error('Error getting cancelled appointments:', error);
       return [];
@@ -173,13 +407,9 @@ class AppointmentManager {
   // Get all appointments for a user
   static async getAllAppointments(userId) {
     try {
-      const appointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      const appointments = await this.getUserAppointments(userId);
       
-      return appointments.sort((a, b) => {
-        const dateA = new Date(a.date + ' ' + a.time);
-        const dateB = new Date(b.date + ' ' + b.time);
-        return dateB - dateA;
-      });
+      return appointments.sort((a, b) => TimeZoneUtils.getStart(b) - TimeZoneUtils.getStart(a));
     } catch (error) {
       console.error('Error getting all appointments:', error);
       return [];
@@ -189,100 +419,189 @@ class AppointmentManager {
   // Get appointment by ID
   static async getAppointmentById(appointmentId) {
     try {
-      return await mindspaceDB.get('appointments', appointmentId);
+      const appointment = await mindspaceDB.get('appointments', appointmentId);
+      if (!appointment) return null;
+
+      const actor = await Access.getActor();
+      if (!Access.canSeeAppointment(actor, appointment)) {
+        throw new AccessDeniedError();
+      }
+
+      return Access.redact('appointments', await Vault.open('appointments', appointment), actor);
     } catch (error) {
       console.error('Error getting appointment:', error);
       return null;
     }
   }
 
-  // Cancel an appointment
-  static async cancelAppointment(appointmentId) {
+  // Cancel an appointment; for a series, scope also cancels the following or all upcoming sessions
+  static async cancelAppointment(appointmentId, scope = SERIES_SCOPES.THIS) {
     try {
-      const appointment = await mindspaceDB.get('appointments', appointmentId);
-      
-      if (!appointment) {
+      if (!Object.values(SERIES_SCOPES).includes(scope)) {
         return {
           success: false,
-          message: 'Appointment not found'
+          message: 'Unknown series scope'
         };
       }
 
-      if (appointment.status === 'cancelled') {
-        return {
-          success: false,
-          message: 'Appointment is already cancelled'
-        };
-      }
+      const actor = await Access.getActor();
 
-      // Update status
-      appointment.status = 'cancelled';
-      appointment.cancelledAt = new Date().toISOString();
-      
-      await mindspaceDB.update('appointments', appointment);
+      return await mindspaceDB.transaction('appointments', 'readwrite', async ({ appointments }) => {
+        const appointment = await appointments.get(appointmentId);
+        
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'Appointment not found'
+          };
+        }
 
-      return {
-        success: true,
-        message: 'Appointment cancelled successfully'
-      };
+        if (!Access.canManageAppointment(actor, appointment, 'cancel')) {
+          return {
+            success: false,
+            message: 'You cannot cancel this appointment'
+          };
+        }
+
+        if (appointment.status === 'cancelled') {
+          return {
+            success: false,
+            message: 'Appointment is already cancelled'
+          };
+        }
+
+        // Update status
+        const targets = await this.getSeriesTargets(appointments, appointment, scope);
+        const cancelledAt = new Date().toISOString();
+        for (const target of targets) {
+          target.status = 'cancelled';
+          target.cancelledAt = cancelledAt;
+          await appointments.put(target);
+        }
+
+        return {
+          success: true,
+          cancelled: targets.length,
+          message: targets.length > 1
+            ? `${targets.length} appointments cancelled successfully`
+            : 'Appointment cancelled successfully'
+        };
+      });
     } catch (error) {
       console.error('Error cancelling appointment:', error);
       return {
         success: false,
-        message: 'Failed to cancel appointment'
+        message: StorageFullError.describe(error, 'The cancellation', 'Failed to cancel appointment')
       };
     }
   }
 
-  // Reschedule an appointment
-  static async rescheduleAppointment(appointmentId, newDate, newTime) {
+  // Reschedule an appointment; for a series, scope also moves the following or all upcoming
+  // sessions, keeping their spacing from the chosen one. Nothing moves unless every session can.
+  static async rescheduleAppointment(appointmentId, newDate, newTime, scope = SERIES_SCOPES.THIS) {
     try {
-      const appointment = await mindspaceDB.get('appointments', appointmentId);
-      
-      if (!appointment) {
+      if (!Object.values(SERIES_SCOPES).includes(scope)) {
         return {
           success: false,
-          message: 'Appointment not found'
+          message: 'Unknown series scope'
         };
       }
 
-      if (appointment.status === 'cancelled') {
-        return {
-          success: false,
-          message: 'Cannot reschedule a cancelled appointment'
-        };
-      }
+      const actor = await Access.getActor();
+
+      // Check the new slots and move the appointments in one transaction
+      return await mindspaceDB.transaction(['therapists', 'appointments'], 'readwrite', async ({ therapists, appointments }) => {
+        const appointment = await appointments.get(appointmentId);
+        
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'Appointment not found'
+          };
+        }
 
-      // Check if new slot is available
-      const isAvailable = await this.isSlotAvailable(
-        appointment.therapistId,
-        newDate,
-        newTime
-      );
+        if (!Access.canManageAppointment(actor, appointment, 'reschedule')) {
+          return {
+            success: false,
+            message: 'You cannot reschedule this appointment'
+          };
+        }
 
-      if (!isAvailable) {
-        return {
-          success: false,
-          message: 'The new time slot is not available'
-        };
-      }
+        if (appointment.status === 'cancelled') {
+          return {
+            success: false,
+            message: 'Cannot reschedule a cancelled appointment'
+          };
+        }
 
-      // Update appointment
-      appointment.date = newDate;
-      appointment.time = newTime;
-      appointment.rescheduledAt = new Date().toISOString();
-      
-      await mindspaceDB.update('appointments', appointment);
+        // Check if the new slots are available (the sessions being moved don't block each other)
+        const therapist = await therapists.get(appointment.therapistId);
+        const targets = await this.getSeriesTargets(appointments, appointment, scope);
+        const movedIds = targets.map(target => target.id);
+        const now = new Date();
+        const moves = [];
+        const problems = [];
+
+        for (const target of targets) {
+          const date = target === appointment
+            ? newDate
+            : this.getOccurrenceDate(newDate, target.recurrence, target.seriesIndex - appointment.seriesIndex);
+
+          const start = new Date(ScheduleUtils.getAnchor(therapist, date, newTime).startsAt);
+          const duration = ScheduleUtils.getDuration(target);
+          let problem = null;
+          if (start <= now) {
+            problem = 'This time has already passed';
+          } else {
+            const booked = (await appointments.getByIndex('therapistDate', [appointment.therapistId, date]))
+              .filter(apt => !movedIds.includes(apt.id));
+            problem = ScheduleUtils.getSlotProblem(therapist, date, newTime, duration, booked);
+          }
+          if (!problem) {
+            const own = (await this.getClientSessionsAround(appointments, appointment.userId, date))
+              .filter(apt => !movedIds.includes(apt.id));
+            if (ScheduleUtils.findClientConflict(own, start, duration)) {
+              problem = 'You have another session at this time';
+            }
+          }
+
+          if (problem) problems.push({ date, problem });
+          moves.push({ target, date });
+        }
 
-      return {
-        success: true,
-        message: 'Appointment rescheduled successfully'
-      };
+        if (problems.length > 0) {
+          problems.sort((a, b) => a.date.localeCompare(b.date));
+          return {
+            success: false,
+            problems: problems,
+            message: targets.length > 1
+              ? `${problems.length} of ${targets.length} sessions can't be moved: ` +
+                problems.map(({ date, problem }) => `${DateUtils.formatDate(`${date}T00:00:00`)} (${problem})`).join('; ')
+              : problems[0].problem
+          };
+        }
+
+        // Update appointments
+        const rescheduledAt = new Date().toISOString();
+        for (const { target, date } of moves) {
+          Object.assign(target, { date, time: newTime }, ScheduleUtils.getAnchor(therapist, date, newTime));
+          target.rescheduledAt = rescheduledAt;
+          await appointments.put(target);
+        }
+
+        return {
+          success: true,
+          rescheduled: targets.length,
+          message: targets.length > 1
+            ? `${targets.length} appointments rescheduled successfully`
+            : 'Appointment rescheduled successfully'
+        };
+      });
     } catch (error) {
       console.error('Error rescheduling appointment:', error);
       return {
         success: false,
-        message: 'Failed to reschedule appointment'
+        message: StorageFullError.describe(error, 'The new time', 'Failed to reschedule appointment')
       };
     }
   }
@@ -290,29 +609,47 @@ class AppointmentManager {
   // Mark appointment as completed
   static async completeAppointment(appointmentId) {
     try {
-      const appointment = await mindspaceDB.get('appointments', appointmentId);
-      
-      if (!appointment) {
-        return {
-          success: false,
-          message: 'Appointment not found'
-        };
-      }
+      const actor = await Access.getActor();
+
+      return await mindspaceDB.transaction('appointments', 'readwrite', async ({ appointments }) => {
+        const appointment = await appointments.get(appointmentId);
+        
+        if (!appointment) {
+          return {
+            success: false,
+            message: 'Appointment not found'
+          };
+        }
 
-      appointment.status = 'completed';
-      appointment.completedAt = new Date().toISOString();
-      
-      await mindspaceDB.update('appointments', appointment);
+        if (!Access.canManageAppointment(actor, appointment, 'complete')) {
+          return {
+            success: false,
+            message: 'You cannot complete this appointment'
+          };
+        }
 
-      return {
-        success: true,
-        message: 'Appointment marked as completed'
-      };
+        if (appointment.status === 'cancelled') {
+          return {
+            success: false,
+            message: 'Cannot complete a cancelled appointment'
+          };
+        }
+
+        appointment.status = 'completed';
+        appointment.completedAt = new Date().toISOString();
+        
+        await appointments.put(appointment);
+
+        return {
+          success: true,
+          message: 'Appointment marked as completed'
+        };
+      });
     } catch (error) {
       console.error('Error completing appointment:', error);
       return {
         success: false,
-        message: 'Failed to complete appointment'
+        message: StorageFullError.describe(error, 'The completed session', 'Failed to complete appointment')
       };
     }
   }
@@ -329,8 +666,16 @@ class AppointmentManager {
         };
       }
 
+      const actor = await Access.getActor();
+      if (!Access.canManageAppointment(actor, appointment, 'notes')) {
+        return {
+          success: false,
+          message: 'You cannot edit notes on this appointment'
+        };
+      }
+
       appointment.notes = notes;
-      await mindspaceDB.update('appointments', appointment);
+      await mindspaceDB.update('appointments', await Vault.seal('appointments', appointment));
 
       return {
         success: true,
@@ -340,7 +685,7 @@ class AppointmentManager {
       console.error('Error updating notes:', error);
       return {
         success: false,
-        message: 'Failed to update notes'
+        message: StorageFullError.describe(error, 'Your notes', 'Failed to update notes')
       };
     }
   }
@@ -351,10 +696,7 @@ class AppointmentManager {
       const appointments = await this.getAllAppointments(userId);
       
       const total = appointments.length;
-      const upcoming = appointments.filter(apt => {
-        const aptDateTime = new Date(apt.date + ' ' + apt.time);
-        return aptDateTime > new Date() && apt.status === 'confirmed';
-      }).length;
+      const upcoming = appointments.filter(apt => isFutureAppointment(apt) && apt.status === 'confirmed').length;
       
       const completed = appointments.filter(apt => apt.status === 'completed').length;
       const cancelled = appointments.filter(apt => apt.status === 'cancelled').length;
@@ -362,7 +704,7 @@ class AppointmentManager {
       // Calculate total therapy hours
       const totalMinutes = appointments
         .filter(apt => apt.status === 'completed')
-        .reduce((sum, apt) => sum + apt.duration, 0);
+        .reduce((sum, apt) => sum + ScheduleUtils.getDuration(apt), 0);
       const totalHours = (totalMinutes / 60).toFixed(1);
 
       return {
@@ -398,9 +740,7 @@ class AppointmentManager {
   // Get appointments for a specific date
   static async getAppointmentsByDate(userId, date) {
     try {
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
-      
-      return allAppointments.filter(apt => apt.date === date);
+      return await this.getUserAppointments(userId, date, date);
     } catch (error) {
       console.error('Error getting appointments by date:', error);
       return [];
@@ -410,7 +750,7 @@ class AppointmentManager {
   // Get appointments with a specific therapist
   static async getAppointmentsWithTherapist(userId, therapistId) {
     try {
-      const userAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      const userAppointments = await this.getUserAppointments(userId);
       
       return userAppointments.filter(apt => apt.therapistId === therapistId);
     } catch (error) {
@@ -419,27 +759,19 @@ class AppointmentManager {
     }
   }
 
-  // Check for appointment conflicts
-  static async hasConflict(userId, date, time, duration) {
+  // Check if a session at a wall-clock date and time in a zone (this browser's by default) clashes
+  // with the client's other sessions or their imported calendars. A client needs no gap between them.
+  static async hasConflict(userId, date, time, duration, timeZone = TimeZoneUtils.getLocalZone()) {
     try {
-      const appointments = await this.getAppointmentsByDate(userId, date);
-      
-      const startTime = new Date(`${date} ${time}`);
-      const endTime = new Date(startTime.getTime() + duration * 60000);
-
-      for (const apt of appointments) {
-        if (apt.status === 'cancelled') continue;
-
-        const aptStart = new Date(`${apt.date} ${apt.time}`);
-        const aptEnd = new Date(aptStart.getTime() + apt.duration * 60000);
-
-        // Check for overlap
-        if (startTime < aptEnd && endTime > aptStart) {
-          return true;
-        }
-      }
+      const appointments = await this.getUserAppointments(
+        userId, DateUtils.toDateKey(`${date}T00:00:00`, -1), DateUtils.toDateKey(`${date}T00:00:00`, 1)
+      );
+      const start = TimeZoneUtils.toInstant(date, time, timeZone);
+      if (ScheduleUtils.findClientConflict(appointments, start, duration)) return true;
 
-      return false;
+      // Busy times from the client's imported calendars
+      const events = await mindspaceDB.getByIndex('calendarEvents', 'userId', userId);
+      return Boolean(ScheduleUtils.findBusyEvent(events, start, duration));
     } catch (error) {
       console.error('Error checking conflicts:', error);
       return true; // Return true on error to be safe
@@ -450,12 +782,13 @@ class AppointmentManager {
   static async getWeekAppointments(userId) {
     try {
       const { start, end } = DateUtils.getWeekRange();
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
+      const weekAppointments = await this.getUserAppointments(
+        userId,
+        DateUtils.toDateKey(start),
+        DateUtils.toDateKey(end)
+      );
       
-      return allAppointments.filter(apt => {
-        const aptDate = new Date(apt.date);
-        return aptDate >= start && aptDate <= end && apt.status !== 'cancelled';
-      });
+      return weekAppointments.filter(apt => apt.status !== 'cancelled');
     } catch (error) {
       console.error('Error getting week appointments:', error);
       return [];
@@ -474,6 +807,14 @@ class AppointmentManager {
         };
       }
 
+      const actor = await Access.getActor();
+      if (!Access.canManageAppointment(actor, appointment, 'remind')) {
+        return {
+          success: false,
+          message: 'You cannot send reminders for this appointment'
+        };
+      }
+
       // In a real app, this would send an email/SMS
       console.log(`Reminder sent for appointment ${appointmentId}`);
 
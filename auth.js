@@ -1,8 +1,23 @@
 // auth.js - Authentication Logic for MindSpace
 
+// Failed-login back-off, applied per account and per device
+const LOGIN_THROTTLE = {
+  freeAttempts: 3,             // failures allowed before back-off starts
+  baseDelaySeconds: 2,         // doubles with every further failure
+  maxDelaySeconds: 300,
+  lockoutThreshold: 10,        // failures before a temporary lockout
+  lockoutMinutes: 15,
+  deviceStorageKey: 'mindspace_login_throttle'
+};
+
+// Deleted accounts can be restored by logging in until the grace period ends
+const ACCOUNT_DELETION = {
+  graceDays: 14
+};
+
 class Auth {
-  // Register new user
-  static async register(userData) {
+  // Register new user (a client, unless Access.provisionStaff gives a staff role)
+  static async register(userData, { role = ROLES.CLIENT, therapistId } = {}) {
     try {
       // Check if email already exists
       const existingUsers = await mindspaceDB.getByIndex('users', 'email', userData.email);
@@ -22,11 +37,25 @@ class Auth {
         };
       }
 
+      // Enforce the password policy (the form checks too, but this is the source of truth)
+      const policy = PasswordPolicy.evaluate(userData.password, userData);
+      if (!policy.valid) {
+        return {
+          success: false,
+          errors: policy.errors,
+          message: policy.errors[0]
+        };
+      }
+
+      // Hash password
+      const passwordRecord = await AuthUtils.createPasswordRecord(userData.password);
+
       // Create user object
       const newUser = {
         username: userData.username,
         email: userData.email,
-        password: userData.password, // In production, hash this
+        ...passwordRecord,
+        role: role,
         fullName: userData.fullName,
         phone: userData.phone,
         emergencyContact: userData.emergencyContact,
@@ -38,6 +67,12 @@ class Auth {
           theme: 'light'
         }
       };
+      if (therapistId) {
+        newUser.therapistId = therapistId;
+      }
+
+      // Recovery codes are the only way back in if the password is forgotten
+      const recoveryCodes = await AccountRecovery.issueCodes(newUser);
 
       // Add user to database
       const userId = await mindspaceDB.add('users', newUser);
@@ -45,24 +80,33 @@ class Auth {
       return {
         success: true,
         userId: userId,
+        recoveryCodes: recoveryCodes,
         message: 'Account created successfully'
       };
     } catch (error) {
       console.error('Registration error:', error);
       return {
         success: false,
-        message: 'Registration failed. Please try again.'
+        message: StorageFullError.describe(error, 'Your account', 'Registration failed. Please try again.')
       };
     }
   }
 // In auth.js, update the login method:
 
-static async login(email, password, rememberMe = false) {
+static async login(email, password, rememberMe = false, otpCode = null) {
   try {
+    // Refuse attempts from a device that is backing off
+    const deviceThrottle = StorageUtils.getLocal(LOGIN_THROTTLE.deviceStorageKey);
+    const deviceWait = this.getThrottleWait(deviceThrottle);
+    if (deviceWait > 0) {
+      return this.throttledResult(deviceWait);
+    }
+
     // Find user by email
     const users = await mindspaceDB.getByIndex('users', 'email', email);
     
     if (users.length === 0) {
+      this.recordDeviceFailure();
       return {
         success: false,
         message: 'Invalid email or password'
@@ -71,16 +115,70 @@ static async login(email, password, rememberMe = false) {
 
     const user = users[0];
 
+    // Refuse attempts against an account that is backing off or locked
+    const accountWait = this.getThrottleWait(user.loginThrottle);
+    if (accountWait > 0) {
+      return this.throttledResult(accountWait);
+    }
+
     // Verify password
-    if (user.password !== password) {
+    const verification = await AuthUtils.verifyPassword(user, password);
+    if (!verification.valid) {
+      this.recordDeviceFailure();
+      await this.recordAccountFailure(user);
       return {
         success: false,
         message: 'Invalid email or password'
       };
     }
 
+    // A deleted account has to be restored before it can sign in
+    if (user.deletedAt) {
+      return {
+        success: false,
+        accountDeleted: true,
+        purgeAfter: user.purgeAfter,
+        message: `This account was deleted and will be permanently removed on ${DateUtils.formatDate(user.purgeAfter)}.`
+      };
+    }
+
+    // Second factor is checked before any session row exists
+    if (TwoFactor.isEnabled(user)) {
+      if (!otpCode) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          message: 'Enter the 6-digit code from your authenticator app or a backup code'
+        };
+      }
+
+      const secondFactor = await TwoFactor.verifyLogin(user, otpCode);
+      if (!secondFactor.valid) {
+        this.recordDeviceFailure();
+        await this.recordAccountFailure(user, 'two_factor_failed');
+        return {
+          success: false,
+          twoFactorRequired: true,
+          message: 'Invalid authentication code'
+        };
+      }
+    }
+
+    // Successful login resets both counters
+    StorageUtils.removeLocal(LOGIN_THROTTLE.deviceStorageKey);
+    if (user.loginThrottle) {
+      delete user.loginThrottle;
+      await mindspaceDB.update('users', user);
+    }
+
+    // Upgrade legacy plaintext or outdated hashes now that we know the password
+    if (verification.needsUpgrade) {
+      await this.setPassword(user, password);
+    }
+
     // Create session
     const sessionToken = AuthUtils.generateToken();
+    const loginTime = new Date();
     const session = {
       userId: user.id,
       token: sessionToken,
@@ -88,18 +186,26 @@ static async login(email, password, rememberMe = false) {
       fullName: user.fullName,
       username: user.username,
       profileImage: user.profileImage,
-      loginTime: new Date().toISOString(),
+      loginTime: loginTime.toISOString(),
+      lastActivityAt: loginTime.toISOString(),
+      expiresAt: SessionLock.computeExpiry(rememberMe, loginTime),
       rememberMe: rememberMe
     };
 
-    // Clear any existing sessions first
-    const existingSessions = await mindspaceDB.getAll('sessions');
-    for (const oldSession of existingSessions) {
-      await mindspaceDB.delete('sessions', oldSession.userId);
+    // Unlock the encrypted vault for this session, if the user enabled it
+    const vaultKey = await Vault.unlock(user, password);
+    if (vaultKey) {
+      session.vaultKey = vaultKey;
+    }
+
+    // Replace this account's previous session; other accounts stay signed in
+    const previousSession = await mindspaceDB.get('sessions', user.id);
+    if (previousSession) {
+      AuthUtils.clearSessionToken(previousSession.token);
     }
 
     // Save new session - WAIT for it to complete
-    await mindspaceDB.add('sessions', session);
+    await mindspaceDB.update('sessions', session);
     
     // IMPORTANT: Verify session was saved
     const savedSession = await mindspaceDB.get('sessions', user.id);
@@ -111,10 +217,10 @@ static async login(email, password, rememberMe = false) {
       };
     }
 
-    // Store in localStorage if remember me
-    if (rememberMe) {
-      StorageUtils.saveLocal('mindspace_session', sessionToken);
-    }
+    // Hold the token in this tab (and in localStorage if remember me)
+    AuthUtils.setSessionToken(sessionToken, rememberMe);
+
+    await SecurityLog.record(user.id, 'login', { rememberMe });
 
     return {
       success: true,
@@ -122,7 +228,8 @@ static async login(email, password, rememberMe = false) {
         id: user.id,
         username: user.username,
         email: user.email,
-        fullName: user.fullName
+        fullName: user.fullName,
+        role: Access.getRole(user)
       },
       message: 'Login successful'
     };
@@ -135,6 +242,69 @@ static async login(email, password, rememberMe = false) {
   }
 }
 
+  // Milliseconds until a throttled login may be retried (0 if allowed)
+  static getThrottleWait(throttle) {
+    if (!throttle) return 0;
+    const until = Math.max(
+      throttle.lockedUntil ? new Date(throttle.lockedUntil).getTime() : 0,
+      throttle.nextAttemptAt ? new Date(throttle.nextAttemptAt).getTime() : 0
+    );
+    return Math.max(0, until - Date.now());
+  }
+
+  // Count a failure, applying exponential back-off and lockout
+  static nextThrottleState(throttle) {
+    const now = Date.now();
+    // A lockout that has run its course starts a fresh count
+    const expired = throttle && throttle.lockedUntil && new Date(throttle.lockedUntil).getTime() <= now;
+    const failures = (throttle && !expired ? throttle.failures : 0) + 1;
+    const state = {
+      failures: failures,
+      lastFailureAt: new Date(now).toISOString()
+    };
+
+    if (failures >= LOGIN_THROTTLE.lockoutThreshold) {
+      state.lockedUntil = new Date(now + LOGIN_THROTTLE.lockoutMinutes * 60000).toISOString();
+    } else if (failures >= LOGIN_THROTTLE.freeAttempts) {
+      const delaySeconds = Math.min(
+        LOGIN_THROTTLE.maxDelaySeconds,
+        LOGIN_THROTTLE.baseDelaySeconds * Math.pow(2, failures - LOGIN_THROTTLE.freeAttempts)
+      );
+      state.nextAttemptAt = new Date(now + delaySeconds * 1000).toISOString();
+    }
+
+    return state;
+  }
+
+  // Count a failed login from this device
+  static recordDeviceFailure() {
+    const throttle = StorageUtils.getLocal(LOGIN_THROTTLE.deviceStorageKey);
+    StorageUtils.saveLocal(LOGIN_THROTTLE.deviceStorageKey, this.nextThrottleState(throttle));
+  }
+
+  // Count a failed login against an account and log it
+  static async recordAccountFailure(user, eventType = 'login_failed') {
+    user.loginThrottle = this.nextThrottleState(user.loginThrottle);
+    await mindspaceDB.update('users', user);
+
+    await SecurityLog.record(user.id, eventType, { failures: user.loginThrottle.failures });
+    if (user.loginThrottle.lockedUntil) {
+      await SecurityLog.record(user.id, 'lockout', { lockedUntil: user.loginThrottle.lockedUntil });
+    }
+  }
+
+  // Build the response for a throttled login attempt
+  static throttledResult(waitMs) {
+    const seconds = Math.ceil(waitMs / 1000);
+    const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} second(s)`;
+    return {
+      success: false,
+      throttled: true,
+      retryAfter: seconds,
+      message: `Too many failed attempts. Please wait ${wait} before trying again.`
+    };
+  }
+
   // Get current user from session
   static async getCurrentUser() {
     try {
@@ -142,7 +312,7 @@ static async login(email, password, rememberMe = false) {
       if (!session) return null;
 
       const user = await mindspaceDB.get('users', session.userId);
-      return user;
+      return Vault.open('users', user, session.vaultKey || null);
     } catch (error) {
       console.error('Get current user error:', error);
       return null;
@@ -167,7 +337,7 @@ static async login(email, password, rememberMe = false) {
         id: userId // Ensure ID doesn't change
       };
 
-      await mindspaceDB.update('users', updatedUser);
+      await mindspaceDB.update('users', await Vault.seal('users', updatedUser));
 
       // Update session if name or email changed
       if (updates.fullName || updates.email) {
@@ -181,14 +351,14 @@ static async login(email, password, rememberMe = false) {
 
       return {
         success: true,
-        user: updatedUser,
+        user: await Vault.open('users', updatedUser),
         message: 'Profile updated successfully'
       };
     } catch (error) {
       console.error('Update profile error:', error);
       return {
         success: false,
-        message: 'Failed to update profile'
+        message: StorageFullError.describe(error, 'Your profile', 'Failed to update profile')
       };
     }
   }
@@ -205,7 +375,8 @@ static async login(email, password, rememberMe = false) {
       }
 
       // Verify current password
-      if (user.password !== currentPassword) {
+      const verification = await AuthUtils.verifyPassword(user, currentPassword);
+      if (!verification.valid) {
         return {
           success: false,
           message: 'Current password is incorrect'
@@ -213,16 +384,42 @@ static async login(email, password, rememberMe = false) {
       }
 
       // Validate new password
-      if (!ValidationUtils.isValidPassword(newPassword)) {
+      const policy = PasswordPolicy.evaluate(newPassword, user);
+      if (!policy.valid) {
         return {
           success: false,
-          message: 'New password must be at least 6 characters and contain a number'
+          errors: policy.errors,
+          message: policy.errors[0]
         };
       }
 
-      // Update password
-      user.password = newPassword; // In production, hash this
-      await mindspaceDB.update('users', user);
+      // Hash the new password and re-wrap the vault key first (WebCrypto can't run inside a
+      // transaction), then store both in one write: a vault key wrapped under a password the
+      // account doesn't accept would leave the encrypted records unreadable
+      const vault = await Vault.rewrap(user, currentPassword, newPassword);
+      const passwordRecord = await AuthUtils.createPasswordRecord(newPassword);
+
+      const changed = await mindspaceDB.transaction(['users'], 'readwrite', async (stores) => {
+        // Changed elsewhere since it was verified: what was derived above no longer fits
+        const current = await stores.users.get(userId);
+        if (!current || current.passwordHash !== user.passwordHash ||
+            JSON.stringify(current.vault) !== JSON.stringify(user.vault)) {
+          return false;
+        }
+
+        const updated = { ...current, ...passwordRecord };
+        delete updated.password;
+        if (vault) updated.vault = vault;
+        await stores.users.put(updated);
+        return true;
+      });
+      if (!changed) {
+        return {
+          success: false,
+          message: 'Your password was changed in another tab. Please try again.'
+        };
+      }
+      await SecurityLog.record(userId, 'password_changed');
 
       return {
         success: true,
@@ -237,6 +434,15 @@ static async login(email, password, rememberMe = false) {
     }
   }
 
+  // Hash and store a new password on a user record
+  static async setPassword(user, password) {
+    const passwordRecord = await AuthUtils.createPasswordRecord(password);
+    Object.assign(user, passwordRecord);
+    delete user.password;
+    await mindspaceDB.update('users', user);
+    return user;
+  }
+
   // Logout
   static async logout() {
     try {
@@ -255,38 +461,57 @@ static async login(email, password, rememberMe = false) {
   }
 
   // Check authentication and redirect if needed
-  static async requireAuth() {
-    const isLoggedIn = await AuthUtils.isLoggedIn();
-    if (!isLoggedIn) {
-      window.location.href = 'login.html';
+  // The tab's token must resolve to an unexpired session row belonging to an
+  // existing user; the idle lock is started for every authenticated page
+  // Pages limited to certain roles pass them in; other roles are sent to their own home page
+  static async requireAuth(allowedRoles = null) {
+    const session = await AuthUtils.getCurrentSession();
+    const user = session ? await mindspaceDB.get('users', session.userId) : null;
+
+    if (!session || !user) {
+      if (session) {
+        await mindspaceDB.delete('sessions', session.userId);
+        AuthUtils.clearSessionToken(session.token);
+      }
+      if (typeof window !== 'undefined') {
+        window.location.href = 'login.html';
+      }
+      return false;
+    }
+
+    if (SessionLock.isExpired(session)) {
+      await SessionLock.expire(session);
       return false;
     }
+
+    if (allowedRoles && !Access.hasRole(user, allowedRoles)) {
+      if (typeof window !== 'undefined') {
+        window.location.href = Access.getHomePage(user);
+      }
+      return false;
+    }
+
+    // Pin the token to this tab so switching accounts elsewhere doesn't affect it
+    AuthUtils.setSessionToken(session.token);
+
+    // The idle lock needs a page to watch (headless.js has none)
+    if (typeof document !== 'undefined') {
+      await SessionLock.start(session);
+    }
     return true;
   }
 
   // Auto-login on page load (if remember me was checked)
   static async autoLogin() {
     try {
-      const savedToken = StorageUtils.getLocal('mindspace_session');
-      if (!savedToken) return false;
-
-      const sessions = await mindspaceDB.getAll('sessions');
-      const session = sessions.find(s => s.token === savedToken);
-
-      if (!session) {
-        StorageUtils.removeLocal('mindspace_session');
-        return false;
-      }
-
-      // Check if session is still valid (e.g., within 30 days)
-      const loginTime = new Date(session.loginTime);
-      const now = new Date();
-      const daysSinceLogin = (now - loginTime) / (1000 * 60 * 60 * 24);
+      const session = await AuthUtils.getCurrentSession();
+      if (!session || !session.rememberMe) return false;
 
-      if (daysSinceLogin > 30) {
+      // Check if session is still within its lifetime
+      if (SessionLock.isExpired(session)) {
         // Session expired
         await mindspaceDB.delete('sessions', session.userId);
-        StorageUtils.removeLocal('mindspace_session');
+        AuthUtils.clearSessionToken(session.token);
         return false;
       }
 
@@ -309,52 +534,89 @@ static async login(email, password, rememberMe = false) {
       }
 
       // Verify password
-      if (user.password !== password) {
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
         return {
           success: false,
           message: 'Password is incorrect'
         };
       }
 
-      // Delete user data
-      await mindspaceDB.delete('users', userId);
-      
-      // Delete sessions
-      const sessions = await mindspaceDB.getByIndex('sessions', 'userId', userId);
-      for (const session of sessions) {
-        await mindspaceDB.delete('sessions', session.userId);
+      // Deactivate now, purge once the grace period is over
+      const deletedAt = new Date();
+      const purgeAfter = new Date(deletedAt.getTime() + ACCOUNT_DELETION.graceDays * 24 * 60 * 60 * 1000);
+      const session = await mindspaceDB.get('sessions', userId);
+
+      await mindspaceDB.softDeleteUser(userId, {
+        deletedAt: deletedAt.toISOString(),
+        purgeAfter: purgeAfter.toISOString()
+      });
+
+      // Forget the ended session's token on this device
+      if (session) {
+        AuthUtils.clearSessionToken(session.token);
+      }
+
+      await SecurityLog.record(userId, 'account_deleted', { purgeAfter: purgeAfter.toISOString() });
+
+      return {
+        success: true,
+        purgeAfter: purgeAfter.toISOString(),
+        message: `Account deleted. You can restore it by logging in before ${DateUtils.formatDate(purgeAfter.toISOString())}.`
+      };
+    } catch (error) {
+      console.error('Delete account error:', error);
+      return {
+        success: false,
+        message: 'Failed to delete account'
+      };
+    }
+  }
+
+  // Restore an account that is still within its deletion grace period
+  static async restoreAccount(email, password) {
+    try {
+      const deviceWait = this.getThrottleWait(StorageUtils.getLocal(LOGIN_THROTTLE.deviceStorageKey));
+      if (deviceWait > 0) {
+        return this.throttledResult(deviceWait);
       }
 
-      // Delete user-therapist relationships
-      const userTherapists = await mindspaceDB.getByIndex('userTherapists', 'userId', userId);
-      for (const ut of userTherapists) {
-        await mindspaceDB.delete('userTherapists', ut.id);
+      const users = await mindspaceDB.getByIndex('users', 'email', email);
+      const user = users[0];
+      if (!user || !user.deletedAt) {
+        return {
+          success: false,
+          message: 'There is no deleted account to restore for this email'
+        };
       }
 
-      // Delete appointments
-      const appointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
-      for (const appointment of appointments) {
-        await mindspaceDB.delete('appointments', appointment.id);
+      const accountWait = this.getThrottleWait(user.loginThrottle);
+      if (accountWait > 0) {
+        return this.throttledResult(accountWait);
       }
 
-      // Delete moods
-      const moods = await mindspaceDB.getByIndex('moods', 'userId', userId);
-      for (const mood of moods) {
-        await mindspaceDB.delete('moods', mood.id);
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        this.recordDeviceFailure();
+        await this.recordAccountFailure(user);
+        return {
+          success: false,
+          message: 'Invalid email or password'
+        };
       }
 
-      // Clear localStorage
-      StorageUtils.removeLocal('mindspace_session');
+      await mindspaceDB.restoreDeletedUser(user.id);
+      await SecurityLog.record(user.id, 'account_restored');
 
       return {
         success: true,
-        message: 'Account deleted successfully'
+        message: 'Account restored. Your upcoming appointments are still booked.'
       };
     } catch (error) {
-      console.error('Delete account error:', error);
+      console.error('Restore account error:', error);
       return {
         success: false,
-        message: 'Failed to delete account'
+        message: 'Failed to restore account'
       };
     }
   }
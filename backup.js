@@ -0,0 +1,555 @@
+// backup.js - Personal Data Backup and Restore for MindSpace
+
+// Backup file format; bump the version whenever the layout changes
+const BACKUP_FORMAT = {
+  name: 'mindspace-backup',
+  version: 1,
+  maxErrors: 20                // validation errors listed before giving up
+};
+
+// Profile fields carried in a backup (password, two-factor, recovery codes and the vault stay behind)
+const BACKUP_PROFILE_FIELDS = ['username', 'email', 'fullName', 'phone', 'emergencyContact', 'profileImage', 'dateJoined'];
+
+// Profile fields no other account may share
+const BACKUP_UNIQUE_FIELDS = ['email', 'username'];
+
+const BACKUP_APPOINTMENT_STATUSES = ['confirmed', 'completed', 'cancelled'];
+
+const RESTORE_MODES = {
+  MERGE: 'merge',              // keep what is here and add what is missing
+  REPLACE: 'replace'           // swap this account's data for the backup's
+};
+
+class DataBackup {
+  // Build a backup of everything belonging to a user
+  static async create(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const user = await Vault.open('users', await mindspaceDB.get('users', userId));
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      const connections = await mindspaceDB.getByIndex('userTherapists', 'userId', userId);
+      const appointments = await Vault.openAll('appointments', await mindspaceDB.getByIndex('appointments', 'userId', userId));
+      const moods = await Vault.openAll('moods', await mindspaceDB.query('moods').index('userDate').prefix(userId).toArray());
+
+      // Therapists go in by name too, so their IDs can be remapped on another device
+      const therapistIds = [...new Set([...connections, ...appointments].map(record => record.therapistId))];
+      const therapists = [];
+      for (const therapistId of therapistIds) {
+        const therapist = await mindspaceDB.get('therapists', therapistId);
+        therapists.push({
+          id: therapistId,
+          name: therapist ? therapist.name : 'Unknown therapist',
+          specialization: therapist ? therapist.specialization : ''
+        });
+      }
+
+      // Fields the vault could not open are left out rather than exported as ciphertext
+      let withheld = 0;
+      const profile = {};
+      BACKUP_PROFILE_FIELDS.forEach(field => {
+        if (user[field] === undefined) return;
+        if (Vault.isSealed(user[field])) {
+          withheld++;
+          return;
+        }
+        profile[field] = user[field];
+      });
+
+      const unseal = (storeName, records) => records.map(record => {
+        // Sync metadata stays on this device: a restore gets fresh uuids
+        const { userId: owner, uuid, updatedAt, fieldTimes, ...copy } = record;
+        (VAULT_FIELDS[storeName] || []).forEach(field => {
+          if (Vault.isSealed(copy[field])) {
+            delete copy[field];
+            withheld++;
+          }
+        });
+        return copy;
+      });
+
+      const backup = {
+        format: BACKUP_FORMAT.name,
+        version: BACKUP_FORMAT.version,
+        schemaVersion: mindspaceDB.version,
+        exportedAt: new Date().toISOString(),
+        profile: profile,
+        preferences: user.preferences || {},
+        therapists: therapists,
+        connections: unseal('userTherapists', connections),
+        appointments: unseal('appointments', appointments),
+        moods: unseal('moods', moods)
+      };
+
+      await SecurityLog.record(userId, 'data_exported', {
+        appointments: backup.appointments.length,
+        moods: backup.moods.length
+      });
+
+      return {
+        success: true,
+        backup: backup,
+        withheld: withheld,
+        message: withheld > 0
+          ? `Backup created. ${withheld} encrypted field(s) could not be unlocked and were left out.`
+          : 'Backup created'
+      };
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      return {
+        success: false,
+        message: 'Failed to create backup'
+      };
+    }
+  }
+
+  // Serialize a backup for download
+  static toJSON(backup) {
+    return JSON.stringify(backup, null, 2);
+  }
+
+  // Suggested file name for a backup
+  static getFileName(backup) {
+    return `mindspace-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  }
+
+  // Save a backup through the browser's downloads
+  static download(backup) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([this.toJSON(backup)], { type: 'application/json' }));
+    link.download = this.getFileName(backup);
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Parse and validate the text of a backup file
+  static parse(text) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      return {
+        success: false,
+        errors: ['The file is not valid JSON'],
+        message: 'The file is not valid JSON'
+      };
+    }
+
+    const { valid, errors } = this.validate(backup);
+    if (!valid) {
+      return {
+        success: false,
+        errors: errors,
+        message: errors[0]
+      };
+    }
+
+    return {
+      success: true,
+      backup: backup
+    };
+  }
+
+  // Check a backup's structure before anything is written
+  static validate(backup) {
+    const errors = [];
+    const check = (condition, message) => {
+      if (!condition && errors.length < BACKUP_FORMAT.maxErrors) {
+        errors.push(message);
+      }
+      return Boolean(condition);
+    };
+    const isRecord = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const isNotes = value => value === undefined || typeof value === 'string';
+
+    if (!isRecord(backup) || backup.format !== BACKUP_FORMAT.name) {
+      return { valid: false, errors: ['This is not a MindSpace backup file'] };
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      return { valid: false, errors: ['The backup has no format version'] };
+    }
+    if (backup.version > BACKUP_FORMAT.version) {
+      return { valid: false, errors: ['This backup was made by a newer version of MindSpace'] };
+    }
+
+    if (check(isRecord(backup.profile), 'profile is missing')) {
+      BACKUP_UNIQUE_FIELDS.forEach(field => {
+        check(typeof backup.profile[field] === 'string' && backup.profile[field].trim(), `profile.${field} is missing`);
+      });
+      check(!backup.profile.email || ValidationUtils.isValidEmail(backup.profile.email), 'profile.email is not a valid email');
+    }
+    check(backup.preferences === undefined || isRecord(backup.preferences), 'preferences must be an object');
+    ['therapists', 'connections', 'appointments', 'moods'].forEach(key => {
+      check(Array.isArray(backup[key]), `${key} must be a list`);
+    });
+    if (errors.length > 0) return { valid: false, errors };
+
+    const therapistIds = new Set();
+    backup.therapists.forEach((therapist, i) => {
+      if (!check(isRecord(therapist), `therapists[${i}] is not a record`)) return;
+      check(therapist.id !== undefined && !therapistIds.has(therapist.id), `therapists[${i}] has a missing or repeated id`);
+      check(typeof therapist.name === 'string' && therapist.name.trim(), `therapists[${i}] has no name`);
+      therapistIds.add(therapist.id);
+    });
+
+    backup.connections.forEach((connection, i) => {
+      if (!check(isRecord(connection), `connections[${i}] is not a record`)) return;
+      check(therapistIds.has(connection.therapistId), `connections[${i}] refers to an unknown therapist`);
+    });
+
+    backup.appointments.forEach((appointment, i) => {
+      const at = `appointments[${i}]`;
+      if (!check(isRecord(appointment), `${at} is not a record`)) return;
+      check(therapistIds.has(appointment.therapistId), `${at} refers to an unknown therapist`);
+      check(isDate(appointment.date), `${at} needs a YYYY-MM-DD date`);
+      check(typeof appointment.time === 'string' && /^\d{2}:\d{2}$/.test(appointment.time), `${at} needs an HH:MM time`);
+      check(BACKUP_APPOINTMENT_STATUSES.includes(appointment.status), `${at} has an unknown status`);
+      check(isNotes(appointment.notes), `${at} has unreadable notes`);
+    });
+
+    backup.moods.forEach((mood, i) => {
+      const at = `moods[${i}]`;
+      if (!check(isRecord(mood), `${at} is not a record`)) return;
+      check(MoodUtils.getMoodByName(mood.mood), `${at} has an unknown mood`);
+      check(typeof mood.intensity === 'number' && mood.intensity >= 1 && mood.intensity <= 10, `${at} needs an intensity from 1 to 10`);
+      check(isDate(mood.date), `${at} needs a YYYY-MM-DD date`);
+      check(isNotes(mood.notes), `${at} has unreadable notes`);
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Restore a backup into a user's account
+  // dryRun builds the same report without saving anything, for a preview
+  static async restore(userId, backup, { mode = RESTORE_MODES.MERGE, dryRun = false } = {}) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      if (!Object.values(RESTORE_MODES).includes(mode)) {
+        return {
+          success: false,
+          message: 'Unknown restore mode'
+        };
+      }
+
+      const { valid, errors } = this.validate(backup);
+      if (!valid) {
+        return {
+          success: false,
+          errors: errors,
+          message: errors[0]
+        };
+      }
+
+      const report = {
+        mode: mode,
+        dryRun: dryRun,
+        added: { connections: 0, appointments: 0, moods: 0 },
+        removed: { connections: 0, appointments: 0, moods: 0 },
+        profile: [],
+        conflicts: [],
+        idMap: { therapists: {}, appointments: {}, moods: {} }
+      };
+
+      const therapists = await this.mapTherapists(backup, report);
+
+      // Prepare and encrypt everything up front: encryption can't run inside a transaction
+      const current = await Vault.open('users', await mindspaceDB.get('users', userId));
+      if (!current) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      const profile = await Vault.seal('users', this.planProfile(current, backup, mode, report));
+      const incoming = {
+        connections: this.remap(backup.connections, userId, therapists),
+        appointments: await this.sealAll('appointments', this.remap(backup.appointments, userId, therapists)),
+        moods: await this.sealAll('moods', this.remap(backup.moods, userId))
+      };
+
+      // One transaction, so a failure part-way leaves the account as it was
+      await mindspaceDB.transaction(
+        ['users', 'sessions', 'therapists', 'userTherapists', 'appointments', 'moods'],
+        dryRun ? 'readonly' : 'readwrite',
+        async (stores) => {
+          if (mode === RESTORE_MODES.REPLACE) {
+            await this.clearAccountData(stores, userId, report);
+          }
+          await this.restoreProfile(stores, userId, profile, report);
+          await this.restoreConnections(stores, userId, incoming.connections, therapists, report);
+          await this.restoreAppointments(stores, userId, incoming.appointments, report);
+          await this.restoreMoods(stores, userId, incoming.moods, report);
+        }
+      );
+
+      const added = report.added.connections + report.added.appointments + report.added.moods;
+      if (!dryRun) {
+        await SecurityLog.record(userId, 'data_restored', {
+          mode: mode,
+          added: added,
+          conflicts: report.conflicts.length
+        });
+      }
+
+      return {
+        success: true,
+        report: report,
+        message: dryRun
+          ? 'Restore preview ready'
+          : `Restored ${added} record(s) with ${report.conflicts.length} conflict(s)`
+      };
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'The restored data', 'Failed to restore backup')
+      };
+    }
+  }
+
+  // Match the backup's therapists to this device's by name
+  // Returns backup therapist ID -> { id, name } for the ones found
+  static async mapTherapists(backup, report) {
+    const local = await mindspaceDB.getAll('therapists');
+    const normalize = name => String(name).trim().toLowerCase();
+    const mapped = new Map();
+
+    backup.therapists.forEach(therapist => {
+      const match = local.find(candidate => normalize(candidate.name) === normalize(therapist.name));
+      if (match) {
+        mapped.set(therapist.id, { id: match.id, name: match.name });
+        report.idMap.therapists[therapist.id] = match.id;
+        return;
+      }
+
+      const skipped = [...backup.connections, ...backup.appointments]
+        .filter(record => record.therapistId === therapist.id).length;
+      report.conflicts.push({
+        type: 'therapist',
+        key: therapist.name,
+        message: `Not found on this device; ${skipped} connection(s) and appointment(s) skipped`
+      });
+    });
+
+    return mapped;
+  }
+
+  // Copy backup records onto this account, translating therapist IDs
+  // Records whose therapist was not found are dropped (mapTherapists reported them)
+  static remap(records, userId, therapists = null) {
+    return records
+      .filter(record => !therapists || therapists.has(record.therapistId))
+      .map(({ id, uuid, updatedAt, fieldTimes, ...record }) => ({
+        sourceId: id,
+        record: therapists
+          ? { ...record, userId: userId, therapistId: therapists.get(record.therapistId).id }
+          : { ...record, userId: userId }
+      }));
+  }
+
+  // Encrypt the vault fields of remapped records
+  static async sealAll(storeName, entries) {
+    const sealed = [];
+    for (const entry of entries) {
+      sealed.push({ ...entry, record: await Vault.seal(storeName, entry.record) });
+    }
+    return sealed;
+  }
+
+  // Work out which profile fields and preferences a restore changes
+  // Merge only fills in blanks; replace takes the backup's values
+  static planProfile(current, backup, mode, report) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const isBlank = value => value === undefined || value === null || value === '' ||
+      (typeof value === 'object' && Object.values(value).every(part => part === '' || part === null || part === undefined));
+    const updates = {};
+
+    BACKUP_PROFILE_FIELDS.forEach(field => {
+      const value = backup.profile[field];
+      if (value === undefined || same(value, current[field])) return;
+
+      if (mode === RESTORE_MODES.MERGE && !isBlank(current[field])) {
+        report.conflicts.push({
+          type: 'profile',
+          key: field,
+          message: 'Differs from the backup; kept your current value'
+        });
+        return;
+      }
+      updates[field] = value;
+    });
+
+    // Preferences are merged key by key, with the winning side on top
+    const preferences = mode === RESTORE_MODES.MERGE
+      ? { ...backup.preferences, ...current.preferences }
+      : { ...current.preferences, ...backup.preferences };
+    if (!same(preferences, current.preferences || {})) {
+      updates.preferences = preferences;
+    }
+
+    return updates;
+  }
+
+  // Replace mode: remove the account's own connections, appointments and moods first
+  static async clearAccountData(stores, userId, report) {
+    const targets = { connections: 'userTherapists', appointments: 'appointments', moods: 'moods' };
+
+    for (const [key, storeName] of Object.entries(targets)) {
+      const records = await stores[storeName].getByIndex('userId', userId);
+      report.removed[key] = records.length;
+      if (report.dryRun) continue;
+
+      for (const record of records) {
+        await stores[storeName].delete(record.id);
+      }
+    }
+  }
+
+  static async restoreProfile(stores, userId, updates, report) {
+    const user = await stores.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Never take an email or username another account is using
+    for (const field of BACKUP_UNIQUE_FIELDS) {
+      if (updates[field] === undefined) continue;
+
+      const owners = await stores.users.getByIndex(field, updates[field]);
+      if (owners.some(owner => owner.id !== userId)) {
+        report.conflicts.push({
+          type: 'profile',
+          key: field,
+          message: `Another account already uses this ${field}; kept yours`
+        });
+        delete updates[field];
+      }
+    }
+
+    report.profile = Object.keys(updates);
+    if (report.dryRun || report.profile.length === 0) return;
+
+    await stores.users.put({ ...user, ...updates, id: userId });
+
+    // Keep the session's copy of the name and email in step, as Auth.updateProfile does
+    if (updates.fullName || updates.email) {
+      const session = await stores.sessions.get(userId);
+      if (session) {
+        session.fullName = updates.fullName || session.fullName;
+        session.email = updates.email || session.email;
+        await stores.sessions.put(session);
+      }
+    }
+  }
+
+  static async restoreConnections(stores, userId, entries, therapists, report) {
+    const replacing = report.mode === RESTORE_MODES.REPLACE;
+    const seen = new Set();
+
+    for (const { record } of entries) {
+      const name = [...therapists.values()].find(therapist => therapist.id === record.therapistId).name;
+
+      if (seen.has(record.therapistId)) {
+        report.conflicts.push({ type: 'connection', key: name, message: 'Listed twice in the backup; kept the first' });
+        continue;
+      }
+      seen.add(record.therapistId);
+
+      const existing = await stores.userTherapists.getByIndex('userTherapist', [userId, record.therapistId]);
+      if (!replacing && existing.length > 0) {
+        report.conflicts.push({ type: 'connection', key: name, message: 'Already connected; kept your current sharing settings' });
+        continue;
+      }
+
+      if (!report.dryRun) {
+        await stores.userTherapists.add(record);
+      }
+      report.added.connections++;
+    }
+  }
+
+  static async restoreAppointments(stores, userId, entries, report) {
+    const replacing = report.mode === RESTORE_MODES.REPLACE;
+    const restored = [];
+
+    for (const { sourceId, record } of entries) {
+      const key = `${record.date} ${record.time}`;
+
+      // In replace mode the account's own bookings are going away, so they never conflict
+      const booked = (await stores.appointments.getByIndex('therapistDate', [record.therapistId, record.date]))
+        .filter(apt => !(replacing && apt.userId === userId))
+        .concat(restored.filter(apt => apt.therapistId === record.therapistId));
+
+      const duplicate = booked.find(apt =>
+        apt.userId === userId &&
+        apt.date === record.date &&
+        apt.time === record.time &&
+        apt.createdAt === record.createdAt
+      );
+      if (duplicate) {
+        report.conflicts.push({ type: 'appointment', key: key, message: 'Already in your appointments' });
+        continue;
+      }
+
+      // Cancelled appointments don't hold a slot, so they always come back
+      const therapist = await stores.therapists.get(record.therapistId);
+      if (record.status !== 'cancelled' && ScheduleUtils.findConflict(booked, record.date, record.time, ScheduleUtils.getDuration(record), {
+        bufferMinutes: ScheduleUtils.getBuffer(therapist)
+      })) {
+        report.conflicts.push({ type: 'appointment', key: key, message: 'The therapist has another booking at this time; skipped' });
+        continue;
+      }
+
+      // Backups from before appointments stored their instant hold the therapist's wall-clock time
+      const anchored = record.startsAt ? record : { ...record, ...ScheduleUtils.getAnchor(therapist, record.date, record.time) };
+      if (!report.dryRun) {
+        const appointmentId = await stores.appointments.add(anchored);
+        if (sourceId !== undefined) report.idMap.appointments[sourceId] = appointmentId;
+      }
+      restored.push(anchored);
+      report.added.appointments++;
+    }
+  }
+
+  static async restoreMoods(stores, userId, entries, report) {
+    const replacing = report.mode === RESTORE_MODES.REPLACE;
+    const seen = new Set();
+
+    for (const { sourceId, record } of entries) {
+      // One mood entry per day, as MoodTracker.logMood keeps it
+      if (seen.has(record.date)) {
+        report.conflicts.push({ type: 'mood', key: record.date, message: 'More than one entry for this day in the backup; kept the first' });
+        continue;
+      }
+      seen.add(record.date);
+
+      const existing = await stores.moods.getByIndex('userDate', [userId, record.date]);
+      if (!replacing && existing.length > 0) {
+        report.conflicts.push({ type: 'mood', key: record.date, message: 'You already have an entry for this day; kept yours' });
+        continue;
+      }
+
+      if (!report.dryRun) {
+        const moodId = await stores.moods.add(record);
+        if (sourceId !== undefined) report.idMap.moods[sourceId] = moodId;
+      }
+      report.added.moods++;
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.DataBackup = DataBackup;
+}
@@ -0,0 +1,603 @@
+// calendar.js - iCalendar (.ics) Export and Import for MindSpace
+
+// Exported files hold one VEVENT per appointment whose UID comes from the appointment's uuid, so a
+// calendar importing a newer file (or re-reading the feed) updates its copy instead of adding another,
+// and a cancelled appointment stays in the file as STATUS:CANCELLED so the calendar drops it too.
+// Imported files are the client's own calendars: only their busy times are kept, on this device,
+// so booking can flag clashes (AppointmentManager.hasConflict).
+
+const ICAL_CONFIG = {
+  productId: '-//MindSpace//Appointments//EN',
+  uidDomain: 'mindspace.app',       // exported UIDs are <appointment uuid>@uidDomain
+  calendarName: 'MindSpace Appointments',
+  feedFileName: 'mindspace-appointments.ics',
+  feedRefresh: 'PT1H',              // how often subscribed calendars should re-read the feed
+  maxLineOctets: 75,                // longer lines are folded (RFC 5545 3.1)
+  importDays: 365,                  // busy times kept from an imported file, counted from today
+  maxImportEvents: 5000             // busy times kept from one file (the earliest ones)
+};
+
+// BYDAY codes, in the order getUTCDay() counts days
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+class ICalendar {
+  // ---- Export ----
+
+  // A single appointment, whatever its status
+  static async exportAppointment(appointmentId) {
+    try {
+      const appointment = await AppointmentManager.getAppointmentById(appointmentId);
+      if (!appointment) {
+        return {
+          success: false,
+          message: 'Appointment not found'
+        };
+      }
+
+      return {
+        success: true,
+        calendar: await this.build([appointment]),
+        fileName: `mindspace-appointment-${appointment.date}.ics`,
+        count: 1,
+        message: 'Calendar file created'
+      };
+    } catch (error) {
+      console.error('Error exporting appointment:', error);
+      return {
+        success: false,
+        message: 'Failed to export the appointment'
+      };
+    }
+  }
+
+  // A client's sessions still to come, with upcoming cancellations so calendars drop them
+  static async exportUpcoming(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const now = new Date();
+      const appointments = (await AppointmentManager.getUserAppointments(userId, DateUtils.toDateKey(now, -1)))
+        .filter(apt => isFutureAppointment(apt, now) &&
+          (apt.status === 'confirmed' || (apt.status === 'cancelled' && !apt.archivedAt)));
+
+      return {
+        success: true,
+        calendar: await this.build(appointments),
+        fileName: `mindspace-upcoming-${DateUtils.toDateKey(now)}.ics`,
+        count: appointments.length,
+        message: `${appointments.length} appointment(s) exported`
+      };
+    } catch (error) {
+      console.error('Error exporting upcoming appointments:', error);
+      return {
+        success: false,
+        message: 'Failed to export appointments'
+      };
+    }
+  }
+
+  // Every appointment a client has, past and cancelled ones included: a file that can replace
+  // itself in a subscribed calendar each time it is regenerated (see watchFeed)
+  static async createFeed(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const appointments = await AppointmentManager.getUserAppointments(userId);
+      return {
+        success: true,
+        calendar: await this.build(appointments, { feed: true }),
+        fileName: ICAL_CONFIG.feedFileName,
+        count: appointments.length,
+        message: `${appointments.length} appointment(s) in the feed`
+      };
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+      return {
+        success: false,
+        message: 'Failed to create the calendar feed'
+      };
+    }
+  }
+
+  // Regenerate the feed now and after every change to the client's appointments, handing each
+  // version to onFeed(calendar) (e.g. to write it to a file). Returns a function that stops.
+  static watchFeed(userId, onFeed) {
+    let stopped = false;
+    let pending = Promise.resolve();
+
+    // One regeneration at a time, so versions reach onFeed in order
+    const regenerate = () => {
+      pending = pending.then(async () => {
+        if (stopped) return;
+        const result = await this.createFeed(userId);
+        if (!result.success) {
+          console.error('Calendar feed not updated:', result.message);
+          return;
+        }
+        await onFeed(result.calendar);
+      }).catch(error => console.error('Error updating calendar feed:', error));
+      return pending;
+    };
+
+    const unsubscribe = mindspaceDB.onChange('appointments', changes => {
+      // Deletes don't say whose appointment it was
+      if (changes.some(change => change.userId === userId || change.userId === undefined)) regenerate();
+    });
+    regenerate();
+
+    return () => {
+      stopped = true;
+      unsubscribe();
+    };
+  }
+
+  // Save a calendar file through the browser's downloads
+  static download(calendar, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar' }));
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // The text of a calendar holding these appointments
+  static async build(appointments, { feed = false } = {}) {
+    const therapists = new Map();
+    for (const therapistId of new Set(appointments.map(apt => apt.therapistId))) {
+      therapists.set(therapistId, await mindspaceDB.get('therapists', therapistId));
+    }
+
+    const now = new Date();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${ICAL_CONFIG.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(ICAL_CONFIG.calendarName)}`
+    ];
+    if (feed) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${ICAL_CONFIG.feedRefresh}`, `X-PUBLISHED-TTL:${ICAL_CONFIG.feedRefresh}`);
+    }
+
+    [...appointments]
+      .sort((a, b) => TimeZoneUtils.getStart(a) - TimeZoneUtils.getStart(b))
+      .forEach(apt => lines.push(...this.formatEvent(apt, therapists.get(apt.therapistId), now)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // VEVENT lines for one appointment. Times are written in UTC, so no VTIMEZONE is needed;
+  // private notes are never written.
+  static formatEvent(appointment, therapist, now) {
+    const start = TimeZoneUtils.getStart(appointment);
+    const end = new Date(start.getTime() + ScheduleUtils.getDuration(appointment) * 60000);
+    const cancelled = appointment.status === 'cancelled';
+    const therapistName = therapist ? therapist.name : 'your therapist';
+
+    const details = [`${appointment.type || 'Regular Session'}, ${ScheduleUtils.getDuration(appointment)} minutes`];
+    if (appointment.timeZone) {
+      const wall = TimeZoneUtils.toWallTime(start, appointment.timeZone);
+      details.push(`Therapist's time: ${wall.time} ${TimeZoneUtils.getZoneName(start, appointment.timeZone)} (${appointment.timeZone})`);
+    }
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${this.getUid(appointment)}`,
+      `DTSTAMP:${this.formatInstant(now)}`,
+      `DTSTART:${this.formatInstant(start)}`,
+      `DTEND:${this.formatInstant(end)}`,
+      `SEQUENCE:${this.getSequence(appointment)}`,
+      `SUMMARY:${this.escapeText(`Therapy session with ${therapistName}`)}`,
+      `DESCRIPTION:${this.escapeText(details.join('\n'))}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `TRANSP:${cancelled ? 'TRANSPARENT' : 'OPAQUE'}`
+    ];
+    if (appointment.createdAt) lines.push(`CREATED:${this.formatInstant(appointment.createdAt)}`);
+    if (appointment.updatedAt) lines.push(`LAST-MODIFIED:${this.formatInstant(appointment.updatedAt)}`);
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  // The same on every export and every device (the uuid is synced along with the appointment)
+  static getUid(appointment) {
+    return `${appointment.uuid || `appointment-${appointment.id}`}@${ICAL_CONFIG.uidDomain}`;
+  }
+
+  // Calendars only take an update whose SEQUENCE is at least the one they have; seconds from
+  // booking to the last change grow with every change
+  static getSequence(appointment) {
+    if (!appointment.createdAt || !appointment.updatedAt) return 0;
+    return Math.max(0, Math.floor((Date.parse(appointment.updatedAt) - Date.parse(appointment.createdAt)) / 1000));
+  }
+
+  // e.g. "20300107T090000Z"
+  static formatInstant(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  static escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Split a line into pieces of at most maxLineOctets bytes, continued with a leading space
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    const pieces = [];
+    let piece = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > ICAL_CONFIG.maxLineOctets) {
+        pieces.push(piece);
+        piece = ' ';
+        octets = 1;
+      }
+      piece += char;
+      octets += size;
+    }
+    pieces.push(piece);
+    return pieces.join('\r\n');
+  }
+
+  // ---- Import ----
+
+  // Read the events of a .ics file: { success, events } or { success: false, message }.
+  // Each event: { uid, start, end, allDay, durationMinutes, status, transparent, rule, ruleSupported, exdates, recurrenceId }
+  // where start/end are { date, time, zone } wall-clock times.
+  static parse(text) {
+    const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+      return {
+        success: false,
+        message: 'The file is not an iCalendar (.ics) file'
+      };
+    }
+
+    const events = [];
+    let properties = null;  // the open VEVENT's properties by name
+    let nested = 0;         // depth of components inside it (alarms), whose properties are ignored
+
+    for (const line of lines) {
+      const property = this.parseLine(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN') {
+        if (properties) nested++;
+        else if (property.value.toUpperCase() === 'VEVENT') properties = {};
+        continue;
+      }
+      if (property.name === 'END') {
+        if (nested > 0) nested--;
+        else if (properties && property.value.toUpperCase() === 'VEVENT') {
+          const event = this.readEvent(properties);
+          if (event) events.push(event);
+          properties = null;
+        }
+        continue;
+      }
+      if (properties && nested === 0) {
+        (properties[property.name] = properties[property.name] || []).push(property);
+      }
+    }
+
+    return {
+      success: true,
+      events: events
+    };
+  }
+
+  // { name, params, value } for a content line such as DTSTART;TZID=Europe/Berlin:20300107T090000
+  static parseLine(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') quoted = !quoted;
+      if (line[i] !== ':' || quoted) continue;
+
+      const [name, ...rawParams] = line.slice(0, i).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+      const params = {};
+      rawParams.forEach(param => {
+        const [key, ...value] = param.split('=');
+        params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+    return null;
+  }
+
+  // One parsed event, or null without a readable start
+  static readEvent(properties) {
+    const first = name => (properties[name] ? properties[name][0] : null);
+    const start = first('DTSTART') && this.parseDateTime(first('DTSTART'));
+    if (!start) return null;
+
+    let durationMinutes = start.allDay ? 24 * 60 : 0;
+    const endValue = first('DTEND') && this.parseDateTime(first('DTEND'));
+    if (endValue) {
+      durationMinutes = Math.round((this.toInstant(endValue) - this.toInstant(start)) / 60000);
+    } else if (first('DURATION')) {
+      durationMinutes = this.parseDuration(first('DURATION').value);
+    }
+
+    const rule = first('RRULE') ? this.parseRule(first('RRULE').value) : null;
+    const exdates = (properties.EXDATE || []).flatMap(property => property.value.split(',')
+      .map(value => this.parseDateTime({ params: property.params, value }))
+      .filter(Boolean)
+      .map(value => this.toInstant(value).getTime()));
+    const recurrenceId = first('RECURRENCE-ID') && this.parseDateTime(first('RECURRENCE-ID'));
+
+    return {
+      uid: first('UID') ? first('UID').value.trim() : '',
+      start: start,
+      allDay: start.allDay,
+      durationMinutes: Math.max(0, durationMinutes),
+      status: first('STATUS') ? first('STATUS').value.trim().toUpperCase() : 'CONFIRMED',
+      transparent: first('TRANSP') ? first('TRANSP').value.trim().toUpperCase() === 'TRANSPARENT' : false,
+      rule: rule,
+      exdates: exdates,
+      recurrenceId: recurrenceId ? this.toInstant(recurrenceId).getTime() : null
+    };
+  }
+
+  // { date, time, zone, allDay } for a date or date-time value, or null when unreadable.
+  // UTC values are in 'UTC', floating ones and dates in this browser's zone.
+  static parseDateTime(property) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(property.value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (hours === undefined) {
+      return { date, time: '00:00', zone: TimeZoneUtils.getLocalZone(), allDay: true };
+    }
+    return { date, time: `${hours}:${minutes}`, zone: utc ? 'UTC' : this.getZone(property.params.TZID), allDay: false };
+  }
+
+  // IANA zone for a TZID; some calendars prefix it (e.g. "/mozilla.org/20070129_1/Europe/Berlin").
+  // Zones this browser doesn't know (such as Windows names) are read as local time.
+  static getZone(tzid) {
+    if (!tzid) return TimeZoneUtils.getLocalZone();
+    if (TimeZoneUtils.isValidZone(tzid)) return tzid;
+
+    const match = /([A-Za-z]+\/[A-Za-z0-9_+-]+(?:\/[A-Za-z0-9_+-]+)?)$/.exec(tzid);
+    return match && TimeZoneUtils.isValidZone(match[1]) ? match[1] : TimeZoneUtils.getLocalZone();
+  }
+
+  static toInstant(wallTime) {
+    return TimeZoneUtils.toInstant(wallTime.date, wallTime.time, wallTime.zone);
+  }
+
+  // Minutes in a DURATION value such as "PT50M" or "P1DT2H" (0 when unreadable)
+  static parseDuration(value) {
+    const match = /^[+-]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return 0;
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => Number(part) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+  }
+
+  // { freq, interval, count, until, byDay, supported } for an RRULE. Daily, weekly (on weekdays),
+  // monthly and yearly repeats are expanded; other rules (such as "the second Tuesday") are not.
+  static parseRule(value) {
+    const parts = {};
+    value.split(';').forEach(part => {
+      const [key, rest = ''] = part.split('=');
+      parts[key.trim().toUpperCase()] = rest.trim().toUpperCase();
+    });
+
+    const rule = {
+      freq: parts.FREQ,
+      interval: Math.max(1, parseInt(parts.INTERVAL) || 1),
+      count: parts.COUNT ? parseInt(parts.COUNT) : null,
+      until: parts.UNTIL ? this.parseDateTime({ params: {}, value: parts.UNTIL }) : null,
+      byDay: parts.BYDAY ? parts.BYDAY.split(',') : null
+    };
+
+    const known = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+    rule.supported = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) &&
+      Object.keys(parts).every(key => known.includes(key) || !key) &&
+      (!rule.byDay || (rule.freq === 'WEEKLY' && rule.byDay.every(day => ICAL_WEEKDAYS.includes(day))));
+    return rule;
+  }
+
+  // YYYY-MM-DD some days after another (counted in UTC, so clock changes don't shift it)
+  static shiftDate(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+  }
+
+  // Dates (YYYY-MM-DD) of one period of a rule: the period-th day, week, month or year after the start
+  static getPeriodDates(start, rule, period) {
+    const steps = period * rule.interval;
+    const [year, month, day] = start.date.split('-').map(Number);
+
+    if (rule.freq === 'DAILY') return [this.shiftDate(start.date, steps)];
+    if (rule.freq === 'WEEKLY') {
+      if (!rule.byDay) return [this.shiftDate(start.date, steps * 7)];
+      const weekday = new Date(`${start.date}T00:00:00Z`).getUTCDay();
+      const monday = this.shiftDate(start.date, steps * 7 - (weekday + 6) % 7);
+      return rule.byDay
+        .map(code => this.shiftDate(monday, (ICAL_WEEKDAYS.indexOf(code) + 6) % 7))
+        .filter(date => date >= start.date)
+        .sort();
+    }
+
+    // Months or years without the start's day (the 31st, February 29th) are skipped
+    const target = rule.freq === 'MONTHLY'
+      ? new Date(Date.UTC(year, month - 1 + steps, day))
+      : new Date(Date.UTC(year + steps, month - 1, day));
+    return target.getUTCDate() === day ? [target.toISOString().slice(0, 10)] : [];
+  }
+
+  // Start instants (ms) of an event's occurrences up to `until` (ms)
+  static getOccurrenceStarts(event, until) {
+    const first = this.toInstant(event.start).getTime();
+    if (!event.rule || !event.rule.supported) return [first];
+
+    // UNTIL is inclusive: a date-only one lasts to the end of that day
+    const rule = event.rule;
+    let ruleEnd = Infinity;
+    if (rule.until) {
+      ruleEnd = rule.until.allDay
+        ? TimeZoneUtils.toInstant(this.shiftDate(rule.until.date, 1), '00:00', event.start.zone).getTime()
+        : this.toInstant(rule.until).getTime() + 1;
+    }
+    const starts = [];
+    let counted = 0;
+
+    // Periods without a date (skipped months) still count towards the limit, so this always ends
+    for (let period = 0; period < 10000; period++) {
+      for (const date of this.getPeriodDates(event.start, rule, period)) {
+        const start = TimeZoneUtils.toInstant(date, event.start.time, event.start.zone).getTime();
+        if (start > until || start >= ruleEnd || (rule.count && counted >= rule.count)) {
+          return starts;
+        }
+        counted++;
+        starts.push(start);
+      }
+    }
+    return starts;
+  }
+
+  // Busy times ({ uid, start, end } in ISO) of parsed events from now to importDays ahead,
+  // and what was left out: events MindSpace exported itself, free or cancelled ones,
+  // and repeating ones whose rule couldn't be expanded (only their first date is kept)
+  static getBusyTimes(events, now = new Date()) {
+    const until = now.getTime() + ICAL_CONFIG.importDays * 24 * 60 * 60 * 1000;
+    const ownSuffix = `@${ICAL_CONFIG.uidDomain}`;
+    const report = { own: 0, free: 0, cancelled: 0, unsupported: 0 };
+
+    // Occurrences moved or changed on their own, by UID and original start
+    const overridden = new Set(events
+      .filter(event => event.recurrenceId !== null)
+      .map(event => `${event.uid}/${event.recurrenceId}`));
+
+    const busy = [];
+    events.forEach(event => {
+      if (event.uid.endsWith(ownSuffix)) {
+        report.own++;
+        return;
+      }
+      if (event.status === 'CANCELLED') {
+        report.cancelled++;
+        return;
+      }
+      if (event.transparent) {
+        report.free++;
+        return;
+      }
+      if (event.rule && !event.rule.supported) report.unsupported++;
+
+      const starts = event.recurrenceId !== null ? [this.toInstant(event.start).getTime()] : this.getOccurrenceStarts(event, until);
+      starts.forEach(start => {
+        if (event.recurrenceId === null && event.rule &&
+          (event.exdates.includes(start) || overridden.has(`${event.uid}/${start}`))) return;
+
+        // All-day events end at midnight of their last day, whatever the clocks did
+        let end = start + event.durationMinutes * 60000;
+        if (event.allDay) {
+          const date = TimeZoneUtils.toWallTime(start, event.start.zone).date;
+          end = TimeZoneUtils.toInstant(this.shiftDate(date, Math.max(1, Math.round(event.durationMinutes / (24 * 60)))), '00:00', event.start.zone).getTime();
+        }
+        if (end <= now.getTime() || start > until || end <= start) return;
+
+        busy.push({ uid: event.uid, start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+      });
+    });
+
+    busy.sort((a, b) => a.start.localeCompare(b.start));
+    return { busy: busy.slice(0, ICAL_CONFIG.maxImportEvents), report };
+  }
+
+  // Keep the busy times of a client's calendar file, replacing those last imported from a file
+  // of the same name. Nothing but the times is kept.
+  static async importFile(userId, text, source) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const parsed = this.parse(text);
+      if (!parsed.success) return parsed;
+
+      const { busy, report } = this.getBusyTimes(parsed.events);
+      const importedAt = new Date().toISOString();
+
+      await mindspaceDB.transaction(['calendarEvents'], 'readwrite', async (stores) => {
+        await stores.calendarEvents.forEach('userId', userId, cursor => {
+          if (cursor.value.source === source) cursor.delete();
+        });
+        for (const time of busy) {
+          await stores.calendarEvents.add({ userId, ...time, source, importedAt });
+        }
+      });
+
+      let message = `Imported ${busy.length} busy time(s) from ${source}`;
+      if (report.unsupported > 0) {
+        message += `. ${report.unsupported} repeating event(s) use rules MindSpace can't read, so only their first date was imported`;
+      }
+      return {
+        success: true,
+        imported: busy.length,
+        report: report,
+        message: message
+      };
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'Your calendar', 'Failed to import the calendar')
+      };
+    }
+  }
+
+  // A client's imported calendars: [{ source, events, importedAt }]
+  static async getImported(userId) {
+    try {
+      if (await Access.requireSelf(userId)) return [];
+      const bySource = new Map();
+      (await mindspaceDB.getByIndex('calendarEvents', 'userId', userId)).forEach(event => {
+        const entry = bySource.get(event.source) || { source: event.source, events: 0, importedAt: event.importedAt };
+        entry.events++;
+        bySource.set(event.source, entry);
+      });
+      return [...bySource.values()].sort((a, b) => a.source.localeCompare(b.source));
+    } catch (error) {
+      console.error('Error getting imported calendars:', error);
+      return [];
+    }
+  }
+
+  // Forget the busy times imported from one file
+  static async removeImported(userId, source) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      await mindspaceDB.transaction(['calendarEvents'], 'readwrite', async (stores) => {
+        await stores.calendarEvents.forEach('userId', userId, cursor => {
+          if (cursor.value.source === source) cursor.delete();
+        });
+      });
+      return {
+        success: true,
+        message: `Removed ${source}`
+      };
+    } catch (error) {
+      console.error('Error removing imported calendar:', error);
+      return {
+        success: false,
+        message: 'Failed to remove the calendar'
+      };
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.ICalendar = ICalendar;
+}
@@ -1,13 +1,83 @@
-// db.js - IndexedDB Database Setup and Operations for MindSpace
+// db.js - Database Setup and Operations for MindSpace
 
 const DB_NAME = 'MindSpaceDB';
-const DB_VERSION = 1;
+
+// Kinds of change reported to onChange listeners
+const CHANGE_TYPES = {
+  ADD: 'add',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+// Stores whose records carry sync metadata and queue their local writes in the sync outbox (see sync.js)
+const SYNCED_STORES = ['userTherapists', 'appointments', 'moods'];
+const SYNC_OUTBOX = 'syncOutbox';
+
+// Fields that only mean something on this device; every other field is synced on its own
+const SYNC_LOCAL_FIELDS = ['id', 'userId', 'uuid', 'updatedAt', 'fieldTimes'];
+
+// Give a record of a synced store its uuid and stamp each field that differs from the stored copy
+// Returns { record, fields, base }: the changed fields and the times they had before
+function stampSyncRecord(record, existing, now) {
+  const previous = existing || {};
+  const fieldTimes = { ...previous.fieldTimes };
+  const fields = [];
+  const base = {};
+
+  new Set([...Object.keys(previous), ...Object.keys(record)]).forEach(field => {
+    if (SYNC_LOCAL_FIELDS.includes(field)) return;
+    if (JSON.stringify(previous[field]) === JSON.stringify(record[field])) return;
+    fields.push(field);
+    base[field] = fieldTimes[field] || null;
+    fieldTimes[field] = now;
+  });
+
+  return {
+    record: {
+      ...record,
+      uuid: previous.uuid || record.uuid || crypto.randomUUID(),
+      updatedAt: fields.length > 0 ? now : (previous.updatedAt || now),
+      fieldTimes
+    },
+    fields,
+    base
+  };
+}
+
+// A write failed because the browser has no storage space left for MindSpace
+class StorageFullError extends Error {
+  constructor(message = 'This device is out of storage space for MindSpace') {
+    super(message);
+    this.name = 'StorageFullError';
+  }
+
+  // Message for a manager's failed write: what wasn't saved when storage ran out, the fallback otherwise
+  static describe(error, what, fallback) {
+    return error instanceof StorageFullError
+      ? `${what} could not be saved because this device is out of storage space`
+      : fallback;
+  }
+}
+
+// Check if an appointment is still ahead of a point in time
+function isFutureAppointment(appointment, now = new Date()) {
+  return TimeZoneUtils.getStart(appointment) > now;
+}
 
 class MindSpaceDB {
-  constructor() {
-    this.db = null;
+  // Schema steps live in migrations.js; another name and step list can be passed for fixture databases.
+  // Records are kept by a storage driver (storage.js): IndexedDB in the browser, memory under Node.
+  constructor(name = DB_NAME, migrations = MIGRATIONS, driver = createDefaultDriver()) {
+    SchemaMigrator.validate(migrations);
+    this.name = name;
+    this.migrations = migrations;
+    this.version = SchemaMigrator.latestVersion(migrations);
+    this.driver = driver;
+    this.db = null; // the driver's open connection
     this.ready = false;
     this.readyPromise = null;
+    this.changeListeners = [];
+    this.changeChannel = null;
   }
 
   // Initialize database
@@ -23,71 +93,124 @@ class MindSpaceDB {
     }
 
     // Create new initialization promise
-    this.readyPromise = new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const upgrade = (schema, oldVersion, newVersion) => SchemaMigrator.run(
+      schema,
+      oldVersion,
+      newVersion,
+      this.migrations,
+      progress => this.reportMigrationProgress(progress)
+    ).catch(error => {
+      console.error('Database migration failed:', error);
+      throw error;
+    });
 
-      request.onerror = () => {
-        this.ready = false;
-        reject(request.error);
-      };
-      
-      request.onsuccess = () => {
-        this.db = request.result;
+    this.readyPromise = this.driver.open(this.name, this.version, upgrade)
+      .then(connection => {
+        this.db = connection;
         this.ready = true;
-        resolve(this.db);
-      };
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
+        // Let a newer version open in another tab instead of blocking it
+        connection.onVersionChange(() => {
+          this.db = null;
+          this.ready = false;
+          this.readyPromise = null;
+        });
 
-        // Users store
-        if (!db.objectStoreNames.contains('users')) {
-          const userStore = db.createObjectStore('users', { keyPath: 'id', autoIncrement: true });
-          userStore.createIndex('email', 'email', { unique: true });
-          userStore.createIndex('username', 'username', { unique: true });
-        }
+        return connection;
+      })
+      .catch(error => {
+        this.ready = false;
+        this.readyPromise = null;
+        throw error;
+      });
 
-        // Therapists store
-        if (!db.objectStoreNames.contains('therapists')) {
-          const therapistStore = db.createObjectStore('therapists', { keyPath: 'id', autoIncrement: true });
-          therapistStore.createIndex('specialization', 'specialization', { unique: false });
-          therapistStore.createIndex('name', 'name', { unique: false });
-        }
+    return this.readyPromise;
+  }
 
-        // User-Therapist relationships store
-        if (!db.objectStoreNames.contains('userTherapists')) {
-          const utStore = db.createObjectStore('userTherapists', { keyPath: 'id', autoIncrement: true });
-          utStore.createIndex('userId', 'userId', { unique: false });
-          utStore.createIndex('therapistId', 'therapistId', { unique: false });
-          utStore.createIndex('userTherapist', ['userId', 'therapistId'], { unique: true });
-        }
+  // Swap the storage driver, e.g. for a JsonFileDriver under Node (only before the database is opened)
+  useDriver(driver) {
+    if (this.db || this.readyPromise) {
+      throw new Error('The storage driver must be chosen before the database is opened');
+    }
+    this.driver = driver;
+  }
 
-        // Appointments store
-        if (!db.objectStoreNames.contains('appointments')) {
-          const appointmentStore = db.createObjectStore('appointments', { keyPath: 'id', autoIncrement: true });
-          appointmentStore.createIndex('userId', 'userId', { unique: false });
-          appointmentStore.createIndex('therapistId', 'therapistId', { unique: false });
-          appointmentStore.createIndex('date', 'date', { unique: false });
-          appointmentStore.createIndex('status', 'status', { unique: false });
-        }
+  // Log migration progress and let pages show it (listen for 'mindspace:migration' on window)
+  reportMigrationProgress(progress) {
+    if (progress.done) {
+      console.log(`Migrated database to version ${progress.version}: ${progress.description}` +
+        (progress.processed ? ` (${progress.processed} records)` : ''));
+    }
 
-        // Moods store
-        if (!db.objectStoreNames.contains('moods')) {
-          const moodStore = db.createObjectStore('moods', { keyPath: 'id', autoIncrement: true });
-          moodStore.createIndex('userId', 'userId', { unique: false });
-          moodStore.createIndex('date', 'date', { unique: false });
-          moodStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
+    if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('mindspace:migration', { detail: progress }));
+    }
+  }
 
-        // Sessions store (for authentication)
-        if (!db.objectStoreNames.contains('sessions')) {
-          const sessionStore = db.createObjectStore('sessions', { keyPath: 'userId' });
-          sessionStore.createIndex('token', 'token', { unique: true });
-        }
+  // Subscribe to committed writes on some stores ('*' for all of them)
+  // The listener gets one array per transaction of { type, store, key, userId, therapistId, date, origin },
+  // where origin is 'local' for this tab, 'sync' for changes this tab pulled from the sync server
+  // and 'remote' for changes relayed from another tab.
+  // Returns a function that unsubscribes.
+  onChange(storeNames, listener) {
+    const entry = {
+      stores: storeNames === '*' ? null : new Set([].concat(storeNames)),
+      listener
+    };
+    this.changeListeners.push(entry);
+    this.getChangeChannel();
+
+    return () => {
+      this.changeListeners = this.changeListeners.filter(other => other !== entry);
+    };
+  }
+
+  // BroadcastChannel shared by every tab with this database open (null where unsupported)
+  getChangeChannel() {
+    if (!this.changeChannel && typeof BroadcastChannel !== 'undefined') {
+      this.changeChannel = new BroadcastChannel(`${this.name}:changes`);
+      this.changeChannel.onmessage = (event) => {
+        const changes = event.data && Array.isArray(event.data.changes) ? event.data.changes : [];
+        this.notifyChangeListeners(changes.map(change => ({ ...change, origin: 'remote' })));
       };
-    });
+    }
+    return this.changeChannel;
+  }
 
-    return this.readyPromise;
+  // Summarize one write for listeners; records themselves never leave the tab
+  describeChange(type, storeName, key, record) {
+    const source = record || {};
+    return {
+      type,
+      store: storeName,
+      key,
+      userId: storeName === 'users' ? key : source.userId,
+      therapistId: source.therapistId,
+      date: source.date
+    };
+  }
+
+  // Report committed changes to this tab's listeners and to the other tabs
+  emitChanges(changes, origin = 'local') {
+    if (changes.length === 0) return;
+
+    const channel = this.getChangeChannel();
+    if (channel) {
+      channel.postMessage({ changes });
+    }
+    this.notifyChangeListeners(changes.map(change => ({ ...change, origin })));
+  }
+
+  notifyChangeListeners(changes) {
+    this.changeListeners.forEach(({ stores, listener }) => {
+      const relevant = stores ? changes.filter(change => stores.has(change.store)) : changes;
+      if (relevant.length === 0) return;
+
+      // Listeners run after the write's own promise settles and can't break it
+      Promise.resolve()
+        .then(() => listener(relevant))
+        .catch(error => console.error('Error in change listener:', error));
+    });
   }
 
   // Ensure database is ready before operations
@@ -97,75 +220,296 @@ class MindSpaceDB {
     }
   }
 
-  // Generic CRUD operations
+  // Generic CRUD operations, each in its own transaction
   async add(storeName, data) {
-    await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.add(data);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return this.transaction(storeName, 'readwrite', stores => stores[storeName].add(data));
   }
 
   async get(storeName, key) {
-    await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readonly');
-    const store = tx.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.get(key);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return this.transaction(storeName, 'readonly', stores => stores[storeName].get(key));
   }
 
   async getAll(storeName) {
-    await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readonly');
-    const store = tx.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return this.transaction(storeName, 'readonly', stores => stores[storeName].getAll());
+  }
+
+  // Start a range/paging query on a store (see MindSpaceQuery)
+  query(storeName) {
+    return new MindSpaceQuery(async () => {
+      await this.ensureReady();
+      return this.db.transaction(storeName, 'readonly').store(storeName);
+    }, (a, b) => this.driver.cmp(a, b));
   }
 
   async getByIndex(storeName, indexName, value) {
-    await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readonly');
-    const store = tx.objectStore(storeName);
-    const index = store.index(indexName);
-    return new Promise((resolve, reject) => {
-      const request = index.getAll(value);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return this.transaction(storeName, 'readonly', stores => stores[storeName].getByIndex(indexName, value));
   }
 
   async update(storeName, data) {
-    await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.put(data);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    return this.transaction(storeName, 'readwrite', stores => stores[storeName].put(data));
   }
 
+  // Listeners learn whose record it was: the handle reads it before deleting
   async delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', stores => stores[storeName].delete(key));
+  }
+
+  // Run a callback against several stores in one transaction, so a check and the writes
+  // that depend on it commit together or not at all. The callback receives a handle per
+  // store (see createStoreHandle) and its return value is returned once the transaction
+  // commits; throwing aborts it. Only await the handles inside the callback: waiting on
+  // anything else (WebCrypto, fetch, timers) lets the transaction commit early.
+  // Writes pulled from the sync server pass { remote: true }: they keep the sync metadata
+  // they came with and aren't queued to be pushed back.
+  async transaction(storeNames, mode, fn, { remote = false } = {}) {
     await this.ensureReady();
-    const tx = this.db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    return new Promise((resolve, reject) => {
-      const request = store.delete(key);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    // Local writes to synced stores queue an outbox entry in the same transaction
+    const queuesSync = mode === 'readwrite' && !remote && this.db.hasStore(SYNC_OUTBOX) &&
+      names.some(name => SYNCED_STORES.includes(name));
+    const tx = this.db.transaction(queuesSync && !names.includes(SYNC_OUTBOX) ? [...names, SYNC_OUTBOX] : names, mode);
+    const outbox = queuesSync ? tx.store(SYNC_OUTBOX) : null;
+
+    // Writes are reported once, after the commit
+    const changes = [];
+    const stores = {};
+    names.forEach(name => {
+      stores[name] = this.createStoreHandle(tx, name, changes, SYNCED_STORES.includes(name) ? outbox : null);
     });
+
+    let result;
+    try {
+      result = await fn(stores, tx);
+    } catch (error) {
+      try {
+        tx.abort();
+      } catch (abortError) {
+        // Already committed or aborted by a failed request
+      }
+      throw this.checkStorageFull(error);
+    }
+
+    try {
+      await tx.done;
+    } catch (error) {
+      throw this.checkStorageFull(error);
+    }
+    this.emitChanges(changes, remote ? 'sync' : 'local');
+    return result;
+  }
+
+  // Turn a failed write's quota error into a StorageFullError and tell the page (see storage-quota.js);
+  // other errors pass through
+  checkStorageFull(error) {
+    if (!isQuotaError(error)) return error;
+
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('mindspace:storage-full', { detail: { error } }));
+    }
+    return new StorageFullError();
+  }
+
+  // Promise-based access to one store inside an open transaction
+  // Writes made through it are collected in `changes` for emitChanges, and stamped and
+  // queued in the sync outbox when one is given
+  createStoreHandle(tx, storeName, changes = [], outbox = null) {
+    const store = tx.store(storeName);
+    const track = (type, key, record) => {
+      changes.push(this.describeChange(type, storeName, key, record));
+      return key;
+    };
+    const stamp = (record, existing) => outbox
+      ? stampSyncRecord(record, existing, new Date().toISOString())
+      : { record, fields: [], base: {} };
+
+    // Fold a write into the record's outbox entry, keeping the oldest base time of each field
+    const enqueue = async (op, record, existing, { fields = [], base = {} } = {}) => {
+      if (!outbox || !record.uuid || (op === 'put' && fields.length === 0)) return;
+
+      const pending = await outbox.get(record.uuid);
+      await outbox.put({
+        uuid: record.uuid,
+        store: storeName,
+        userId: existing && existing.userId !== undefined ? existing.userId : record.userId,
+        op,
+        fields: [...new Set([...(pending ? pending.fields : []), ...fields])],
+        base: { ...base, ...(pending && pending.base) },
+        at: op === 'delete' ? new Date().toISOString() : record.updatedAt
+      });
+    };
+
+    return {
+      get: key => store.get(key),
+      getAll: query => store.getAll(query),
+      getByIndex: (indexName, value) => store.getAllByIndex(indexName, value),
+      count: query => store.count(query),
+      add: async data => {
+        const stamped = stamp(data, null);
+        const key = await store.add(stamped.record);
+        await enqueue('put', stamped.record, null, stamped);
+        return track(CHANGE_TYPES.ADD, key, stamped.record);
+      },
+      put: async data => {
+        const existing = outbox && data.id !== undefined ? await store.get(data.id) : undefined;
+        const stamped = stamp(data, existing);
+        const key = await store.put(stamped.record);
+        await enqueue('put', stamped.record, existing, stamped);
+        return track(CHANGE_TYPES.UPDATE, key, stamped.record);
+      },
+      delete: async key => {
+        const existing = await store.get(key);
+        await store.delete(key);
+        if (existing) {
+          await enqueue('delete', existing, existing);
+          track(CHANGE_TYPES.DELETE, key, existing);
+        }
+      },
+      query: () => new MindSpaceQuery(() => store, (a, b) => this.driver.cmp(a, b)),
+
+      // Visit every record matching a value of an index (or the whole store when indexName is null);
+      // the callback gets a cursor ({ value, key, primaryKey, update, delete }) and may update or delete through it
+      forEach: async (indexName, value, callback) => {
+        const queued = [];
+        await store.iterate({ index: indexName, range: value }, cursor => {
+          callback({
+            value: cursor.value,
+            key: cursor.key,
+            primaryKey: cursor.primaryKey,
+            update: record => {
+              const stamped = stamp(record, cursor.value);
+              track(CHANGE_TYPES.UPDATE, cursor.primaryKey, { ...cursor.value, ...stamped.record });
+              cursor.update(stamped.record);
+              queued.push(enqueue('put', stamped.record, cursor.value, stamped));
+            },
+            delete: () => {
+              track(CHANGE_TYPES.DELETE, cursor.primaryKey, cursor.value);
+              cursor.delete();
+              queued.push(enqueue('delete', cursor.value, cursor.value));
+            }
+          });
+        });
+        await Promise.all(queued);
+      }
+    };
   }
 
-  // Seed demo data
+  // Deactivate an account in one transaction: mark the user deleted, end their session and
+  // hold their upcoming appointments (purgeUser cancels them, restoreDeletedUser releases them)
+  async softDeleteUser(userId, deletion) {
+    const now = new Date(deletion.deletedAt);
+
+    return this.transaction(['users', 'sessions', 'appointments'], 'readwrite', async ({ users, sessions, appointments }) => {
+      const user = await users.get(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await users.put({ ...user, ...deletion });
+      await sessions.delete(userId);
+
+      await appointments.forEach('userId', userId, cursor => {
+        const appointment = cursor.value;
+        if (appointment.status !== 'confirmed' || !isFutureAppointment(appointment, now)) return;
+        cursor.update({ ...appointment, heldAt: deletion.deletedAt });
+      });
+    });
+  }
+
+  // Undo softDeleteUser in one transaction: clear the deletion marks and release the held appointments
+  async restoreDeletedUser(userId) {
+    return this.transaction(['users', 'appointments'], 'readwrite', async ({ users, appointments }) => {
+      const user = await users.get(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const restored = { ...user };
+      delete restored.deletedAt;
+      delete restored.purgeAfter;
+      await users.put(restored);
+
+      await appointments.forEach('userId', userId, cursor => {
+        if (!cursor.value.heldAt) return;
+        const released = { ...cursor.value };
+        delete released.heldAt;
+        cursor.update(released);
+      });
+    });
+  }
+
+  // Permanently remove an account and everything it owns in one transaction
+  // Upcoming appointments are kept as anonymous cancellations so therapists still see them.
+  // Sync settings and unsent changes go too; copies already on a sync server are left there.
+  async purgeUser(userId) {
+    const storeNames = ['users', 'sessions', 'userTherapists', 'appointments', 'moods', 'securityEvents',
+      'retentionRuns', 'calendarEvents', SYNC_OUTBOX, 'syncConflicts', 'syncState'];
+    const now = new Date();
+
+    return this.transaction(storeNames, 'readwrite', async (stores) => {
+      await stores.users.delete(userId);
+      await stores.sessions.delete(userId);
+
+      for (const storeName of ['userTherapists', 'moods', 'securityEvents', 'retentionRuns', 'calendarEvents']) {
+        await stores[storeName].forEach('userId', userId, cursor => cursor.delete());
+      }
+
+      await stores.appointments.forEach('userId', userId, cursor => {
+        const appointment = cursor.value;
+        if (!isFutureAppointment(appointment, now)) {
+          cursor.delete();
+          return;
+        }
+
+        const cancelled = {
+          ...appointment,
+          status: 'cancelled',
+          cancelledAt: appointment.cancelledAt || now.toISOString(),
+          cancellationReason: appointment.cancellationReason || 'account_deleted',
+          notes: ''
+        };
+        delete cancelled.userId;
+        delete cancelled.heldAt;
+        cursor.update(cancelled);
+      });
+
+      for (const storeName of [SYNC_OUTBOX, 'syncConflicts']) {
+        await stores[storeName].forEach('userId', userId, cursor => cursor.delete());
+      }
+      await stores.syncState.delete(userId);
+    });
+  }
+
+  // Remove every record from every store, keeping the schema (fixture resets, see fixtures.js)
+  // Nothing is queued for sync: this wipes the device, not the account
+  async clearAll() {
+    await this.ensureReady();
+    const storeNames = this.db.storeNames();
+
+    await this.transaction(storeNames, 'readwrite', async (stores) => {
+      for (const storeName of storeNames) {
+        await stores[storeName].forEach(null, null, cursor => cursor.delete());
+      }
+    }, { remote: true });
+  }
+
+  // Purge accounts whose deletion grace period has ended
+  async purgeDeletedAccounts() {
+    await this.ensureReady();
+
+    try {
+      const users = await this.getAll('users');
+      const expired = users.filter(user => user.purgeAfter && new Date(user.purgeAfter) <= new Date());
+      for (const user of expired) {
+        await this.purgeUser(user.id);
+      }
+    } catch (error) {
+      console.error('Error purging deleted accounts:', error);
+    }
+  }
+
+  // Seed an empty database with the default fixture pack's clients and therapists (see fixtures.js);
+  // staff logins are created with Access.provisionStaff
   async seedDemoData() {
     await this.ensureReady();
     
@@ -174,125 +518,186 @@ class MindSpaceDB {
       const existingTherapists = await this.getAll('therapists');
       if (existingTherapists.length > 0) return;
 
-      // Sample therapists
-      const therapists = [
-        {
-          name: 'Dr. Sarah Mitchell',
-          specialization: 'Anxiety & Stress Management',
-          email: 'sarah.mitchell@mindspace.com',
-          phone: '+1 (555) 123-4567',
-          bio: 'Over 10 years of experience helping clients manage anxiety and stress through evidence-based techniques.',
-          availability: ['Monday', 'Tuesday', 'Wednesday', 'Thursday'],
-          rating: 4.8,
-          image: 'https://i.pravatar.cc/150?img=1'
-        },
-        {
-          name: 'Dr. James Rodriguez',
-          specialization: 'Depression & Mood Disorders',
-          email: 'james.rodriguez@mindspace.com',
-          phone: '+1 (555) 234-5678',
-          bio: 'Specialized in treating depression and mood disorders with a compassionate, holistic approach.',
-          availability: ['Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-          rating: 4.9,
-          image: 'https://i.pravatar.cc/150?img=12'
-        },
-        {
-          name: 'Dr. Emily Chen',
-          specialization: 'Trauma & PTSD',
-          email: 'emily.chen@mindspace.com',
-          phone: '+1 (555) 345-6789',
-          bio: 'Expert in trauma-focused therapy and PTSD treatment with advanced certifications in EMDR.',
-          availability: ['Monday', 'Wednesday', 'Friday'],
-          rating: 4.7,
-          image: 'https://i.pravatar.cc/150?img=5'
-        },
-        {
-          name: 'Dr. Michael Thompson',
-          specialization: 'Relationship & Family Therapy',
-          email: 'michael.thompson@mindspace.com',
-          phone: '+1 (555) 456-7890',
-          bio: 'Helping couples and families build stronger connections through effective communication.',
-          availability: ['Monday', 'Tuesday', 'Thursday', 'Friday'],
-          rating: 4.6,
-          image: 'https://i.pravatar.cc/150?img=13'
-        },
-        {
-          name: 'Dr. Lisa Patel',
-          specialization: 'Addiction & Recovery',
-          email: 'lisa.patel@mindspace.com',
-          phone: '+1 (555) 567-8901',
-          bio: '15 years supporting individuals on their journey to recovery and lasting sobriety.',
-          availability: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-          rating: 4.9,
-          image: 'https://i.pravatar.cc/150?img=9'
-        },
-        {
-          name: 'Dr. Robert Kim',
-          specialization: 'Grief & Loss Counseling',
-          email: 'robert.kim@mindspace.com',
-          phone: '+1 (555) 678-9012',
-          bio: 'Compassionate support for those navigating grief, loss, and life transitions.',
-          availability: ['Wednesday', 'Thursday', 'Friday'],
-          rating: 4.8,
-          image: 'https://i.pravatar.cc/150?img=14'
-        },
-        {
-          name: 'Dr. Amanda Foster',
-          specialization: 'Child & Adolescent Therapy',
-          email: 'amanda.foster@mindspace.com',
-          phone: '+1 (555) 789-0123',
-          bio: 'Specialized in working with children and teens using play therapy and CBT techniques.',
-          availability: ['Monday', 'Tuesday', 'Thursday'],
-          rating: 4.7,
-          image: 'https://i.pravatar.cc/150?img=10'
-        },
-        {
-          name: 'Dr. David Williams',
-          specialization: 'Career & Life Coaching',
-          email: 'david.williams@mindspace.com',
-          phone: '+1 (555) 890-1234',
-          bio: 'Empowering clients to achieve their goals and find fulfillment in their personal and professional lives.',
-          availability: ['Tuesday', 'Wednesday', 'Friday'],
-          rating: 4.5,
-          image: 'https://i.pravatar.cc/150?img=15'
+      await FixtureLoader.load(FIXTURE_PACKS[DEFAULT_FIXTURE_PACK]);
+
+      console.log('Demo data seeded successfully!');
+    } catch (error) {
+      console.error('Error seeding demo data:', error);
+    }
+  }
+}
+
+// Chainable read query over a store or one of its indexes, e.g. a user's moods for a month:
+//   mindspaceDB.query('moods').index('userDate')
+//     .between([userId, '2024-01-01'], [userId, '2024-01-31'])
+//     .reverse().limit(10).toArray()
+class MindSpaceQuery {
+  // openStore returns (a promise of) the driver store to read; cmp orders keys as the driver does
+  constructor(openStore, cmp = compareKeys) {
+    this.openStore = openStore;
+    this.cmp = cmp;
+    this.indexName = null;
+    this.keyRange = null;
+    this.cursorDirection = 'next';
+    this.skipCount = 0;
+    this.maxCount = Infinity;
+    this.predicate = null;
+  }
+
+  // Read through an index instead of the primary key
+  index(indexName) {
+    this.indexName = indexName;
+    return this;
+  }
+
+  // Key bounds; compound indexes take arrays such as [userId, date]
+  equals(value) {
+    return this.range(KeyRange.only(value));
+  }
+
+  between(lower, upper, { lowerOpen = false, upperOpen = false } = {}) {
+    return this.range(KeyRange.bound(lower, upper, lowerOpen, upperOpen));
+  }
+
+  from(lower, open = false) {
+    return this.range(KeyRange.lowerBound(lower, open));
+  }
+
+  to(upper, open = false) {
+    return this.range(KeyRange.upperBound(upper, open));
+  }
+
+  // Every key of a compound index that starts with the given values, e.g. prefix(userId) on [userId, date]
+  // (an empty array sorts after any string, number or date, so it caps the range)
+  prefix(...values) {
+    return this.between(values, [...values, []]);
+  }
+
+  range(keyRange) {
+    this.keyRange = keyRange;
+    return this;
+  }
+
+  // 'next' (ascending) or 'prev' (descending)
+  direction(direction) {
+    this.cursorDirection = direction;
+    return this;
+  }
+
+  reverse() {
+    return this.direction('prev');
+  }
+
+  offset(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.maxCount = count;
+    return this;
+  }
+
+  // Keep only records matching a predicate (applied before offset and limit)
+  filter(predicate) {
+    this.predicate = predicate;
+    return this;
+  }
+
+  async toArray() {
+    const { records } = await this.iterate();
+    return records;
+  }
+
+  async first() {
+    const [record] = await this.limit(1).toArray();
+    return record || null;
+  }
+
+  async count() {
+    if (this.predicate || this.skipCount || this.maxCount !== Infinity) {
+      return (await this.toArray()).length;
+    }
+
+    const store = await this.openStore();
+    return store.count(this.keyRange, this.indexName);
+  }
+
+  // Cursor-based paging: resolves { records, next }. Pass next back as `after` to get the
+  // following page; it is null on the last page. Unlike offset, this doesn't rescan earlier pages.
+  page(size, after = null) {
+    this.maxCount = size;
+    return this.iterate(after);
+  }
+
+  // Order of the cursor's record relative to a page token (-1 before, 0 same, 1 after, in key order)
+  comparePosition(cursor, token) {
+    const order = this.cmp(cursor.key, token.key);
+    if (order !== 0 || !this.indexName) return order;
+    return this.cmp(cursor.primaryKey, token.primaryKey);
+  }
+
+  async iterate(after = null) {
+    const store = await this.openStore();
+    const forward = this.cursorDirection === 'next';
+    const records = [];
+    let skipped = 0;
+    let last = null;
+    let next = null;
+
+    await store.iterate({ index: this.indexName, range: this.keyRange, direction: this.cursorDirection }, cursor => {
+      // Resume just past the previous page's last record
+      if (after) {
+        const position = this.comparePosition(cursor, after);
+        if (position === 0) return;
+        if (forward ? position < 0 : position > 0) {
+          cursor.seek(after.key, this.indexName ? after.primaryKey : undefined);
+          return;
         }
-      ];
+      }
 
-      for (const therapist of therapists) {
-        await this.add('therapists', therapist);
+      if (this.predicate && !this.predicate(cursor.value)) return;
+
+      // A further match exists, so there is another page
+      if (records.length >= this.maxCount) {
+        next = last;
+        cursor.stop();
+        return;
       }
 
-      // Sample user for testing
-      const demoUser = {
-        username: 'demo_user',
-        email: 'demo@mindspace.com',
-        password: 'demo123', // In production, this should be hashed
-        fullName: 'Demo User',
-        phone: '+1 (555) 000-0000',
-        dateJoined: new Date().toISOString(),
-        profileImage: 'https://ui-avatars.com/api/?name=Demo+User&background=2D6A4F&color=fff&size=200',
-        emergencyContact: {
-          name: 'Emergency Contact',
-          phone: '+1 (555) 111-1111'
-        }
-      };
+      if (skipped < this.skipCount) {
+        skipped++;
+        return;
+      }
 
-      await this.add('users', demoUser);
+      records.push(cursor.value);
+      last = { key: cursor.key, primaryKey: cursor.primaryKey };
+    });
 
-      console.log('Demo data seeded successfully!');
-    } catch (error) {
-      console.error('Error seeding demo data:', error);
-    }
+    return { records, next };
   }
 }
 
 // Create global instance
 const mindspaceDB = new MindSpaceDB();
 
+// Resolves once every classic script on the page has run, so seeding can use
+// helpers (e.g. AuthUtils) that load after this file
+function whenScriptsLoaded() {
+  if (document.readyState !== 'loading') return Promise.resolve();
+  return new Promise(resolve => {
+    document.addEventListener('DOMContentLoaded', resolve, { once: true });
+  });
+}
+
 // Initialize on load and expose as a global promise
 if (typeof window !== 'undefined') {
   window.dbReadyPromise = mindspaceDB.init()
+    .then(() => whenScriptsLoaded())
+    .then(() => FixtureLoader.applyUrlFlag())
     .then(() => mindspaceDB.seedDemoData())
+    .then(() => mindspaceDB.purgeDeletedAccounts())
+    .then(() => DataRetention.runDue())
     .then(() => {
       console.log('MindSpace Database initialized successfully');
       return mindspaceDB;
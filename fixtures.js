@@ -0,0 +1,736 @@
+// fixtures.js - Scenario Fixture Packs for MindSpace Demos and Testing
+
+// Fixture packs describe a whole scenario as JSON: therapists, users, connections, recurring
+// appointment series and synthetic mood histories with a trend. Loading a pack generates the
+// records from its seed, with dates relative to today, so the same pack and seed always give
+// the same data. Load one from the debug panel (?debug=1), or with ?fixture=<pack>&seed=<n> on a
+// page of a debug session. Both reset the database first; demo staff logins are only added on request.
+
+const FIXTURE_FORMAT = {
+  name: 'mindspace-fixture',
+  version: 1
+};
+
+// Pack seeded into an empty database
+const DEFAULT_FIXTURE_PACK = 'demo';
+
+// sessionStorage flag that keeps the fixture panel open across pages in a tab
+const FIXTURE_DEBUG_KEY = 'mindspace_debug';
+
+// Moods picked for a generated intensity: the first band whose max it doesn't exceed
+const FIXTURE_MOOD_BANDS = [
+  { max: 3, moods: ['Sad', 'Anxious', 'Overwhelmed', 'Stressed'] },
+  { max: 6, moods: ['Tired', 'Calm', 'Stressed', 'Anxious'] },
+  { max: 10, moods: ['Happy', 'Calm', 'Hopeful', 'Energetic'] }
+];
+
+const DEMO_THERAPISTS = [
+  {
+    name: 'Dr. Sarah Mitchell',
+    specialization: 'Anxiety & Stress Management',
+    email: 'sarah.mitchell@mindspace.com',
+    phone: '+1 (555) 123-4567',
+    bio: 'Over 10 years of experience helping clients manage anxiety and stress through evidence-based techniques.',
+    availability: ['Monday', 'Tuesday', 'Wednesday', 'Thursday'],
+    workingHours: {
+      Monday: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }],
+      Tuesday: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }],
+      Wednesday: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }],
+      Thursday: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }]
+    },
+    rating: 4.8,
+    image: 'https://i.pravatar.cc/150?img=1'
+  },
+  {
+    name: 'Dr. James Rodriguez',
+    specialization: 'Depression & Mood Disorders',
+    email: 'james.rodriguez@mindspace.com',
+    phone: '+1 (555) 234-5678',
+    bio: 'Specialized in treating depression and mood disorders with a compassionate, holistic approach.',
+    availability: ['Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    rating: 4.9,
+    image: 'https://i.pravatar.cc/150?img=12'
+  },
+  {
+    name: 'Dr. Emily Chen',
+    specialization: 'Trauma & PTSD',
+    email: 'emily.chen@mindspace.com',
+    phone: '+1 (555) 345-6789',
+    bio: 'Expert in trauma-focused therapy and PTSD treatment with advanced certifications in EMDR.',
+    availability: ['Monday', 'Wednesday', 'Friday'],
+    rating: 4.7,
+    image: 'https://i.pravatar.cc/150?img=5'
+  },
+  {
+    name: 'Dr. Michael Thompson',
+    specialization: 'Relationship & Family Therapy',
+    email: 'michael.thompson@mindspace.com',
+    phone: '+1 (555) 456-7890',
+    bio: 'Helping couples and families build stronger connections through effective communication.',
+    availability: ['Monday', 'Tuesday', 'Thursday', 'Friday'],
+    rating: 4.6,
+    image: 'https://i.pravatar.cc/150?img=13'
+  },
+  {
+    name: 'Dr. Lisa Patel',
+    specialization: 'Addiction & Recovery',
+    email: 'lisa.patel@mindspace.com',
+    phone: '+1 (555) 567-8901',
+    bio: '15 years supporting individuals on their journey to recovery and lasting sobriety.',
+    availability: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    rating: 4.9,
+    image: 'https://i.pravatar.cc/150?img=9'
+  },
+  {
+    name: 'Dr. Robert Kim',
+    specialization: 'Grief & Loss Counseling',
+    email: 'robert.kim@mindspace.com',
+    phone: '+1 (555) 678-9012',
+    bio: 'Compassionate support for those navigating grief, loss, and life transitions.',
+    availability: ['Wednesday', 'Thursday', 'Friday'],
+    rating: 4.8,
+    image: 'https://i.pravatar.cc/150?img=14'
+  },
+  {
+    name: 'Dr. Amanda Foster',
+    specialization: 'Child & Adolescent Therapy',
+    email: 'amanda.foster@mindspace.com',
+    phone: '+1 (555) 789-0123',
+    bio: 'Specialized in working with children and teens using play therapy and CBT techniques.',
+    availability: ['Monday', 'Tuesday', 'Thursday'],
+    rating: 4.7,
+    image: 'https://i.pravatar.cc/150?img=10'
+  },
+  {
+    name: 'Dr. David Williams',
+    specialization: 'Career & Life Coaching',
+    email: 'david.williams@mindspace.com',
+    phone: '+1 (555) 890-1234',
+    bio: 'Empowering clients to achieve their goals and find fulfillment in their personal and professional lives.',
+    availability: ['Tuesday', 'Wednesday', 'Friday'],
+    rating: 4.5,
+    image: 'https://i.pravatar.cc/150?img=15'
+  }
+];
+
+// Demo staff logins every pack includes; loaded only when asked for, so seeding an empty
+// database never creates staff accounts with known passwords
+const DEMO_STAFF = [
+  {
+    key: 'sarah',
+    username: 'sarah_mitchell',
+    email: 'sarah.mitchell@mindspace.com',
+    password: 'therapist123',
+    fullName: 'Dr. Sarah Mitchell',
+    role: 'therapist',
+    therapist: 'Dr. Sarah Mitchell'
+  },
+  {
+    key: 'admin',
+    username: 'admin',
+    email: 'admin@mindspace.com',
+    password: 'admin123',
+    fullName: 'MindSpace Admin',
+    role: 'admin'
+  }
+];
+
+const DEMO_MOOD_NOTES = [
+  'Slept well and went for a walk.',
+  'Busy day at work, felt stretched thin.',
+  'Tried the breathing exercise before the meeting.',
+  'Caught up with a friend, felt lighter afterwards.',
+  'Hard to get going this morning.',
+  'Journaled for ten minutes before bed.',
+  'Noticed the anxious thoughts and let them pass.',
+  'Quiet day, mostly resting.'
+];
+
+const DEMO_SESSION_NOTES = [
+  'Worked on identifying triggers.',
+  'Reviewed the thought record from last week.',
+  'Practised grounding techniques.',
+  'Talked about sleep routine.',
+  ''
+];
+
+// Session times sit on the booking grid (SCHEDULE_CONFIG.slotIntervalMinutes) and leave room for the buffer between sessions
+const FIXTURE_PACKS = {
+  demo: {
+    format: FIXTURE_FORMAT.name,
+    version: FIXTURE_FORMAT.version,
+    name: 'Demo',
+    description: 'The demo client with three months of improving moods and weekly sessions with Dr. Sarah Mitchell.',
+    seed: 1,
+    therapists: DEMO_THERAPISTS,
+    users: [
+      {
+        key: 'demo',
+        username: 'demo_user',
+        email: 'demo@mindspace.com',
+        password: 'demo123',
+        fullName: 'Demo User',
+        phone: '+1 (555) 000-0000',
+        joinedDaysAgo: 100,
+        emergencyContact: { name: 'Emergency Contact', phone: '+1 (555) 111-1111' }
+      },
+      ...DEMO_STAFF
+    ],
+    connections: [
+      { user: 'demo', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 90, shareMoods: true },
+      { user: 'demo', therapist: 'Dr. James Rodriguez', connectedDaysAgo: 40 }
+    ],
+    appointmentSeries: [
+      {
+        user: 'demo', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -84, everyDays: 7, count: 16,
+        time: '10:00', duration: 50, type: 'Regular Session', cancelRate: 0.1, notes: DEMO_SESSION_NOTES
+      },
+      {
+        user: 'demo', therapist: 'Dr. James Rodriguez', startDaysFromToday: -35, everyDays: 14, count: 4,
+        time: '14:00', duration: 50, type: 'Follow-up'
+      }
+    ],
+    moodHistories: [
+      {
+        user: 'demo', days: 90, skipRate: 0.15, noteRate: 0.35, notes: DEMO_MOOD_NOTES,
+        trend: { shape: 'linear', start: 4, end: 7.5, noise: 1, sessionLift: 1 }
+      }
+    ]
+  },
+
+  'recovery-arc': {
+    format: FIXTURE_FORMAT.name,
+    version: FIXTURE_FORMAT.version,
+    name: 'Recovery arc',
+    description: 'A client whose mood slides for two months, then recovers after starting trauma therapy.',
+    seed: 7,
+    therapists: DEMO_THERAPISTS,
+    users: [
+      {
+        key: 'jordan',
+        username: 'jordan_lee',
+        email: 'jordan@example.com',
+        password: 'demo123',
+        fullName: 'Jordan Lee',
+        phone: '+1 (555) 222-0101',
+        joinedDaysAgo: 150
+      },
+      ...DEMO_STAFF
+    ],
+    connections: [
+      { user: 'jordan', therapist: 'Dr. Emily Chen', connectedDaysAgo: 75, shareMoods: true }
+    ],
+    appointmentSeries: [
+      {
+        user: 'jordan', therapist: 'Dr. Emily Chen', startDaysFromToday: -70, everyDays: 7, count: 12,
+        time: '11:00', duration: 50, type: 'Initial Consultation', cancelRate: 0.05, notes: DEMO_SESSION_NOTES
+      }
+    ],
+    moodHistories: [
+      {
+        user: 'jordan', days: 140, skipRate: 0.1, noteRate: 0.3, notes: DEMO_MOOD_NOTES,
+        trend: { shape: 'dip', start: 6.5, low: 2.5, end: 7, noise: 1.2, sessionLift: 1.5 }
+      }
+    ]
+  },
+
+  'busy-practice': {
+    format: FIXTURE_FORMAT.name,
+    version: FIXTURE_FORMAT.version,
+    name: 'Busy practice',
+    description: 'Dr. Sarah Mitchell with five clients on different paths, for the therapist dashboard.',
+    seed: 42,
+    therapists: DEMO_THERAPISTS,
+    users: [
+      { key: 'ana', username: 'ana_garcia', email: 'ana@example.com', password: 'demo123', fullName: 'Ana Garcia', joinedDaysAgo: 120 },
+      { key: 'ben', username: 'ben_okafor', email: 'ben@example.com', password: 'demo123', fullName: 'Ben Okafor', joinedDaysAgo: 90 },
+      { key: 'chloe', username: 'chloe_martin', email: 'chloe@example.com', password: 'demo123', fullName: 'Chloe Martin', joinedDaysAgo: 60 },
+      { key: 'dev', username: 'dev_sharma', email: 'dev@example.com', password: 'demo123', fullName: 'Dev Sharma', joinedDaysAgo: 45 },
+      { key: 'erin', username: 'erin_walsh', email: 'erin@example.com', password: 'demo123', fullName: 'Erin Walsh', joinedDaysAgo: 30 },
+      ...DEMO_STAFF
+    ],
+    connections: [
+      { user: 'ana', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 110, shareMoods: true },
+      { user: 'ben', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 80, shareMoods: true },
+      { user: 'chloe', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 55 },
+      { user: 'dev', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 40, shareMoods: true },
+      { user: 'erin', therapist: 'Dr. Sarah Mitchell', connectedDaysAgo: 25, shareMoods: true },
+      { user: 'erin', therapist: 'Dr. Lisa Patel', connectedDaysAgo: 20 }
+    ],
+    appointmentSeries: [
+      { user: 'ana', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -105, everyDays: 7, count: 18, time: '09:00', cancelRate: 0.1, notes: DEMO_SESSION_NOTES },
+      { user: 'ben', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -77, everyDays: 14, count: 7, time: '10:30', cancelRate: 0.2 },
+      { user: 'chloe', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -49, everyDays: 7, count: 10, time: '13:00', cancelRate: 0.1 },
+      { user: 'dev', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -35, everyDays: 7, count: 8, time: '15:00' },
+      { user: 'erin', therapist: 'Dr. Sarah Mitchell', startDaysFromToday: -21, everyDays: 7, count: 6, time: '16:00', type: 'Initial Consultation' },
+      { user: 'erin', therapist: 'Dr. Lisa Patel', startDaysFromToday: -14, everyDays: 14, count: 3, time: '10:00' }
+    ],
+    moodHistories: [
+      { user: 'ana', days: 110, skipRate: 0.1, noteRate: 0.2, notes: DEMO_MOOD_NOTES, trend: { shape: 'linear', start: 3.5, end: 7.5, noise: 1, sessionLift: 1 } },
+      { user: 'ben', days: 80, skipRate: 0.3, noteRate: 0.2, notes: DEMO_MOOD_NOTES, trend: { shape: 'linear', start: 6.5, end: 4, noise: 1.2 } },
+      { user: 'chloe', days: 55, skipRate: 0.2, trend: { shape: 'flat', start: 5.5, noise: 1.5 } },
+      { user: 'dev', days: 40, skipRate: 0.1, noteRate: 0.3, notes: DEMO_MOOD_NOTES, trend: { shape: 'dip', start: 6, low: 3, end: 6.5, noise: 1, sessionLift: 1.5 } },
+      { user: 'erin', days: 25, skipRate: 0.05, trend: { shape: 'linear', start: 4, end: 5.5, noise: 0.8, weekendLift: 1 } }
+    ]
+  }
+};
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so a pack generates the same data every time
+function createSeededRandom(seed) {
+  // Hash the seed text into 32 bits
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class FixtureLoader {
+  // Look up a built-in pack by name
+  static getPack(name) {
+    return Object.prototype.hasOwnProperty.call(FIXTURE_PACKS, name) ? FIXTURE_PACKS[name] : null;
+  }
+
+  // Parse and validate a pack from JSON text (e.g. a file loaded in the debug panel)
+  // Returns { success, pack } or { success: false, errors }
+  static parse(text) {
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch (error) {
+      return { success: false, errors: ['The file is not valid JSON'] };
+    }
+
+    const errors = this.validate(pack);
+    return errors.length > 0 ? { success: false, errors } : { success: true, pack };
+  }
+
+  // Check a pack's shape and references; returns a list of problems
+  static validate(pack) {
+    const errors = [];
+    const check = (condition, message) => {
+      if (!condition) errors.push(message);
+    };
+
+    if (!pack || typeof pack !== 'object') return ['A fixture pack must be an object'];
+    check(pack.format === FIXTURE_FORMAT.name, `format must be "${FIXTURE_FORMAT.name}"`);
+    check(pack.version === FIXTURE_FORMAT.version, `Unsupported fixture version ${pack.version}`);
+    ['therapists', 'users', 'connections', 'appointmentSeries', 'moodHistories'].forEach(list => {
+      check(pack[list] === undefined || Array.isArray(pack[list]), `${list} must be a list`);
+    });
+    if (errors.length > 0) return errors;
+
+    const therapists = new Set((pack.therapists || []).map(t => t.name));
+    const users = new Set((pack.users || []).map(u => u.key));
+
+    (pack.therapists || []).forEach((therapist, i) => {
+      check(typeof therapist.name === 'string' && therapist.name, `therapists[${i}] needs a name`);
+      if (therapist.workingHours) {
+        const problem = ScheduleUtils.validateWorkingHours(therapist.workingHours);
+        check(!problem, `therapists[${i}] working hours: ${problem}`);
+      }
+    });
+    (pack.users || []).forEach((user, i) => {
+      check(typeof user.key === 'string' && user.key, `users[${i}] needs a key`);
+      check(ValidationUtils.isValidEmail(user.email || ''), `users[${i}] needs a valid email`);
+      check(typeof user.password === 'string' && user.password, `users[${i}] needs a password`);
+      check(!user.role || Object.values(ROLES).includes(user.role), `users[${i}] has an unknown role`);
+      check(user.role !== ROLES.THERAPIST || therapists.has(user.therapist), `users[${i}] names an unknown therapist`);
+    });
+    (pack.connections || []).concat(pack.appointmentSeries || []).forEach((entry, i) => {
+      check(users.has(entry.user), `Unknown user "${entry.user}" (entry ${i})`);
+      check(therapists.has(entry.therapist), `Unknown therapist "${entry.therapist}" (entry ${i})`);
+    });
+    (pack.appointmentSeries || []).forEach((series, i) => {
+      check(Number.isInteger(series.count) && series.count > 0, `appointmentSeries[${i}] needs a count`);
+      check(Number.isInteger(series.everyDays) && series.everyDays > 0, `appointmentSeries[${i}] needs everyDays`);
+      check(/^\d{2}:\d{2}$/.test(series.time || ''), `appointmentSeries[${i}] needs a time (HH:MM)`);
+    });
+    (pack.moodHistories || []).forEach((history, i) => {
+      check(users.has(history.user), `Unknown user "${history.user}" (moodHistories[${i}])`);
+      check(Number.isInteger(history.days) && history.days > 0, `moodHistories[${i}] needs days`);
+      check(history.trend && ['linear', 'dip', 'flat'].includes(history.trend.shape),
+        `moodHistories[${i}] trend.shape must be linear, dip or flat`);
+    });
+
+    return errors;
+  }
+
+  // Generate a pack's records without saving them; users, therapists and connections are
+  // referred to by key and name. Same pack, seed and today -> same records.
+  // Staff users (therapist and admin logins) are left out unless staff is set.
+  static build(pack, { seed = pack.seed, today = new Date(), staff = false } = {}) {
+    const dayKey = offset => DateUtils.toDateKey(today, offset);
+    const dayStart = offset => new Date(`${dayKey(offset)}T00:00:00`);
+    const therapistsByName = new Map((pack.therapists || []).map(t => [t.name, t]));
+
+    // Appointment series, first moved to a day the therapist works; a slot already taken is skipped
+    const appointments = [];
+    const taken = new Set();
+    (pack.appointmentSeries || []).forEach((series, index) => {
+      const random = createSeededRandom(`${seed}:appointments:${index}`);
+      const workdays = ScheduleUtils.getWorkingDays(therapistsByName.get(series.therapist));
+      let start = series.startDaysFromToday || 0;
+      for (let shift = 0; shift < 7 && workdays.length > 0; shift++) {
+        if (workdays.includes(DateUtils.getDayOfWeek(dayStart(start)))) break;
+        start++;
+      }
+
+      for (let i = 0; i < series.count; i++) {
+        const offset = start + i * series.everyDays;
+        const slot = `${series.therapist}|${dayKey(offset)}|${series.time}`;
+        const cancelled = random() < (series.cancelRate || 0);
+        const note = series.notes && series.notes.length > 0 ? series.notes[Math.floor(random() * series.notes.length)] : '';
+        if (taken.has(slot)) continue;
+        taken.add(slot);
+
+        const past = new Date(`${dayKey(offset)}T${series.time}`) < today;
+        const appointment = {
+          user: series.user,
+          therapist: series.therapist,
+          date: dayKey(offset),
+          time: series.time,
+          duration: ScheduleUtils.getDuration(series),
+          type: series.type || 'Regular Session',
+          status: cancelled ? 'cancelled' : (past ? 'completed' : 'confirmed'),
+          notes: past && !cancelled ? note : '',
+          createdAt: dayStart(Math.min(series.startDaysFromToday || 0, 0) - 1).toISOString()
+        };
+        if (cancelled) {
+          appointment.cancelledAt = dayStart(offset - 1).toISOString();
+        } else if (past) {
+          appointment.completedAt = new Date(`${dayKey(offset)}T${series.time}`).toISOString();
+        }
+        appointments.push(appointment);
+      }
+    });
+
+    // Mood histories: the trend, plus noise, a lift after completed sessions and on weekends
+    const moods = [];
+    (pack.moodHistories || []).forEach((history, index) => {
+      const random = createSeededRandom(`${seed}:moods:${index}`);
+      const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      const sessionDays = appointments
+        .filter(a => a.user === history.user && a.status === 'completed')
+        .map(a => a.date);
+      const trend = history.trend;
+
+      for (let daysAgo = history.days - 1; daysAgo >= 0; daysAgo--) {
+        const skipped = random() < (history.skipRate || 0);
+        const noise = gaussian() * (trend.noise || 0);
+        const pickNote = random();
+        const pickMood = random();
+        const hour = 18 + Math.floor(random() * 4);
+        if (skipped) continue;
+
+        const progress = history.days > 1 ? (history.days - 1 - daysAgo) / (history.days - 1) : 1;
+        let level = this.trendLevel(trend, progress) + noise;
+
+        // Sessions in the last three days lift the mood, fading out
+        const date = dayKey(-daysAgo);
+        for (let back = 1; back <= 3; back++) {
+          if (sessionDays.includes(dayKey(-daysAgo - back))) {
+            level += (trend.sessionLift || 0) * (1 - (back - 1) / 3);
+            break;
+          }
+        }
+        if (['Saturday', 'Sunday'].includes(DateUtils.getDayOfWeek(dayStart(-daysAgo)))) {
+          level += trend.weekendLift || 0;
+        }
+
+        const intensity = Math.min(10, Math.max(1, Math.round(level)));
+        const band = FIXTURE_MOOD_BANDS.find(b => intensity <= b.max);
+        const notes = history.notes || [];
+        const timestamp = new Date(dayStart(-daysAgo).getTime() + hour * 60 * 60 * 1000);
+
+        moods.push({
+          user: history.user,
+          mood: band.moods[Math.floor(pickMood * band.moods.length)],
+          intensity: intensity,
+          notes: notes.length > 0 && pickNote < (history.noteRate || 0) ? notes[Math.floor(pickNote / history.noteRate * notes.length)] : '',
+          date: date,
+          timestamp: timestamp.toISOString()
+        });
+      }
+    });
+
+    return {
+      therapists: pack.therapists || [],
+      users: (pack.users || []).filter(user => staff || !user.role || user.role === ROLES.CLIENT),
+      connections: (pack.connections || []).map(connection => ({
+        ...connection,
+        connectedDate: dayStart(-(connection.connectedDaysAgo || 0)).toISOString()
+      })),
+      appointments,
+      moods
+    };
+  }
+
+  // Trend value (1-10) at a point between the first day (0) and today (1)
+  static trendLevel(trend, progress) {
+    const end = trend.end !== undefined ? trend.end : trend.start;
+    if (trend.shape === 'flat') return trend.start;
+    if (trend.shape === 'linear') return trend.start + (end - trend.start) * progress;
+
+    // dip: down to trend.low halfway, then back up
+    const low = trend.low !== undefined ? trend.low : Math.min(trend.start, end) - 2;
+    return progress < 0.5
+      ? trend.start + (low - trend.start) * (progress * 2)
+      : low + (end - low) * ((progress - 0.5) * 2);
+  }
+
+  // Save a pack into the database; returns counts of what was added
+  static async load(pack, options = {}) {
+    const errors = this.validate(pack);
+    if (errors.length > 0) {
+      throw new Error(`Invalid fixture pack: ${errors[0]}`);
+    }
+
+    const today = options.today || new Date();
+    const plan = this.build(pack, { ...options, today });
+
+    // Password hashing uses WebCrypto, so it happens before the transaction
+    const passwords = new Map();
+    for (const user of plan.users) {
+      passwords.set(user.key, await AuthUtils.createPasswordRecord(user.password));
+    }
+
+    return mindspaceDB.transaction(['therapists', 'users', 'userTherapists', 'appointments', 'moods'], 'readwrite', async (stores) => {
+      const therapistIds = new Map();
+      const therapistsByName = new Map();
+      for (const therapist of plan.therapists) {
+        // Packs may give only availability days, which get the default hours, and no zone,
+        // which puts the therapist in this browser's
+        const record = {
+          ...therapist,
+          workingHours: ScheduleUtils.normalizeWorkingHours(ScheduleUtils.getWeeklyHours(therapist)),
+          availability: ScheduleUtils.getWorkingDays(therapist),
+          timeOff: therapist.timeOff || [],
+          timeZone: ScheduleUtils.getTimeZone(therapist)
+        };
+        therapistsByName.set(therapist.name, record);
+        therapistIds.set(therapist.name, await stores.therapists.add(record));
+      }
+
+      const userIds = new Map();
+      for (const { key, password, therapist, joinedDaysAgo, ...user } of plan.users) {
+        const record = {
+          ...user,
+          ...passwords.get(key),
+          role: user.role || ROLES.CLIENT,
+          phone: user.phone || '',
+          dateJoined: new Date(today.getTime() - (joinedDaysAgo || 0) * 24 * 60 * 60 * 1000).toISOString(),
+          profileImage: `https://ui-avatars.com/api/?name=${encodeURIComponent(user.fullName)}&background=2D6A4F&color=fff&size=200`,
+          preferences: { notifications: true, emailUpdates: true, theme: 'light' }
+        };
+        if (therapist) {
+          record.therapistId = therapistIds.get(therapist);
+        }
+        userIds.set(key, await stores.users.add(record));
+      }
+
+      for (const connection of plan.connections) {
+        await stores.userTherapists.add({
+          userId: userIds.get(connection.user),
+          therapistId: therapistIds.get(connection.therapist),
+          connectedDate: connection.connectedDate,
+          status: 'active',
+          shareMoods: Boolean(connection.shareMoods)
+        });
+      }
+
+      for (const { user, therapist, ...appointment } of plan.appointments) {
+        await stores.appointments.add({
+          ...appointment,
+          ...ScheduleUtils.getAnchor(therapistsByName.get(therapist), appointment.date, appointment.time),
+          userId: userIds.get(user),
+          therapistId: therapistIds.get(therapist)
+        });
+      }
+
+      for (const { user, ...mood } of plan.moods) {
+        await stores.moods.add({ ...mood, userId: userIds.get(user) });
+      }
+
+      return {
+        therapists: plan.therapists.length,
+        users: plan.users.length,
+        connections: plan.connections.length,
+        appointments: plan.appointments.length,
+        moods: plan.moods.length
+      };
+    });
+  }
+
+  // Wipe every record on this device, sign every tab out and load a pack
+  static async reset(pack = FIXTURE_PACKS[DEFAULT_FIXTURE_PACK], options = {}) {
+    const errors = this.validate(pack);
+    if (errors.length > 0) {
+      throw new Error(`Invalid fixture pack: ${errors[0]}`);
+    }
+
+    if (typeof SyncEngine !== 'undefined') {
+      SyncEngine.stop();
+    }
+    await mindspaceDB.clearAll();
+    [AuthUtils.getSessionToken(), ...AuthUtils.getRememberedTokens()]
+      .filter(Boolean)
+      .forEach(token => AuthUtils.clearSessionToken(token));
+
+    const counts = await this.load(pack, options);
+    console.log(`Loaded fixture pack "${pack.name}" (seed ${options.seed !== undefined ? options.seed : pack.seed})`, counts);
+    return counts;
+  }
+
+  // ?fixture=<pack>[&seed=<n>][&staff=1] resets the database to a built-in pack once, then drops
+  // the parameters from the address so a reload doesn't reset again. Only honoured in a debug
+  // session (see FixturePanel), and only after a confirmation when the device has accounts, so
+  // a shared link can't wipe anyone's data. Returns whether it loaded.
+  static async applyUrlFlag() {
+    if (typeof window === 'undefined' || !window.location) return false;
+
+    const params = new URLSearchParams(window.location.search);
+    const name = params.get('fixture');
+    if (!name) return false;
+
+    if (!FixturePanel.isEnabled()) {
+      console.warn('Ignoring ?fixture: fixture packs can only be loaded in a debug session (?debug=1)');
+      return false;
+    }
+
+    const pack = this.getPack(name);
+    if (!pack) {
+      console.error(`Unknown fixture pack "${name}"; available: ${Object.keys(FIXTURE_PACKS).join(', ')}`);
+      return false;
+    }
+
+    const users = await mindspaceDB.getAll('users');
+    if (users.length > 0 && !confirm(`Delete everything on this device and load "${pack.name}"?`)) {
+      return false;
+    }
+
+    const seed = params.has('seed') ? params.get('seed') : pack.seed;
+    await this.reset(pack, { seed, staff: params.get('staff') === '1' });
+
+    params.delete('fixture');
+    params.delete('seed');
+    params.delete('staff');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    return true;
+  }
+}
+
+// Floating panel for loading and resetting fixture packs, shown on pages opened with ?debug=1
+// (remembered for the tab; ?debug=0 hides it again)
+class FixturePanel {
+  static isEnabled() {
+    const flag = new URLSearchParams(window.location.search).get('debug');
+    if (flag !== null) {
+      if (flag === '0') {
+        StorageUtils.removeSession(FIXTURE_DEBUG_KEY);
+      } else {
+        StorageUtils.saveSession(FIXTURE_DEBUG_KEY, true);
+      }
+    }
+    return StorageUtils.getSession(FIXTURE_DEBUG_KEY) === true;
+  }
+
+  static mountIfEnabled() {
+    if (!this.isEnabled() || document.getElementById('fixturePanel')) return;
+
+    const panel = document.createElement('div');
+    panel.id = 'fixturePanel';
+    panel.className = 'fixture-panel';
+    panel.innerHTML = `
+      <details>
+        <summary>🧪 Fixtures</summary>
+        <div class="form-group">
+          <label for="fixturePack">Scenario</label>
+          <select id="fixturePack">
+            ${Object.entries(FIXTURE_PACKS).map(([name, pack]) => `
+              <option value="${name}" ${name === DEFAULT_FIXTURE_PACK ? 'selected' : ''}>${UIUtils.escapeHtml(pack.name)}</option>
+            `).join('')}
+            <option value="file">From a JSON file...</option>
+          </select>
+          <p id="fixtureDescription" class="text-muted"></p>
+        </div>
+        <div class="form-group hidden" id="fixtureFileGroup">
+          <input type="file" id="fixtureFile" accept=".json,application/json">
+        </div>
+        <div class="form-group">
+          <label for="fixtureSeed">Seed</label>
+          <input type="text" id="fixtureSeed">
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" id="fixtureStaff"> Add the demo therapist and admin logins</label>
+        </div>
+        <div id="fixtureError" class="error-message"></div>
+        <button type="button" id="fixtureLoadBtn" class="btn btn-primary">Reset &amp; Load</button>
+        <p class="text-muted">Deletes every account and record on this device first.</p>
+      </details>
+    `;
+    document.body.appendChild(panel);
+
+    const select = document.getElementById('fixturePack');
+    const describe = () => {
+      const pack = FixtureLoader.getPack(select.value);
+      document.getElementById('fixtureDescription').textContent = pack ? pack.description : '';
+      document.getElementById('fixtureSeed').value = pack ? pack.seed : '';
+      document.getElementById('fixtureFileGroup').classList.toggle('hidden', select.value !== 'file');
+    };
+    select.addEventListener('change', describe);
+    describe();
+
+    document.getElementById('fixtureLoadBtn').addEventListener('click', () => this.handleLoad());
+  }
+
+  static async handleLoad() {
+    UIUtils.clearError('fixtureError');
+
+    let pack = FixtureLoader.getPack(document.getElementById('fixturePack').value);
+    if (!pack) {
+      const file = document.getElementById('fixtureFile').files[0];
+      if (!file) {
+        UIUtils.showError('fixtureError', 'Choose a fixture file');
+        return;
+      }
+      const parsed = FixtureLoader.parse(await file.text());
+      if (!parsed.success) {
+        UIUtils.showError('fixtureError', parsed.errors.slice(0, 3).join('. '));
+        return;
+      }
+      pack = parsed.pack;
+    }
+
+    if (!confirm(`Delete everything on this device and load "${pack.name}"?`)) return;
+
+    try {
+      const seed = document.getElementById('fixtureSeed').value.trim();
+      const staff = document.getElementById('fixtureStaff').checked;
+      await FixtureLoader.reset(pack, { seed: seed === '' ? pack.seed : seed, staff });
+      window.location.href = 'login.html';
+    } catch (error) {
+      console.error('Error loading fixture pack:', error);
+      UIUtils.showError('fixtureError', error.message);
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.FixtureLoader = FixtureLoader;
+  window.FixturePanel = FixturePanel;
+
+  if (typeof document !== 'undefined') {
+    window.dbReadyPromise
+      .then(() => FixturePanel.mountIfEnabled())
+      .catch(() => {});
+  }
+}
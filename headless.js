@@ -0,0 +1,135 @@
+// headless.js - Run the MindSpace managers under Node
+
+// Loads the browser scripts into a fresh context with an in-memory (or JSON-file) database,
+// so Auth, TherapistManager, AppointmentManager, MoodTracker and friends can be scripted or
+// tested without a browser:
+//
+//   const { createMindSpace } = require('./headless');
+//   const app = await createMindSpace();                          // in memory
+//   const app = await createMindSpace({ directory: './data' });   // saved to ./data/MindSpaceDB.json
+//   const app = await createMindSpace({ fixture: 'busy-practice', seed: 3 }); // a fixture pack
+//   const app = await createMindSpace({ staff: true });           // with the demo staff logins
+//   await app.Auth.register({ ... });
+//
+// Each call gets its own database and its own sessionStorage/localStorage ("tab").
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the pages load them
+const HEADLESS_SCRIPTS = [
+  'storage.js',
+  'migrations.js',
+  'db.js',
+  'utils.js',
+  'password-policy.js',
+  'vault.js',
+  'session-lock.js',
+  'security-log.js',
+  'qrcode.js',
+  'totp.js',
+  'recovery.js',
+  'access.js',
+  'retention.js',
+  'fixtures.js',
+  'auth.js',
+  'therapist.js',
+  'appointments.js',
+  'mood-tracker.js',
+  'backup.js',
+  'calendar.js',
+  'sync.js'
+];
+
+// Globals handed back to the caller
+const HEADLESS_EXPORTS = [
+  'mindspaceDB', 'MindSpaceDB', 'MemoryDriver', 'JsonFileDriver', 'KeyRange', 'MIGRATIONS', 'SchemaMigrator',
+  'Auth', 'Access', 'AccessDeniedError', 'StorageFullError', 'ROLES', 'Vault', 'SecurityLog', 'TwoFactor', 'TOTPUtils', 'AccountRecovery',
+  'TherapistManager', 'AppointmentManager', 'MoodTracker', 'DataBackup', 'ICalendar', 'SyncEngine', 'DataRetention',
+  'FixtureLoader', 'FIXTURE_PACKS', 'RECURRENCE_RULES', 'SERIES_SCOPES',
+  'DateUtils', 'TimeZoneUtils', 'ScheduleUtils', 'ValidationUtils', 'AuthUtils', 'MoodUtils', 'StorageUtils', 'PasswordPolicy'
+];
+
+// Web Storage kept in memory for the life of the context
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+// Pass a directory to keep the database in a JSON file there instead of in memory,
+// and a fixture pack (a name from FIXTURE_PACKS or a pack object) to start from it instead of the demo data.
+// staff loads the pack's demo therapist and admin logins too, as the debug panel does.
+async function createMindSpace({ directory = null, fixture = null, seed, staff = false } = {}) {
+  const context = vm.createContext({
+    console,
+    crypto: globalThis.crypto,
+    // WebCrypto only accepts buffers from its own realm, so the scripts build theirs with Node's
+    ArrayBuffer,
+    DataView,
+    Uint8Array,
+    TextEncoder,
+    TextDecoder,
+    URLSearchParams,
+    DOMException,
+    structuredClone,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    fetch,
+    AbortController,
+    require,
+    localStorage: new MemoryStorage(),
+    sessionStorage: new MemoryStorage()
+  });
+
+  HEADLESS_SCRIPTS.forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+
+  const app = {};
+  HEADLESS_EXPORTS.forEach(name => {
+    app[name] = vm.runInContext(name, context);
+  });
+
+  if (directory) {
+    app.mindspaceDB.useDriver(new app.JsonFileDriver(directory, fs));
+  }
+
+  // The pages' start-up steps (db.js runs these itself in the browser)
+  await app.mindspaceDB.init();
+  if (fixture || staff) {
+    const pack = typeof fixture === 'string' ? app.FixtureLoader.getPack(fixture) : fixture || undefined;
+    if (fixture && !pack) throw new Error(`Unknown fixture pack "${fixture}"`);
+    await app.FixtureLoader.reset(pack, seed === undefined ? { staff } : { seed, staff });
+  }
+  await app.mindspaceDB.seedDemoData();
+  await app.mindspaceDB.purgeDeletedAccounts();
+  await app.DataRetention.runDue();
+
+  app.context = context;
+  return app;
+}
+
+module.exports = { createMindSpace, MemoryStorage };
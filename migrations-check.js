@@ -0,0 +1,189 @@
+// migrations-check.js - Upgrade Old MindSpace Databases and Check the Result
+//
+// Builds databases the way older versions left them, in memory, upgrades them with the
+// current migrations and checks what the steps should have backfilled and indexed:
+//
+//   node migrations-check.js
+//
+// Prints one line per check and exits with 1 if any fail. Add a fixture (or checks) here
+// whenever a migration backfills data.
+
+const { createMindSpace } = require('./headless');
+
+const CHECK_DB_NAME = 'MindSpaceMigrationCheck';
+
+// Records as each version stored them; every record is stored with the id shown
+const MIGRATION_FIXTURES = [
+  {
+    version: 1,
+    records: {
+      users: [
+        { id: 1, username: 'casey', email: 'casey@example.com', fullName: 'Casey Client' }
+      ],
+      therapists: [
+        { id: 1, name: 'Dr. Old Hours', specialization: 'Anxiety', availability: ['Monday', 'Thursday'] }
+      ],
+      userTherapists: [
+        { id: 1, userId: 1, therapistId: 1, status: 'active' }
+      ],
+      appointments: [
+        { id: 1, userId: 1, therapistId: 1, date: '2024-03-04', time: '10:00', duration: 50, status: 'scheduled' }
+      ],
+      moods: [
+        { id: 1, userId: 1, mood: 'Calm', intensity: 6, date: '2024-03-04', timestamp: '2024-03-04T08:00:00.000Z' }
+      ]
+    },
+    expect: {
+      role: 'client',
+      workingHours: {
+        Monday: [{ start: '09:00', end: '17:00' }],
+        Thursday: [{ start: '09:00', end: '17:00' }]
+      }
+    }
+  },
+  {
+    version: 8,
+    records: {
+      users: [
+        { id: 1, username: 'casey', email: 'casey@example.com', fullName: 'Casey Client', role: 'client' },
+        { id: 2, username: 'dr_hours', email: 'hours@example.com', fullName: 'Dr. Own Hours', role: 'therapist', therapistId: 1 }
+      ],
+      therapists: [
+        {
+          id: 1,
+          name: 'Dr. Own Hours',
+          specialization: 'Depression',
+          availability: ['Tuesday'],
+          workingHours: { Tuesday: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '16:00' }] },
+          timeOff: []
+        }
+      ],
+      userTherapists: [
+        { id: 1, userId: 1, therapistId: 1, status: 'active', shareMoods: true, uuid: 'c0000000-0000-4000-8000-000000000001', updatedAt: '2024-03-01T00:00:00.000Z', fieldTimes: {} }
+      ],
+      appointments: [
+        { id: 1, userId: 1, therapistId: 1, date: '2024-03-05', time: '08:30', duration: 50, status: 'scheduled', seriesId: 'series-1', uuid: 'a0000000-0000-4000-8000-000000000001', updatedAt: '2024-03-01T00:00:00.000Z', fieldTimes: {} }
+      ],
+      moods: [
+        { id: 1, userId: 1, mood: 'Calm', intensity: 6, date: '2024-03-05', timestamp: '2024-03-05T08:00:00.000Z', uuid: 'm0000000-0000-4000-8000-000000000001', updatedAt: '2024-03-05T08:00:00.000Z', fieldTimes: {} }
+      ]
+    },
+    expect: {
+      role: 'client',
+      workingHours: { Tuesday: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '16:00' }] }
+    }
+  }
+];
+
+// Stores and indexes the latest version has, checked by querying each index
+const EXPECTED_STORES = [
+  'appointments', 'calendarEvents', 'moods', 'retentionRuns', 'securityEvents', 'sessions',
+  'syncConflicts', 'syncOutbox', 'syncState', 'therapists', 'userTherapists', 'users'
+];
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+  console.log(`${passed ? 'ok' : 'FAIL'} - ${label}${passed || !detail ? '' : ` (${detail})`}`);
+  if (!passed) failures++;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Open a database with only the steps up to fixture.version and store its records directly
+async function createOldDatabase(app, driver, fixture) {
+  const steps = app.MIGRATIONS.filter(step => step.version <= fixture.version);
+  const old = new app.MindSpaceDB(CHECK_DB_NAME, steps, driver);
+  old.reportMigrationProgress = () => {};
+  await old.init();
+
+  const storeNames = Object.keys(fixture.records);
+  const transaction = old.db.transaction(storeNames, 'readwrite');
+  for (const storeName of storeNames) {
+    for (const record of fixture.records[storeName]) {
+      await transaction.store(storeName).add(record);
+    }
+  }
+  await transaction.done;
+  old.db.close();
+}
+
+async function checkFixture(app, fixture) {
+  console.log(`# version ${fixture.version} -> ${app.SchemaMigrator.latestVersion()}`);
+
+  const driver = new app.MemoryDriver();
+  await createOldDatabase(app, driver, fixture);
+
+  const db = new app.MindSpaceDB(CHECK_DB_NAME, app.MIGRATIONS, driver);
+  const migrated = [];
+  db.reportMigrationProgress = progress => {
+    if (progress.done) migrated.push(progress.version);
+  };
+  await db.init();
+
+  const pending = app.SchemaMigrator.pending(fixture.version, db.version).map(step => step.version);
+  check('runs every later step in order', same(migrated, pending), `ran ${migrated.join(', ')}`);
+  check('has every store', same(db.db.storeNames(), EXPECTED_STORES), db.db.storeNames().join(', '));
+
+  const user = await db.get('users', 1);
+  check('users have a role', user.role === fixture.expect.role, `role ${user.role}`);
+
+  const connection = await db.get('userTherapists', 1);
+  const shareMoods = fixture.records.userTherapists[0].shareMoods;
+  check('connections have a mood-sharing flag', connection.shareMoods === (shareMoods === undefined ? false : shareMoods));
+
+  const therapist = await db.get('therapists', 1);
+  check('therapists have working hours', same(therapist.workingHours, fixture.expect.workingHours), JSON.stringify(therapist.workingHours));
+  check('therapists have time off', Array.isArray(therapist.timeOff));
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  check('therapists have a time zone', therapist.timeZone === timeZone, `timeZone ${therapist.timeZone}`);
+
+  const appointment = await db.get('appointments', 1);
+  const startsAt = new Date(`${appointment.date}T${appointment.time}:00`).toISOString();
+  check('appointments have a start instant', appointment.startsAt === startsAt, `startsAt ${appointment.startsAt}`);
+  check('appointments have a time zone', appointment.timeZone === timeZone, `timeZone ${appointment.timeZone}`);
+  check('synced records have a uuid', Boolean(appointment.uuid && connection.uuid && (await db.get('moods', 1)).uuid));
+
+  const mood = fixture.records.moods[0];
+  const indexQueries = [
+    ['users', 'email', user.email],
+    ['moods', 'userDate', [mood.userId, mood.date]],
+    ['appointments', 'userDate', [appointment.userId, appointment.date]],
+    ['appointments', 'therapistDate', [appointment.therapistId, appointment.date]],
+    ['appointments', 'uuid', appointment.uuid],
+    ['userTherapists', 'uuid', connection.uuid]
+  ];
+  if (appointment.seriesId) {
+    indexQueries.push(['appointments', 'seriesId', appointment.seriesId]);
+  }
+  for (const [storeName, indexName, value] of indexQueries) {
+    try {
+      const found = await db.getByIndex(storeName, indexName, value);
+      check(`${storeName}.${indexName} index finds the record`, found.length === 1, `${found.length} found`);
+    } catch (error) {
+      check(`${storeName}.${indexName} index exists`, false, error.message);
+    }
+  }
+
+  db.db.close();
+}
+
+async function main() {
+  const app = await createMindSpace();
+  for (const fixture of MIGRATION_FIXTURES) {
+    await checkFixture(app, fixture);
+  }
+  console.log(failures === 0 ? 'All migration checks passed' : `${failures} migration check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Migration check error:', error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { MIGRATION_FIXTURES };
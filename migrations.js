@@ -0,0 +1,297 @@
+// migrations.js - Versioned Schema Migrations for MindSpaceDB
+
+// Ordered schema steps; the database version is the version of the last step.
+// Never edit a step that has shipped: add a new one with the next version instead.
+// Steps run inside the upgrade transaction and may only wait on requests made through
+// it (the helpers below), never on timers, fetch or WebCrypto, or the transaction commits early.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create core stores',
+    upgrade(m) {
+      m.createStore('users', { keyPath: 'id', autoIncrement: true }, {
+        email: { keyPath: 'email', unique: true },
+        username: { keyPath: 'username', unique: true }
+      });
+
+      m.createStore('therapists', { keyPath: 'id', autoIncrement: true }, {
+        specialization: 'specialization',
+        name: 'name'
+      });
+
+      m.createStore('userTherapists', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId',
+        therapistId: 'therapistId',
+        userTherapist: { keyPath: ['userId', 'therapistId'], unique: true }
+      });
+
+      m.createStore('appointments', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId',
+        therapistId: 'therapistId',
+        date: 'date',
+        status: 'status'
+      });
+
+      m.createStore('moods', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId',
+        date: 'date',
+        timestamp: 'timestamp'
+      });
+
+      // Sessions store (for authentication)
+      m.createStore('sessions', { keyPath: 'userId' }, {
+        token: { keyPath: 'token', unique: true }
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add security event log',
+    upgrade(m) {
+      m.createStore('securityEvents', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId',
+        type: 'type',
+        timestamp: 'timestamp'
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Backfill roles and mood-sharing flags',
+    async upgrade(m) {
+      await m.transform('users', user => {
+        if (user.role) return undefined;
+        return { ...user, role: 'client' };
+      });
+
+      await m.transform('userTherapists', connection => {
+        if (connection.shareMoods !== undefined) return undefined;
+        return { ...connection, shareMoods: false };
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Index moods and appointments by date per user and per therapist',
+    upgrade(m) {
+      m.createIndex('moods', 'userDate', ['userId', 'date']);
+      m.createIndex('appointments', 'userDate', ['userId', 'date']);
+      m.createIndex('appointments', 'therapistDate', ['therapistId', 'date']);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add sync metadata, outbox, conflicts and sync state',
+    async upgrade(m) {
+      const now = new Date().toISOString();
+      const localFields = ['id', 'userId', 'uuid', 'updatedAt', 'fieldTimes'];
+
+      for (const storeName of ['userTherapists', 'appointments', 'moods']) {
+        await m.transform(storeName, record => {
+          if (record.uuid) return undefined;
+          const fieldTimes = {};
+          Object.keys(record).filter(field => !localFields.includes(field)).forEach(field => {
+            fieldTimes[field] = now;
+          });
+          return { ...record, uuid: crypto.randomUUID(), updatedAt: now, fieldTimes };
+        });
+        m.createIndex(storeName, 'uuid', { keyPath: 'uuid', unique: true });
+      }
+
+      // One entry per record with unsent changes (or a tombstone for a deleted one)
+      m.createStore('syncOutbox', { keyPath: 'uuid' }, {
+        userId: 'userId'
+      });
+
+      // Notes edited on two devices at once, waiting for the user to pick a version
+      m.createStore('syncConflicts', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId',
+        uuid: 'uuid'
+      });
+
+      // Server, key and pull position per user
+      m.createStore('syncState', { keyPath: 'userId' });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add data retention run log',
+    upgrade(m) {
+      // One entry per retention run: when, which policy and what it removed
+      m.createStore('retentionRuns', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId'
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Index appointments by recurring series',
+    upgrade(m) {
+      // Sessions booked as a series share a seriesId (see AppointmentManager.bookSeries)
+      m.createIndex('appointments', 'seriesId', 'seriesId');
+    }
+  },
+  {
+    version: 8,
+    description: 'Give therapists weekly working hours and time off',
+    async upgrade(m) {
+      // Every therapist worked 9-17 on their availability days until now
+      await m.transform('therapists', therapist => {
+        if (therapist.workingHours) return undefined;
+        const workingHours = {};
+        (therapist.availability || []).forEach(day => {
+          workingHours[day] = [{ start: '09:00', end: '17:00' }];
+        });
+        return { ...therapist, workingHours, timeOff: therapist.timeOff || [] };
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Anchor appointments to UTC instants in the therapist\'s time zone',
+    async upgrade(m) {
+      // Everything so far was booked and read in this browser's local time, so that is each
+      // therapist's zone and the zone existing dates and times are in (ISO without an offset is local)
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+      await m.transform('therapists', therapist => {
+        if (therapist.timeZone) return undefined;
+        return { ...therapist, timeZone };
+      });
+      await m.transform('appointments', appointment => {
+        if (appointment.startsAt || !appointment.date || !appointment.time) return undefined;
+        const startsAt = new Date(`${appointment.date}T${appointment.time}:00`).toISOString();
+        return { ...appointment, startsAt, timeZone };
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add busy times imported from calendar files',
+    upgrade(m) {
+      // { userId, uid, start, end, source, importedAt } per busy time (see ICalendar.importFile)
+      m.createStore('calendarEvents', { keyPath: 'id', autoIncrement: true }, {
+        userId: 'userId'
+      });
+    }
+  }
+];
+
+class SchemaMigrator {
+  // Version a list of migrations brings the database to
+  static latestVersion(migrations = MIGRATIONS) {
+    return migrations.reduce((latest, step) => Math.max(latest, step.version), 0);
+  }
+
+  // Steps needed to go from one version to another, in order
+  static pending(oldVersion, newVersion, migrations = MIGRATIONS) {
+    return migrations
+      .filter(step => step.version > oldVersion && step.version <= newVersion)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // Check a migration list for gaps and duplicates (versions must run 1, 2, 3, ...)
+  static validate(migrations = MIGRATIONS) {
+    const versions = migrations.map(step => step.version).sort((a, b) => a - b);
+    versions.forEach((version, i) => {
+      if (version !== i + 1) {
+        throw new Error(`Migration versions must be consecutive from 1 (found ${versions.join(', ')})`);
+      }
+    });
+
+    migrations.forEach(step => {
+      if (typeof step.upgrade !== 'function') {
+        throw new Error(`Migration ${step.version} has no upgrade function`);
+      }
+    });
+  }
+
+  // Run the pending steps against a storage driver's upgrade schema (see storage.js); the driver
+  // aborts the upgrade if this rejects. onProgress receives { version, description, step, steps, processed, done }
+  static run(schema, oldVersion, newVersion, migrations = MIGRATIONS, onProgress = null) {
+    const steps = this.pending(oldVersion, newVersion, migrations);
+    const report = (progress) => {
+      if (onProgress) onProgress({ steps: steps.length, ...progress });
+    };
+
+    let chain = Promise.resolve();
+    steps.forEach((step, i) => {
+      chain = chain.then(async () => {
+        const position = { version: step.version, description: step.description, step: i + 1 };
+        report({ ...position, processed: 0, done: false });
+
+        let processed = 0;
+        const context = this.createContext(schema, oldVersion, count => {
+          processed += count;
+          report({ ...position, processed, done: false });
+        });
+
+        await step.upgrade(context);
+        report({ ...position, processed, done: true });
+      });
+    });
+
+    return chain;
+  }
+
+  // Helpers handed to each migration step
+  static createContext(schema, oldVersion, onRecords) {
+    return {
+      schema,
+      oldVersion,
+
+      // Create a store with its indexes; an index is a key path or { keyPath, unique, multiEntry }
+      createStore(storeName, options, indexes = {}) {
+        schema.createStore(storeName, options);
+        Object.entries(indexes).forEach(([indexName, definition]) => {
+          this.createIndex(storeName, indexName, definition);
+        });
+      },
+
+      deleteStore(storeName) {
+        schema.deleteStore(storeName);
+      },
+
+      // Create an index, replacing any existing index with the same name
+      createIndex(storeName, indexName, definition) {
+        const { keyPath, ...options } = typeof definition === 'object' && !Array.isArray(definition)
+          ? definition
+          : { keyPath: definition };
+
+        if (schema.hasIndex(storeName, indexName)) {
+          schema.deleteIndex(storeName, indexName);
+        }
+        schema.createIndex(storeName, indexName, keyPath, { unique: false, ...options });
+      },
+
+      deleteIndex(storeName, indexName) {
+        if (schema.hasIndex(storeName, indexName)) {
+          schema.deleteIndex(storeName, indexName);
+        }
+      },
+
+      // Visit every record of a store with a cursor: return a new record to replace it,
+      // null to delete it, or undefined to leave it alone. Resolves with the number changed.
+      async transform(storeName, callback) {
+        let changed = 0;
+        await schema.store(storeName).iterate({}, cursor => {
+          const result = callback(cursor.value);
+          if (result === null) {
+            cursor.delete();
+            changed++;
+          } else if (result !== undefined) {
+            cursor.update(result);
+            changed++;
+          }
+          onRecords(1);
+        });
+        return changed;
+      }
+    };
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.SchemaMigrator = SchemaMigrator;
+}
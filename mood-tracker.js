@@ -4,6 +4,9 @@ class MoodTracker {
   // Log a new mood entry
   static async logMood(userId, moodData) {
     try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
       // Validate mood
       const validMood = MoodUtils.getMoodByName(moodData.mood);
       if (!validMood) {
@@ -31,7 +34,7 @@ class MoodTracker {
         existing.notes = moodData.notes;
         existing.timestamp = new Date().toISOString();
         
-        await mindspaceDB.update('moods', existing);
+        await mindspaceDB.update('moods', await Vault.seal('moods', existing));
         
         return {
           success: true,
@@ -50,7 +53,7 @@ class MoodTracker {
         timestamp: new Date().toISOString()
       };
 
-      const moodId = await mindspaceDB.add('moods', mood);
+      const moodId = await mindspaceDB.add('moods', await Vault.seal('moods', mood));
 
       return {
         success: true,
@@ -61,35 +64,89 @@ class MoodTracker {
       console.error('Error logging mood:', error);
       return {
         success: false,
-        message: 'Failed to log mood'
+        message: StorageFullError.describe(error, 'Your mood entry', 'Failed to log mood')
       };
     }
   }
 
+  // Decrypt moods and strip what the reader may not see
+  // Therapists only get moods a client shares with them, without notes
+  static async openForReader(moods, actor) {
+    return Access.redactAll('moods', await Vault.openAll('moods', moods), actor);
+  }
+
   // Get mood history for a user
   static async getMoodHistory(userId) {
     try {
-      const moods = await mindspaceDB.getByIndex('moods', 'userId', userId);
+      const actor = await Access.assertCanRead('moods', userId);
+      const moods = await mindspaceDB.query('moods').index('userDate').prefix(userId).toArray();
       
-      // Sort by date (most recent first)
-      return moods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      // Sort by time logged (most recent first)
+      return (await this.openForReader(moods, actor)).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     } catch (error) {
       console.error('Error getting mood history:', error);
       return [];
     }
   }
 
+  // Get one page of mood history, newest date first, optionally from a date (YYYY-MM-DD) onwards
+  // Resolves { moods, next }; pass next back as `after` for the following page (null on the last)
+  static async getMoodHistoryPage(userId, { since = null, pageSize = 20, after = null } = {}) {
+    try {
+      const actor = await Access.assertCanRead('moods', userId);
+      const query = mindspaceDB.query('moods').index('userDate');
+      if (since) {
+        query.between([userId, since], [userId, []]);
+      } else {
+        query.prefix(userId);
+      }
+
+      const { records, next } = await query.reverse().page(pageSize, after);
+      return { moods: await this.openForReader(records, actor), next };
+    } catch (error) {
+      console.error('Error getting mood history page:', error);
+      return { moods: [], next: null };
+    }
+  }
+
   // Get moods for a specific date
   static async getMoodsByDate(userId, date) {
     try {
-      const allMoods = await mindspaceDB.getByIndex('moods', 'userId', userId);
-      return allMoods.filter(mood => mood.date === date);
+      const actor = await Access.assertCanRead('moods', userId);
+      const moods = await mindspaceDB.query('moods').index('userDate').equals([userId, date]).toArray();
+      return this.openForReader(moods, actor);
     } catch (error) {
       console.error('Error getting moods by date:', error);
       return [];
     }
   }
 
+  // Get moods between two dates (YYYY-MM-DD, inclusive; no end date means up to the latest), oldest first
+  static async getMoodsBetween(userId, fromDate, toDate = null) {
+    try {
+      const actor = await Access.assertCanRead('moods', userId);
+      const moods = await mindspaceDB.query('moods').index('userDate')
+        .between([userId, fromDate], toDate ? [userId, toDate] : [userId, []])
+        .toArray();
+      return this.openForReader(moods, actor);
+    } catch (error) {
+      console.error('Error getting moods between dates:', error);
+      return [];
+    }
+  }
+
+  // Get a user's latest entries, oldest first
+  static async getRecentMoods(userId, count) {
+    try {
+      const actor = await Access.assertCanRead('moods', userId);
+      const moods = await mindspaceDB.query('moods').index('userDate').prefix(userId).reverse().limit(count).toArray();
+      return (await this.openForReader(moods, actor)).reverse();
+    } catch (error) {
+      console.error('Error getting recent moods:', error);
+      return [];
+    }
+  }
+
   // Get mood statistics
   static async getMoodStats(userId) {
     try {
@@ -244,12 +301,7 @@ class MoodTracker {
   // Get mood intensity over time
   static async getMoodIntensityOverTime(userId, days = 30) {
     try {
-      const moods = await this.getMoodHistory(userId);
-      
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - days);
-
-      const recentMoods = moods.filter(m => new Date(m.date) >= cutoffDate);
+      const recentMoods = await this.getMoodsBetween(userId, DateUtils.toDateKey(new Date(), -days));
       
       // Group by date
       const dailyData = {};
@@ -276,12 +328,7 @@ class MoodTracker {
   // Get weekly mood summary
   static async getWeeklySummary(userId) {
     try {
-      const moods = await this.getMoodHistory(userId);
-      
-      const weekAgo = new Date();
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      
-      const weekMoods = moods.filter(m => new Date(m.date) >= weekAgo);
+      const weekMoods = await this.getMoodsBetween(userId, DateUtils.toDateKey(new Date(), -7));
 
       if (weekMoods.length === 0) {
         return {
@@ -305,7 +352,7 @@ class MoodTracker {
         entries: weekMoods.length,
         avgIntensity: parseFloat(MoodUtils.calculateAverage(weekMoods)),
         mostCommon: MoodUtils.getMoodByName(mostCommon),
-        trend: MoodUtils.getMoodTrend(moods)
+        trend: MoodUtils.getMoodTrend(await this.getRecentMoods(userId, 14))
       };
     } catch (error) {
       console.error('Error getting weekly summary:', error);
@@ -321,12 +368,10 @@ class MoodTracker {
   // Get monthly mood summary
   static async getMonthlySummary(userId) {
     try {
-      const moods = await this.getMoodHistory(userId);
-      
       const monthAgo = new Date();
       monthAgo.setMonth(monthAgo.getMonth() - 1);
       
-      const monthMoods = moods.filter(m => new Date(m.date) >= monthAgo);
+      const monthMoods = await this.getMoodsBetween(userId, DateUtils.toDateKey(monthAgo));
 
       if (monthMoods.length === 0) {
         return {
@@ -377,6 +422,9 @@ class MoodTracker {
         };
       }
 
+      const denied = await Access.requireSelf(mood.userId);
+      if (denied) return denied;
+
       // Update fields
       if (updates.mood) {
         const validMood = MoodUtils.getMoodByName(updates.mood);
@@ -405,7 +453,7 @@ class MoodTracker {
 
       mood.updatedAt = new Date().toISOString();
 
-      await mindspaceDB.update('moods', mood);
+      await mindspaceDB.update('moods', await Vault.seal('moods', mood));
 
       return {
         success: true,
@@ -415,7 +463,7 @@ class MoodTracker {
       console.error('Error updating mood:', error);
       return {
         success: false,
-        message: 'Failed to update mood'
+        message: StorageFullError.describe(error, 'Your mood entry', 'Failed to update mood')
       };
     }
   }
@@ -432,6 +480,9 @@ class MoodTracker {
         };
       }
 
+      const denied = await Access.requireSelf(mood.userId);
+      if (denied) return denied;
+
       await mindspaceDB.delete('moods', moodId);
 
       return {
@@ -442,7 +493,7 @@ class MoodTracker {
       console.error('Error deleting mood:', error);
       return {
         success: false,
-        message: 'Failed to delete mood'
+        message: StorageFullError.describe(error, 'The deletion', 'Failed to delete mood')
       };
     }
   }
@@ -450,7 +501,11 @@ class MoodTracker {
   // Get mood by ID
   static async getMoodById(moodId) {
     try {
-      return await mindspaceDB.get('moods', moodId);
+      const mood = await mindspaceDB.get('moods', moodId);
+      if (!mood) return null;
+
+      const actor = await Access.assertCanRead('moods', mood.userId);
+      return Access.redact('moods', await Vault.open('moods', mood), actor);
     } catch (error) {
       console.error('Error getting mood:', error);
       return null;
@@ -469,7 +524,7 @@ class MoodTracker {
           m.date,
           m.mood,
           m.intensity,
-          m.notes.replace(/,/g, ';') // Replace commas in notes
+          (m.notes || '').replace(/,/g, ';') // Replace commas in notes
         ])
       ].map(row => row.join(',')).join('\n');
 
@@ -0,0 +1,348 @@
+// password-policy.js - Password Policy and Strength Estimation for MindSpace
+
+// Rules every new password must meet (registration, password change, account recovery)
+const PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  minCharacterClasses: 2,      // of lowercase, uppercase, numbers and symbols
+  minEntropyBits: 36,          // estimated guessing entropy
+  rejectCommon: true,          // refuse passwords on the bundled common/breached list
+  rejectPersonalInfo: true,    // refuse passwords built from the username, email or name
+  maxSimilarity: 0.7           // 0-1, how closely a password may resemble personal info
+};
+
+// Entropy (bits) needed for each strength score 1-4
+const STRENGTH_LEVELS = [
+  { minBits: 0, label: 'Very weak', color: '#DC3545' },
+  { minBits: 28, label: 'Weak', color: '#DC3545' },
+  { minBits: 36, label: 'Fair', color: '#FFC107' },
+  { minBits: 50, label: 'Strong', color: '#52B788' },
+  { minBits: 64, label: 'Very strong', color: '#2D6A4F' }
+];
+
+// Frequently used and breached passwords (lowercase, base words without trailing digits)
+const COMMON_PASSWORDS = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '111111', '000000', '121212',
+  '123123', '654321', '666666', '696969', '112233', '159753', '987654321', '123321',
+  'password', 'passw0rd', 'password1', 'pass', 'passwd', 'qwerty', 'qwertyuiop', 'qwerty123',
+  'asdfgh', 'asdfghjkl', 'zxcvbnm', 'zxcvbn', '1q2w3e', '1q2w3e4r', '1qaz2wsx', 'qazwsx',
+  'abc123', 'abcdef', 'abcd1234', 'aa123456', 'iloveyou', 'letmein', 'welcome', 'admin',
+  'administrator', 'login', 'master', 'monkey', 'dragon', 'football', 'baseball', 'basketball',
+  'soccer', 'hockey', 'sunshine', 'princess', 'shadow', 'superman', 'batman', 'starwars',
+  'trustno1', 'freedom', 'whatever', 'michael', 'jennifer', 'jordan', 'hunter', 'ashley',
+  'jessica', 'charlie', 'daniel', 'thomas', 'andrew', 'joshua', 'matthew', 'robert',
+  'george', 'harley', 'killer', 'pepper', 'ginger', 'cookie', 'summer', 'winter',
+  'flower', 'butterfly', 'secret', 'love', 'lovely', 'loveme', 'hello', 'hello123',
+  'computer', 'internet', 'service', 'access', 'mustang', 'ferrari', 'corvette', 'mercedes',
+  'chocolate', 'banana', 'orange', 'cheese', 'pokemon', 'naruto', 'minecraft', 'fortnite',
+  'liverpool', 'chelsea', 'arsenal', 'yankees', 'cowboys', 'steelers', 'tigger', 'buster',
+  'maggie', 'bailey', 'jasmine', 'nicole', 'amanda', 'michelle', 'purple', 'silver',
+  'golden', 'diamond', 'angel', 'angels', 'blessed', 'jesus', 'christ', 'god',
+  'money', 'hottie', 'sexy', 'blink182', 'matrix', 'zaq12wsx', 'changeme', 'default',
+  'test', 'test123', 'testing', 'guest', 'user', 'root', 'toor', 'temp',
+  'qwe123', 'q1w2e3r4', 'aaaaaa', 'abc', 'monday', 'friday', 'january', 'august',
+  'mindspace', 'therapy', 'therapist', 'wellness', 'health', 'mental', 'happy', 'calm',
+  'peace', 'family', 'mother', 'father', 'baby', 'babygirl', 'princess1', 'lovelove'
+]);
+
+// Common character substitutions undone before checking the list (p@ssw0rd -> password)
+const LEET_SUBSTITUTIONS = {
+  '@': 'a', '4': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+  '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z'
+};
+
+class PasswordPolicy {
+  // Character classes present in a password
+  static getCharacterClasses(password) {
+    return {
+      lowercase: /[a-z]/.test(password),
+      uppercase: /[A-Z]/.test(password),
+      numbers: /\d/.test(password),
+      symbols: /[^a-zA-Z\d]/.test(password)
+    };
+  }
+
+  // Size of the alphabet an attacker would have to search
+  static getPoolSize(password) {
+    const classes = this.getCharacterClasses(password);
+    let pool = 0;
+    if (classes.lowercase) pool += 26;
+    if (classes.uppercase) pool += 26;
+    if (classes.numbers) pool += 10;
+    if (classes.symbols) pool += 33;
+    // Characters outside ASCII widen the search a lot
+    if (/[^\x00-\x7F]/.test(password)) pool += 100;
+    return Math.max(pool, 1);
+  }
+
+  // Variants of a password to look up in the common list
+  static getCommonVariants(password) {
+    const lower = password.toLowerCase();
+    const deLeeted = lower.split('').map(c => LEET_SUBSTITUTIONS[c] || c).join('');
+    // "Password123!" is as guessable as "password"
+    const stripped = lower.replace(/[\d\W_]+$/, '');
+    const strippedDeLeeted = stripped.split('').map(c => LEET_SUBSTITUTIONS[c] || c).join('');
+    return [lower, deLeeted, stripped, strippedDeLeeted].filter(v => v.length > 0);
+  }
+
+  // Check if a password is (a light disguise of) a common password
+  static isCommon(password) {
+    return this.getCommonVariants(password).some(variant => COMMON_PASSWORDS.has(variant));
+  }
+
+  // Longest common password hidden inside a longer password
+  static findCommonWord(password) {
+    const lower = password.toLowerCase().split('').map(c => LEET_SUBSTITUTIONS[c] || c).join('');
+    let longest = '';
+    COMMON_PASSWORDS.forEach(word => {
+      if (word.length >= 4 && word.length > longest.length && lower.includes(word)) {
+        longest = word;
+      }
+    });
+    return longest || null;
+  }
+
+  // Find runs of repeated characters (aaa) and sequences (abc, 321)
+  static findPatterns(password) {
+    const repeats = (password.match(/(.)\1{2,}/g) || []);
+    const sequences = [];
+
+    let run = password[0] || '';
+    let step = null;
+    for (let i = 1; i <= password.length; i++) {
+      const diff = i < password.length ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+      if (diff !== null && Math.abs(diff) === 1 && (step === null || diff === step)) {
+        step = diff;
+        run += password[i];
+      } else {
+        if (run.length >= 3) sequences.push(run);
+        run = password[i] || '';
+        step = null;
+      }
+    }
+
+    return { repeats, sequences };
+  }
+
+  // Estimate guessing entropy in bits
+  // Repeated characters, sequences and common words count for much less than random characters
+  static estimateEntropy(password) {
+    if (!password) return 0;
+
+    const bitsPerChar = Math.log2(this.getPoolSize(password));
+    if (this.isCommon(password)) {
+      return Math.round(Math.log2(COMMON_PASSWORDS.size));
+    }
+
+    let effectiveLength = 0;
+    for (let i = 0; i < password.length; i++) {
+      const prev = password.charCodeAt(i - 1);
+      const code = password.charCodeAt(i);
+      if (i > 0 && code === prev) {
+        effectiveLength += 0.25;
+      } else if (i > 0 && Math.abs(code - prev) === 1) {
+        effectiveLength += 0.5;
+      } else {
+        effectiveLength += 1;
+      }
+    }
+
+    let bits = effectiveLength * bitsPerChar;
+
+    // A dictionary word is one guess from a short list, not a string of random characters
+    const word = this.findCommonWord(password);
+    if (word) {
+      bits -= word.length * bitsPerChar;
+      bits += Math.log2(COMMON_PASSWORDS.size);
+    }
+
+    return Math.max(0, Math.round(bits));
+  }
+
+  // Edit distance between two strings
+  static levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+    return row[b.length];
+  }
+
+  // How closely two strings match (1 = identical)
+  static similarity(a, b) {
+    if (!a || !b) return 0;
+    return 1 - this.levenshtein(a, b) / Math.max(a.length, b.length);
+  }
+
+  // Personal details a password should not be built from
+  static getPersonalTerms(context = {}) {
+    const terms = [];
+    if (context.username) {
+      terms.push({ value: context.username.toLowerCase(), field: 'username' });
+    }
+    if (context.email) {
+      const email = context.email.toLowerCase();
+      terms.push({ value: email, field: 'email address' });
+      terms.push({ value: email.split('@')[0], field: 'email address' });
+    }
+    if (context.fullName) {
+      context.fullName.toLowerCase().split(/\s+/).forEach(part => {
+        terms.push({ value: part, field: 'name' });
+      });
+    }
+    return terms.filter(term => term.value.length >= 3);
+  }
+
+  // Find the personal detail a password is built from (null if none)
+  static findPersonalInfo(password, context, policy = PASSWORD_POLICY) {
+    const variants = this.getCommonVariants(password);
+    for (const term of this.getPersonalTerms(context)) {
+      const matches = variants.some(variant =>
+        variant.includes(term.value) || this.similarity(variant, term.value) >= policy.maxSimilarity
+      );
+      if (matches) return term.field;
+    }
+    return null;
+  }
+
+  // Map entropy to a 0-4 score
+  static getScore(bits) {
+    let score = 0;
+    STRENGTH_LEVELS.forEach((level, index) => {
+      if (bits >= level.minBits) score = index;
+    });
+    return score;
+  }
+
+  // Check a password against the policy
+  // context: { username, email, fullName } used for the personal-information check
+  static evaluate(password, context = {}, policy = PASSWORD_POLICY) {
+    password = password || '';
+    const errors = [];
+    const suggestions = [];
+
+    if (password.length < policy.minLength) {
+      errors.push(`Use at least ${policy.minLength} characters (${password.length} so far)`);
+    }
+
+    if (password.length > policy.maxLength) {
+      errors.push(`Use no more than ${policy.maxLength} characters`);
+    }
+
+    const classes = this.getCharacterClasses(password);
+    const classCount = Object.values(classes).filter(Boolean).length;
+    if (classCount < policy.minCharacterClasses) {
+      errors.push(`Mix at least ${policy.minCharacterClasses} of: lowercase letters, uppercase letters, numbers and symbols`);
+    }
+
+    const common = password.length > 0 && this.isCommon(password);
+    if (policy.rejectCommon && common) {
+      errors.push('This is one of the most commonly used passwords, so it is easy to guess');
+    }
+
+    if (policy.rejectPersonalInfo && password.length > 0) {
+      const field = this.findPersonalInfo(password, context, policy);
+      if (field) {
+        errors.push(`Don't base your password on your ${field}`);
+      }
+    }
+
+    const entropyBits = this.estimateEntropy(password);
+    if (!common && password.length >= policy.minLength && entropyBits < policy.minEntropyBits) {
+      errors.push('This password is too predictable. Make it longer or less patterned');
+    }
+
+    // Hints that help even when the password already passes
+    const patterns = this.findPatterns(password);
+    if (patterns.repeats.length > 0) {
+      suggestions.push(`Avoid repeated characters like "${patterns.repeats[0]}"`);
+    }
+    if (patterns.sequences.length > 0) {
+      suggestions.push(`Avoid sequences like "${patterns.sequences[0]}"`);
+    }
+    const hasPatterns = patterns.repeats.length > 0 || patterns.sequences.length > 0;
+    const word = common || hasPatterns ? null : this.findCommonWord(password);
+    if (word) {
+      suggestions.push(`"${word}" is a common word. Add other uncommon words around it`);
+    }
+    if (/^[A-Z][^A-Z]*$/.test(password) && classCount <= 2) {
+      suggestions.push('A capital only at the start is easy to guess. Put some in the middle');
+    }
+    if (password.length < 12) {
+      suggestions.push('Longer is stronger. A short phrase of unrelated words works well');
+    }
+
+    const score = this.getScore(entropyBits);
+
+    return {
+      valid: errors.length === 0,
+      score: score,
+      label: STRENGTH_LEVELS[score].label,
+      entropyBits: entropyBits,
+      errors: errors,
+      suggestions: suggestions
+    };
+  }
+
+  // One-line summary of the rules, for form hints
+  static describe(policy = PASSWORD_POLICY) {
+    return `At least ${policy.minLength} characters, mixing ${policy.minCharacterClasses} or more of lowercase, uppercase, numbers and symbols. Avoid common passwords and personal details.`;
+  }
+
+  // Update a strength bar and feedback list from an evaluation
+  static renderStrength(result, barId, feedbackId, password) {
+    const bar = document.getElementById(barId);
+    const feedback = document.getElementById(feedbackId);
+
+    if (!password) {
+      if (bar) bar.style.width = '0';
+      if (feedback) feedback.innerHTML = '';
+      return;
+    }
+
+    const level = STRENGTH_LEVELS[result.score];
+    if (bar) {
+      bar.style.width = `${(result.score + 1) * 20}%`;
+      bar.style.backgroundColor = result.valid ? level.color : STRENGTH_LEVELS[0].color;
+    }
+
+    if (feedback) {
+      // Built with textContent: hints quote parts of the typed password
+      feedback.innerHTML = '';
+      const label = document.createElement('span');
+      label.className = 'strength-label';
+      label.textContent = result.valid ? level.label : 'Not allowed yet';
+      feedback.appendChild(label);
+
+      const messages = [
+        ...result.errors.map(text => ({ text, className: 'feedback-error' })),
+        ...result.suggestions.slice(0, 2).map(text => ({ text, className: 'feedback-hint' }))
+      ];
+      if (messages.length > 0) {
+        const list = document.createElement('ul');
+        messages.forEach(message => {
+          const item = document.createElement('li');
+          item.className = message.className;
+          item.textContent = message.text;
+          list.appendChild(item);
+        });
+        feedback.appendChild(list);
+      }
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.PasswordPolicy = PasswordPolicy;
+}
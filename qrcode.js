@@ -0,0 +1,344 @@
+// qrcode.js - Local QR Code Generator for MindSpace (byte mode, ECC level M, versions 1-10)
+
+const QRCode = {
+  // Error correction structure per version for level M:
+  // [ecCodewordsPerBlock, [blockCount, dataCodewordsPerBlock], ...]
+  blockTable: [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+  ],
+
+  // Alignment pattern centre coordinates per version
+  alignmentTable: [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+  ],
+
+  // Multiply in GF(256) with the QR polynomial 0x11D
+  gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+
+  // Reed-Solomon generator polynomial of a given degree
+  rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.gfMultiply(root, 0x02);
+    }
+    return result;
+  },
+
+  // Reed-Solomon error correction codewords for a block
+  rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= this.gfMultiply(coef, factor);
+      });
+    }
+    return result;
+  },
+
+  // Total data codewords for a version
+  dataCapacity(version) {
+    const [, ...groups] = this.blockTable[version];
+    return groups.reduce((sum, [count, size]) => sum + count * size, 0);
+  },
+
+  // Encode text into the final interleaved codeword sequence
+  encodeCodewords(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    for (; version <= 10; version++) {
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + bytes.length * 8 <= this.dataCapacity(version) * 8) break;
+    }
+    if (version > 10) {
+      throw new Error('Text is too long for a QR code');
+    }
+
+    // Mode indicator, character count, data, terminator and padding
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacityBits = this.dataCapacity(version) * 8;
+    push(0x4, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => push(b, 8));
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xEC; data.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+      data.push(pad);
+    }
+
+    // Split into blocks and add error correction
+    const [ecLength, ...groups] = this.blockTable[version];
+    const divisor = this.rsDivisor(ecLength);
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+      for (let i = 0; i < count; i++) {
+        const blockData = data.slice(offset, offset + size);
+        offset += size;
+        blocks.push({ data: blockData, ec: this.rsRemainder(blockData, divisor) });
+      }
+    });
+
+    // Interleave data codewords, then error correction codewords
+    const result = [];
+    const maxData = Math.max(...blocks.map(b => b.data.length));
+    for (let i = 0; i < maxData; i++) {
+      blocks.forEach(b => {
+        if (i < b.data.length) result.push(b.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach(b => result.push(b.ec[i]));
+    }
+
+    return { version, codewords: result };
+  },
+
+  // Build the module matrix (true = dark) for a piece of text
+  generate(text) {
+    const { version, codewords } = this.encodeCodewords(text);
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns
+    const positions = this.alignmentTable[version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve format areas (drawn for real once the mask is chosen)
+    this.drawFormatBits(modules, setFunction, size, 0);
+
+    // Version information
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = version << 12 | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+
+    // Data modules in the zig-zag order
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+
+    // Pick the mask with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(modules, isFunction, mask);
+      this.drawFormatBits(modules, setFunction, size, mask);
+      const penalty = this.penalty(modules);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestMask = mask;
+      }
+      this.applyMask(modules, isFunction, mask); // XOR again to undo
+    }
+    this.applyMask(modules, isFunction, bestMask);
+    this.drawFormatBits(modules, setFunction, size, bestMask);
+
+    return modules;
+  },
+
+  // Draw both copies of the format information (ECC level M)
+  drawFormatBits(modules, setFunction, size, mask) {
+    const data = 0 << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = (data << 10 | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // Dark module
+  },
+
+  // XOR a mask pattern over the data modules
+  applyMask(modules, isFunction, mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => x * y % 2 + x * y % 3 === 0,
+      (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+    const size = modules.length;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && conditions[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  },
+
+  // Penalty score used to choose a mask (lower is easier to scan)
+  penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const finderLike = '10111010000';
+    const finderLikeReversed = '00001011101';
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      // Runs of five or more same-coloured modules
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += 3 + (run - 5);
+          run = 1;
+        }
+      }
+
+      // Finder-like patterns
+      const text = line.map(m => (m ? '1' : '0')).join('');
+      for (let i = 0; i + finderLike.length <= text.length; i++) {
+        const slice = text.substr(i, finderLike.length);
+        if (slice === finderLike || slice === finderLikeReversed) score += 40;
+      }
+    });
+
+    // 2x2 blocks of one colour
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const percent = dark * 100 / (size * size);
+    score += Math.floor(Math.abs(percent - 50) / 5) * 10;
+
+    return score;
+  },
+
+  // Render text as an SVG QR code string
+  toSvg(text, moduleSize = 4, margin = 4) {
+    const modules = this.generate(text);
+    const size = modules.length + margin * 2;
+    const rects = [];
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) rects.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#FFFFFF"/>` +
+      `<path d="${rects.join('')}" fill="#000000"/>` +
+      `</svg>`;
+  }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QRCode };
+}
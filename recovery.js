@@ -0,0 +1,219 @@
+// recovery.js - Offline Account Recovery with Recovery Codes for MindSpace
+
+// Recovery code format: three groups of four characters (about 59 bits each)
+const RECOVERY_CONFIG = {
+  codeCount: 8,
+  groupCount: 3,
+  groupLength: 4,
+  // No 0/O, 1/I/L to keep codes easy to copy by hand
+  alphabet: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+};
+
+class AccountRecovery {
+  // Generate a single recovery code (e.g. K7QM-2XHD-9RTA)
+  static generateCode() {
+    const { alphabet, groupCount, groupLength } = RECOVERY_CONFIG;
+    const chars = [];
+    // Rejection sampling keeps every character equally likely
+    const limit = 256 - (256 % alphabet.length);
+    while (chars.length < groupCount * groupLength) {
+      for (const byte of CryptoUtils.randomBytes(16)) {
+        if (byte < limit && chars.length < groupCount * groupLength) {
+          chars.push(alphabet[byte % alphabet.length]);
+        }
+      }
+    }
+
+    const groups = [];
+    for (let i = 0; i < groupCount; i++) {
+      groups.push(chars.slice(i * groupLength, (i + 1) * groupLength).join(''));
+    }
+    return groups.join('-');
+  }
+
+  // Normalize a code as typed by the user
+  static normalizeCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Create fresh recovery codes on a user record (caller saves the user)
+  // When a vault data key is given, each code also wraps it so recovery keeps encrypted data readable
+  static async issueCodes(user, vaultDataKey = null) {
+    const codes = [];
+    const records = [];
+
+    for (let i = 0; i < RECOVERY_CONFIG.codeCount; i++) {
+      const code = this.generateCode();
+      const normalized = this.normalizeCode(code);
+      const record = {
+        ...await AuthUtils.createSecretRecord(normalized, AuthUtils.CODE_ITERATIONS),
+        usedAt: null
+      };
+
+      if (vaultDataKey) {
+        record.vaultKey = await Vault.wrapKey(vaultDataKey, normalized, AuthUtils.CODE_ITERATIONS);
+      }
+
+      codes.push(code);
+      records.push(record);
+    }
+
+    user.recoveryCodes = records;
+    user.recoveryCodesIssuedAt = new Date().toISOString();
+    return codes;
+  }
+
+  // Count unused recovery codes
+  static remaining(user) {
+    return (user && user.recoveryCodes ? user.recoveryCodes : []).filter(c => !c.usedAt).length;
+  }
+
+  // Replace a user's recovery codes (requires the current password)
+  static async regenerate(userId, password) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: 'Password is incorrect'
+        };
+      }
+
+      const vaultDataKey = Vault.isEnabled(user)
+        ? await Vault.unwrapKey(user.vault, password, true)
+        : null;
+      const codes = await this.issueCodes(user, vaultDataKey);
+      await mindspaceDB.update('users', user);
+      await SecurityLog.record(userId, 'recovery_codes_regenerated');
+
+      return {
+        success: true,
+        recoveryCodes: codes,
+        message: 'New recovery codes generated'
+      };
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      return {
+        success: false,
+        message: 'Failed to generate recovery codes'
+      };
+    }
+  }
+
+  // Reset a forgotten password with a recovery code
+  static async recover(email, code, newPassword) {
+    try {
+      // Recovery attempts share the login back-off
+      const deviceWait = Auth.getThrottleWait(StorageUtils.getLocal(LOGIN_THROTTLE.deviceStorageKey));
+      if (deviceWait > 0) {
+        return Auth.throttledResult(deviceWait);
+      }
+
+      const users = await mindspaceDB.getByIndex('users', 'email', email);
+      const user = users[0];
+      if (!user) {
+        Auth.recordDeviceFailure();
+        return {
+          success: false,
+          message: 'Invalid email or recovery code'
+        };
+      }
+
+      const accountWait = Auth.getThrottleWait(user.loginThrottle);
+      if (accountWait > 0) {
+        return Auth.throttledResult(accountWait);
+      }
+
+      const policy = PasswordPolicy.evaluate(newPassword, user);
+      if (!policy.valid) {
+        return {
+          success: false,
+          errors: policy.errors,
+          message: policy.errors[0]
+        };
+      }
+
+      // Find a matching unused code
+      const normalized = this.normalizeCode(code);
+      let matched = null;
+      for (const record of user.recoveryCodes || []) {
+        if (record.usedAt) continue;
+        if (await AuthUtils.verifySecret(record, normalized)) {
+          matched = record;
+          break;
+        }
+      }
+
+      if (!matched) {
+        Auth.recordDeviceFailure();
+        await Auth.recordAccountFailure(user, 'recovery_failed');
+        return {
+          success: false,
+          message: 'Invalid email or recovery code'
+        };
+      }
+
+      // Consume the code
+      matched.usedAt = new Date().toISOString();
+
+      // Carry the vault over to the new password when this code wrapped its key
+      let vaultLost = false;
+      if (Vault.isEnabled(user)) {
+        if (matched.vaultKey) {
+          const dataKey = await Vault.unwrapKey(matched.vaultKey, normalized, true);
+          user.vault = await Vault.wrapKey(dataKey, newPassword);
+        } else {
+          vaultLost = true;
+        }
+      }
+
+      delete user.loginThrottle;
+      await Auth.setPassword(user, newPassword);
+
+      if (vaultLost) {
+        await Vault.discard(user.id);
+      }
+
+      // Sign out everywhere: whoever forgot the password may not be the only one with a session
+      const session = await mindspaceDB.get('sessions', user.id);
+      if (session) {
+        await mindspaceDB.delete('sessions', user.id);
+        AuthUtils.clearSessionToken(session.token);
+      }
+
+      StorageUtils.removeLocal(LOGIN_THROTTLE.deviceStorageKey);
+      await SecurityLog.record(user.id, 'account_recovered', {
+        remaining: this.remaining(user),
+        vaultLost
+      });
+
+      return {
+        success: true,
+        remaining: this.remaining(user),
+        vaultLost: vaultLost,
+        message: vaultLost
+          ? 'Password reset. Your encrypted notes could not be recovered with this code.'
+          : 'Password reset successfully'
+      };
+    } catch (error) {
+      console.error('Account recovery error:', error);
+      return {
+        success: false,
+        message: 'Account recovery failed. Please try again.'
+      };
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.AccountRecovery = AccountRecovery;
+}
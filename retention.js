@@ -0,0 +1,259 @@
+// retention.js - User-Configurable Data Retention for MindSpace
+
+// How the start-up maintenance job runs
+const RETENTION_CONFIG = {
+  runIntervalHours: 24,          // each user's policy is applied at most this often on start-up
+  keptRuns: 20,                  // purge runs kept in each user's log
+  expiredSessionGraceHours: 24,  // expired sessions stay this long, so a returning tab can still say it expired
+  previewExamples: 5             // records listed per rule in a preview
+};
+
+// Choices offered for each setting (null keeps data forever)
+const RETENTION_OPTIONS = {
+  moodNotesMonths: [null, 3, 6, 12, 24],
+  cancelledAppointmentsDays: [null, 30, 90, 180, 365],
+  purgeExpiredSessions: [true, false]
+};
+
+// Nothing is removed until the user chooses to, except sessions that can no longer be used
+const DEFAULT_RETENTION = {
+  moodNotesMonths: null,           // clear mood notes older than this; mood and intensity are kept
+  cancelledAppointmentsDays: null, // archive cancelled appointments this long after cancelling
+  purgeExpiredSessions: true       // delete expired sign-in sessions
+};
+
+class DataRetention {
+  // A user's policy, with defaults for settings they haven't chosen
+  static getPolicy(user) {
+    return { ...DEFAULT_RETENTION, ...(user && user.retention) };
+  }
+
+  // Check if a policy removes anything at all
+  static isActive(policy) {
+    return policy.moodNotesMonths !== null || policy.cancelledAppointmentsDays !== null || policy.purgeExpiredSessions;
+  }
+
+  // Save a user's retention settings; takes effect on the next run
+  static async setPolicy(userId, settings) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const policy = { ...DEFAULT_RETENTION };
+      for (const [setting, choices] of Object.entries(RETENTION_OPTIONS)) {
+        if (settings[setting] === undefined) continue;
+        if (!choices.includes(settings[setting])) {
+          return {
+            success: false,
+            message: `Invalid value for ${setting}`
+          };
+        }
+        policy[setting] = settings[setting];
+      }
+
+      await mindspaceDB.transaction('users', 'readwrite', async ({ users }) => {
+        const user = await users.get(userId);
+        await users.put({ ...user, retention: policy });
+      });
+
+      return {
+        success: true,
+        policy: policy,
+        message: 'Retention settings saved'
+      };
+    } catch (error) {
+      console.error('Error saving retention settings:', error);
+      return {
+        success: false,
+        message: 'Failed to save retention settings'
+      };
+    }
+  }
+
+  // Oldest dates a policy keeps, as of a point in time
+  static getCutoffs(policy, now = new Date()) {
+    const cutoffs = { moodNotes: null, cancelledAppointments: null, sessions: null };
+
+    if (policy.moodNotesMonths !== null) {
+      const date = new Date(now);
+      date.setMonth(date.getMonth() - policy.moodNotesMonths);
+      cutoffs.moodNotes = DateUtils.toDateKey(date);
+    }
+    if (policy.cancelledAppointmentsDays !== null) {
+      cutoffs.cancelledAppointments = new Date(now.getTime() - policy.cancelledAppointmentsDays * 24 * 60 * 60 * 1000);
+    }
+    if (policy.purgeExpiredSessions) {
+      cutoffs.sessions = new Date(now.getTime() - RETENTION_CONFIG.expiredSessionGraceHours * 60 * 60 * 1000);
+    }
+    return cutoffs;
+  }
+
+  // Find (and with apply, remove) what a policy covers, inside a transaction over
+  // moods, appointments and sessions; returns the affected records, briefly described
+  static async sweep(stores, userId, policy, now, apply) {
+    const cutoffs = this.getCutoffs(policy, now);
+    const found = { moodNotes: [], cancelledAppointments: [], sessions: [] };
+
+    if (cutoffs.moodNotes) {
+      await stores.moods.forEach('userId', userId, cursor => {
+        const mood = cursor.value;
+        if (!mood.notes || mood.date >= cutoffs.moodNotes) return;
+
+        found.moodNotes.push({ date: mood.date, mood: mood.mood });
+        if (apply) cursor.update({ ...mood, notes: '' });
+      });
+    }
+
+    if (cutoffs.cancelledAppointments) {
+      await stores.appointments.forEach('userId', userId, cursor => {
+        const appointment = cursor.value;
+        const cancelledAt = appointment.cancelledAt ? new Date(appointment.cancelledAt) : TimeZoneUtils.getStart(appointment);
+        if (appointment.status !== 'cancelled' || appointment.archivedAt || cancelledAt >= cutoffs.cancelledAppointments) return;
+
+        found.cancelledAppointments.push({ date: appointment.date, time: appointment.time });
+        if (apply) cursor.update({ ...appointment, archivedAt: now.toISOString() });
+      });
+    }
+
+    if (cutoffs.sessions) {
+      const session = await stores.sessions.get(userId);
+      if (session && SessionLock.getExpiry(session) < cutoffs.sessions) {
+        found.sessions.push({ loginTime: session.loginTime });
+        if (apply) await stores.sessions.delete(userId);
+      }
+    }
+
+    return found;
+  }
+
+  // Count what a policy would remove right now, without changing anything (null when denied)
+  // Pass settings to preview them before saving; the saved policy is used otherwise
+  static async preview(userId, settings = null) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return null;
+
+      const user = await mindspaceDB.get('users', userId);
+      const policy = { ...this.getPolicy(user), ...settings };
+      const found = await mindspaceDB.transaction(['moods', 'appointments', 'sessions'], 'readonly', stores =>
+        this.sweep(stores, userId, policy, new Date(), false));
+
+      const summary = {};
+      Object.entries(found).forEach(([rule, records]) => {
+        summary[rule] = {
+          count: records.length,
+          examples: records.slice(0, RETENTION_CONFIG.previewExamples)
+        };
+      });
+      return summary;
+    } catch (error) {
+      console.error('Error previewing retention:', error);
+      return null;
+    }
+  }
+
+  // Apply a user's policy and log the run; the log and the cleanup commit together
+  static async run(userId, trigger) {
+    const now = new Date();
+
+    return mindspaceDB.transaction(['users', 'moods', 'appointments', 'sessions', 'retentionRuns'], 'readwrite', async (stores) => {
+      const user = await stores.users.get(userId);
+      if (!user) return null;
+
+      const policy = this.getPolicy(user);
+      const found = await this.sweep(stores, userId, policy, now, true);
+      const run = {
+        userId: userId,
+        ranAt: now.toISOString(),
+        trigger: trigger, // 'startup' or 'manual'
+        policy: policy,
+        removed: {
+          moodNotes: found.moodNotes.length,
+          cancelledAppointments: found.cancelledAppointments.length,
+          sessions: found.sessions.length
+        }
+      };
+      run.id = await stores.retentionRuns.add(run);
+
+      // Keep the log itself short
+      const runs = await stores.retentionRuns.getByIndex('userId', userId);
+      const stale = runs.sort((a, b) => b.ranAt.localeCompare(a.ranAt)).slice(RETENTION_CONFIG.keptRuns);
+      for (const old of stale) {
+        await stores.retentionRuns.delete(old.id);
+      }
+
+      return run;
+    });
+  }
+
+  // Apply the signed-in user's policy now
+  static async runNow(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const run = await this.run(userId, 'manual');
+
+      return {
+        success: true,
+        run: run,
+        message: `Cleanup finished: ${this.describeRemoved(run.removed)}`
+      };
+    } catch (error) {
+      console.error('Error running retention:', error);
+      return {
+        success: false,
+        message: 'Failed to clean up data'
+      };
+    }
+  }
+
+  // Maintenance on app start: apply every account's policy that is due
+  // Like purgeDeletedAccounts, this runs before anyone signs in and covers every account on the device
+  static async runDue() {
+    try {
+      const now = Date.now();
+      const users = await mindspaceDB.getAll('users');
+
+      for (const user of users) {
+        if (user.deletedAt || !this.isActive(this.getPolicy(user))) continue;
+
+        const runs = await mindspaceDB.getByIndex('retentionRuns', 'userId', user.id);
+        const lastRun = runs.reduce((latest, run) => (run.ranAt > latest ? run.ranAt : latest), '');
+        if (lastRun && now - new Date(lastRun).getTime() < RETENTION_CONFIG.runIntervalHours * 60 * 60 * 1000) continue;
+
+        await this.run(user.id, 'startup');
+      }
+    } catch (error) {
+      console.error('Error applying retention policies:', error);
+    }
+  }
+
+  // A user's purge runs, newest first
+  static async getRuns(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return [];
+
+      const runs = await mindspaceDB.getByIndex('retentionRuns', 'userId', userId);
+      return runs.sort((a, b) => b.ranAt.localeCompare(a.ranAt));
+    } catch (error) {
+      console.error('Error getting retention runs:', error);
+      return [];
+    }
+  }
+
+  // e.g. "2 mood note(s) cleared, 1 cancelled appointment(s) archived"
+  static describeRemoved(removed) {
+    const parts = [];
+    if (removed.moodNotes > 0) parts.push(`${removed.moodNotes} mood note(s) cleared`);
+    if (removed.cancelledAppointments > 0) parts.push(`${removed.cancelledAppointments} cancelled appointment(s) archived`);
+    if (removed.sessions > 0) parts.push(`${removed.sessions} expired session(s) removed`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing removed';
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.DataRetention = DataRetention;
+}
@@ -0,0 +1,88 @@
+// security-log.js - Security Event Log for MindSpace
+
+// Event types and how they are shown on the profile Security tab
+const SECURITY_EVENT_TYPES = {
+  login: { label: 'Signed in', icon: '✅' },
+  login_failed: { label: 'Failed sign-in attempt', icon: '⚠️' },
+  lockout: { label: 'Account temporarily locked', icon: '⛔' },
+  unlock_failed: { label: 'Failed attempt to unlock the screen', icon: '⚠️' },
+  password_changed: { label: 'Password changed', icon: '🔑' },
+  two_factor_enabled: { label: 'Two-factor authentication enabled', icon: '🛡️' },
+  two_factor_disabled: { label: 'Two-factor authentication disabled', icon: '⚠️' },
+  two_factor_failed: { label: 'Failed two-factor code', icon: '⚠️' },
+  backup_code_used: { label: 'Backup code used to sign in', icon: '🔐' },
+  recovery_codes_regenerated: { label: 'New recovery codes generated', icon: '🗝️' },
+  recovery_failed: { label: 'Failed account recovery attempt', icon: '⚠️' },
+  account_recovered: { label: 'Password reset with a recovery code', icon: '🔓' },
+  account_deleted: { label: 'Account deleted', icon: '🗑️' },
+  account_restored: { label: 'Deleted account restored', icon: '♻️' },
+  role_changed: { label: 'Account role changed', icon: '🪪' },
+  data_exported: { label: 'Data backup downloaded', icon: '📦' },
+  data_restored: { label: 'Data restored from a backup', icon: '📥' },
+  sync_enabled: { label: 'Sync turned on', icon: '🔄' },
+  sync_disabled: { label: 'Sync turned off', icon: '⏸️' }
+};
+
+class SecurityLog {
+  // Describe the current device briefly
+  static getDeviceDescription() {
+    if (typeof navigator === 'undefined') return 'Unknown device';
+
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? 'Edge'
+      : /Firefox\//.test(ua) ? 'Firefox'
+      : /Chrome\//.test(ua) ? 'Chrome'
+      : /Safari\//.test(ua) ? 'Safari'
+      : 'Browser';
+    const os = /Windows/.test(ua) ? 'Windows'
+      : /Android/.test(ua) ? 'Android'
+      : /iPhone|iPad/.test(ua) ? 'iOS'
+      : /Mac OS X/.test(ua) ? 'macOS'
+      : /Linux/.test(ua) ? 'Linux'
+      : 'Unknown OS';
+
+    return `${browser} on ${os}`;
+  }
+
+  // Record a security event
+  static async record(userId, type, details = {}) {
+    try {
+      const event = {
+        userId: userId,
+        type: type,
+        details: details,
+        device: this.getDeviceDescription(),
+        timestamp: new Date().toISOString()
+      };
+
+      return await mindspaceDB.add('securityEvents', event);
+    } catch (error) {
+      // Logging must never block the action being logged
+      console.error('Error recording security event:', error);
+      return null;
+    }
+  }
+
+  // Get a user's security events (most recent first)
+  static async getEvents(userId, limit = 20) {
+    try {
+      const events = await mindspaceDB.getByIndex('securityEvents', 'userId', userId);
+      return events
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit);
+    } catch (error) {
+      console.error('Error getting security events:', error);
+      return [];
+    }
+  }
+
+  // Get display info for an event type
+  static describe(type) {
+    return SECURITY_EVENT_TYPES[type] || { label: type, icon: 'ℹ️' };
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.SecurityLog = SecurityLog;
+}
@@ -0,0 +1,315 @@
+// session-lock.js - Idle Screen Lock and Session Expiry for MindSpace
+
+// Session lifetime and idle rules, enforced from Auth.requireAuth
+const SESSION_POLICY = {
+  idleLockMinutes: 15,          // lock the screen after this much inactivity
+  ephemeralLifetimeHours: 12,   // sessions without "remember me"
+  rememberMeLifetimeDays: 30,   // sessions with "remember me"
+  activityWriteSeconds: 60,     // how often activity is persisted to the session
+  unlockAttempts: 5,            // failed attempts (unlocks and logins) before the lock screen ends the session
+  checkIntervalSeconds: 30      // how often an open page re-checks idle/expiry
+};
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+class SessionLock {
+  // Get the absolute expiry time of a session
+  static getExpiry(session) {
+    if (session.expiresAt) return new Date(session.expiresAt);
+
+    // Sessions created before expiresAt was recorded
+    const loginTime = new Date(session.loginTime).getTime();
+    const lifetime = session.rememberMe
+      ? SESSION_POLICY.rememberMeLifetimeDays * 24 * 60 * 60 * 1000
+      : SESSION_POLICY.ephemeralLifetimeHours * 60 * 60 * 1000;
+    return new Date(loginTime + lifetime);
+  }
+
+  // Compute expiresAt for a new session
+  static computeExpiry(rememberMe, from = new Date()) {
+    return this.getExpiry({ loginTime: from.toISOString(), rememberMe }).toISOString();
+  }
+
+  // Check if a session has passed its absolute lifetime
+  static isExpired(session) {
+    return this.getExpiry(session) <= new Date();
+  }
+
+  // Check if a session has been idle long enough to lock
+  static isIdle(session, now = Date.now()) {
+    const lastActivity = new Date(session.lastActivityAt || session.loginTime).getTime();
+    return now - lastActivity > SESSION_POLICY.idleLockMinutes * 60 * 1000;
+  }
+
+  // End a session and send the user back to login, saying why ('expired' or 'locked')
+  static async expire(session, reason = 'expired') {
+    await mindspaceDB.delete('sessions', session.userId);
+    AuthUtils.clearSessionToken(session.token);
+    if (typeof window !== 'undefined') {
+      window.location.href = `login.html?${reason}=1`;
+    }
+  }
+
+  // Start watching activity on an authenticated page
+  static async start(session) {
+    this.userId = session.userId;
+    this.lastActivity = Date.now();
+    this.lastWrite = 0;
+
+    if (session.lockedAt || this.isIdle(session)) {
+      await this.lock();
+    } else {
+      await this.recordActivity(true);
+    }
+
+    ACTIVITY_EVENTS.forEach(eventName => {
+      document.addEventListener(eventName, () => this.handleActivity(), { passive: true });
+    });
+
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.check(), SESSION_POLICY.checkIntervalSeconds * 1000);
+  }
+
+  // Note user activity (ignored while locked)
+  static handleActivity() {
+    if (this.isLocked()) return;
+    this.lastActivity = Date.now();
+    this.recordActivity(false);
+  }
+
+  // Persist activity to the session row, throttled
+  static async recordActivity(force) {
+    const now = Date.now();
+    if (!force && now - this.lastWrite < SESSION_POLICY.activityWriteSeconds * 1000) return;
+    this.lastWrite = now;
+
+    const session = await mindspaceDB.get('sessions', this.userId);
+    if (!session) return;
+    session.lastActivityAt = new Date(this.lastActivity).toISOString();
+    await mindspaceDB.update('sessions', session);
+  }
+
+  // Periodic idle and expiry check
+  static async check() {
+    const session = await mindspaceDB.get('sessions', this.userId);
+    if (!session) {
+      window.location.href = 'login.html';
+      return;
+    }
+
+    if (this.isExpired(session)) {
+      await this.expire(session);
+      return;
+    }
+
+    if (this.isLocked()) return;
+
+    // Another tab may have locked the session or seen more recent activity
+    if (session.lockedAt) {
+      await this.lock();
+      return;
+    }
+
+    const stored = new Date(session.lastActivityAt || session.loginTime).getTime();
+    if (this.isIdle({ lastActivityAt: new Date(Math.max(stored, this.lastActivity)).toISOString() })) {
+      await this.lock();
+    }
+  }
+
+  // Check if the lock screen is showing
+  static isLocked() {
+    return document.body.classList.contains('session-locked');
+  }
+
+  // Lock the screen and record the lock on the session
+  static async lock() {
+    const session = await mindspaceDB.get('sessions', this.userId);
+    if (session && !session.lockedAt) {
+      session.lockedAt = new Date().toISOString();
+      await mindspaceDB.update('sessions', session);
+    }
+
+    const user = await mindspaceDB.get('users', this.userId);
+    this.showLockScreen(user);
+  }
+
+  // Render the lock overlay
+  static showLockScreen(user) {
+    if (this.isLocked()) return;
+    document.body.classList.add('session-locked');
+
+    const hasPin = Boolean(user && user.lockPin);
+    const overlay = document.createElement('div');
+    overlay.id = 'sessionLockOverlay';
+    overlay.className = 'session-lock-overlay';
+    overlay.innerHTML = `
+      <form id="sessionLockForm" class="session-lock-box card">
+        <h2>🔒 Screen Locked</h2>
+        <p class="text-muted">You were away for a while. ${hasPin ? 'Enter your PIN or password' : 'Enter your password'} to continue${user ? `, ${UIUtils.escapeHtml(user.fullName.split(' ')[0])}` : ''}.</p>
+        <div class="form-group">
+          <input type="password" id="sessionLockSecret" placeholder="${hasPin ? 'PIN or password' : 'Password'}" autocomplete="current-password" required>
+        </div>
+        <div id="sessionLockError" class="error-message"></div>
+        <button type="submit" class="btn btn-primary btn-block">Unlock</button>
+        <button type="button" id="sessionLockLogout" class="btn btn-outline btn-block mt-2">Log out</button>
+      </form>
+    `;
+    document.body.appendChild(overlay);
+
+    document.getElementById('sessionLockForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      UIUtils.clearError('sessionLockError');
+      const secret = document.getElementById('sessionLockSecret').value;
+
+      const result = await this.unlock(secret);
+      if (!result.success) {
+        UIUtils.showError('sessionLockError', result.message);
+        document.getElementById('sessionLockSecret').value = '';
+      }
+    });
+
+    document.getElementById('sessionLockLogout').addEventListener('click', () => AuthUtils.logout());
+    document.getElementById('sessionLockSecret').focus();
+  }
+
+  // Verify the PIN or password and resume the session
+  static async unlock(secret) {
+    try {
+      const user = await mindspaceDB.get('users', this.userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      // Unlocking counts against the same throttle as logging in, so the lock screen
+      // can't be used to guess a PIN or password faster
+      const wait = Auth.getThrottleWait(user.loginThrottle);
+      if (wait > 0) return Auth.throttledResult(wait);
+
+      const pinValid = await AuthUtils.verifySecret(user.lockPin, secret);
+      const passwordValid = pinValid || (await AuthUtils.verifyPassword(user, secret)).valid;
+
+      const session = await mindspaceDB.get('sessions', this.userId);
+      if (!pinValid && !passwordValid) {
+        await Auth.recordAccountFailure(user, 'unlock_failed');
+
+        // Too many: end the session, so only a full login (2FA included) gets back in
+        if (user.loginThrottle.failures >= SESSION_POLICY.unlockAttempts) {
+          if (session) await this.expire(session, 'locked');
+          return {
+            success: false,
+            loggedOut: true,
+            message: 'Too many failed attempts. Please log in again.'
+          };
+        }
+        return {
+          success: false,
+          message: 'Incorrect PIN or password'
+        };
+      }
+
+      if (user.loginThrottle) {
+        delete user.loginThrottle;
+        await mindspaceDB.update('users', user);
+      }
+
+      if (session) {
+        delete session.lockedAt;
+        session.lastActivityAt = new Date().toISOString();
+        await mindspaceDB.update('sessions', session);
+      }
+
+      this.lastActivity = Date.now();
+      document.body.classList.remove('session-locked');
+      const overlay = document.getElementById('sessionLockOverlay');
+      if (overlay) overlay.remove();
+
+      return {
+        success: true,
+        message: 'Unlocked'
+      };
+    } catch (error) {
+      console.error('Unlock error:', error);
+      return {
+        success: false,
+        message: 'Failed to unlock'
+      };
+    }
+  }
+
+  // Set or replace the user's lock-screen PIN
+  static async setPin(userId, password, pin) {
+    try {
+      if (!/^\d{4,8}$/.test(pin)) {
+        return {
+          success: false,
+          message: 'PIN must be 4 to 8 digits'
+        };
+      }
+
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: 'Password is incorrect'
+        };
+      }
+
+      user.lockPin = await AuthUtils.createSecretRecord(pin);
+      await mindspaceDB.update('users', user);
+
+      return {
+        success: true,
+        message: 'Lock screen PIN saved'
+      };
+    } catch (error) {
+      console.error('Set PIN error:', error);
+      return {
+        success: false,
+        message: 'Failed to save PIN'
+      };
+    }
+  }
+
+  // Remove the user's lock-screen PIN
+  static async removePin(userId) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      delete user.lockPin;
+      await mindspaceDB.update('users', user);
+
+      return {
+        success: true,
+        message: 'Lock screen PIN removed'
+      };
+    } catch (error) {
+      console.error('Remove PIN error:', error);
+      return {
+        success: false,
+        message: 'Failed to remove PIN'
+      };
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.SessionLock = SessionLock;
+}
@@ -0,0 +1,177 @@
+// storage-quota.js - Storage Quota Monitoring for MindSpace
+
+// The browser can clear a site's data when the device runs low on space unless the site's storage
+// is persistent, and refuses writes once the site's quota is used up. MindSpace asks for
+// persistent storage after sign-in, warns as usage approaches the quota, and when a write fails
+// for lack of space (db.js dispatches 'mindspace:storage-full') offers a backup download.
+
+const STORAGE_QUOTA_CONFIG = {
+  warnPercent: 80,          // usage (share of the quota) that shows a warning
+  criticalPercent: 95,      // usage that shows an urgent one
+  checkIntervalMinutes: 10  // usage is re-checked after writes at most this often
+};
+
+// sessionStorage: whether this tab asked for persistence, and the warning level already shown
+const STORAGE_PERSIST_ASKED_KEY = 'mindspace_storage_persist_asked';
+const STORAGE_WARNED_KEY = 'mindspace_storage_warned';
+
+class StorageQuota {
+  // Check if the browser reports storage usage (StorageManager)
+  static isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.storage) &&
+      typeof navigator.storage.estimate === 'function';
+  }
+
+  // Check if MindSpace's storage is safe from automatic clearing (null when unknown)
+  static async isPersisted() {
+    if (!this.isSupported() || typeof navigator.storage.persisted !== 'function') return null;
+    try {
+      return await navigator.storage.persisted();
+    } catch (error) {
+      console.error('Error checking persistent storage:', error);
+      return null;
+    }
+  }
+
+  // Ask the browser to keep MindSpace's data when space runs low; resolves whether it will
+  // (null when the browser can't say). Some browsers ask the user, others decide on their own.
+  static async requestPersistence() {
+    if (!this.isSupported() || typeof navigator.storage.persist !== 'function') return null;
+    try {
+      if (await navigator.storage.persisted()) return true;
+      return await navigator.storage.persist();
+    } catch (error) {
+      console.error('Error requesting persistent storage:', error);
+      return false;
+    }
+  }
+
+  // How much space MindSpace uses (null when the browser doesn't say):
+  // { usage, quota, percent, level: 'ok' | 'warning' | 'critical', persisted }
+  static async getUsage() {
+    if (!this.isSupported()) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const percent = quota > 0 ? (usage / quota) * 100 : 0;
+
+      return {
+        usage: usage,
+        quota: quota,
+        percent: percent,
+        level: this.getLevel(percent),
+        persisted: await this.isPersisted()
+      };
+    } catch (error) {
+      console.error('Error estimating storage usage:', error);
+      return null;
+    }
+  }
+
+  static getLevel(percent) {
+    if (percent >= STORAGE_QUOTA_CONFIG.criticalPercent) return 'critical';
+    if (percent >= STORAGE_QUOTA_CONFIG.warnPercent) return 'warning';
+    return 'ok';
+  }
+
+  // e.g. "12.4 MB"
+  static formatBytes(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
+  // Pages call this once the user is known: ask for persistence (once per tab), check usage now,
+  // then again after writes
+  static start(userId) {
+    this.userId = userId;
+    if (!this.isSupported()) return;
+
+    if (!StorageUtils.getSession(STORAGE_PERSIST_ASKED_KEY)) {
+      StorageUtils.saveSession(STORAGE_PERSIST_ASKED_KEY, true);
+      this.requestPersistence();
+    }
+    this.check();
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = mindspaceDB.onChange('*', changes => {
+        if (!changes.some(change => change.origin !== 'remote')) return;
+        const elapsed = Date.now() - (this.lastCheck || 0);
+        if (elapsed >= STORAGE_QUOTA_CONFIG.checkIntervalMinutes * 60 * 1000) this.check();
+      });
+    }
+  }
+
+  // Warn when usage reaches a new level; each level is shown once per tab
+  static async check() {
+    this.lastCheck = Date.now();
+    const usage = await this.getUsage();
+    if (!usage || usage.level === 'ok') return usage;
+
+    if (StorageUtils.getSession(STORAGE_WARNED_KEY) !== usage.level &&
+        StorageUtils.getSession(STORAGE_WARNED_KEY) !== 'critical') {
+      StorageUtils.saveSession(STORAGE_WARNED_KEY, usage.level);
+      const used = `MindSpace is using ${Math.round(usage.percent)}% of the storage this browser allows it (${this.formatBytes(usage.usage)} of ${this.formatBytes(usage.quota)}).`;
+      this.showNotice(usage.level === 'critical'
+        ? `${used} New entries may soon fail to save. Download a backup and free up space on this device.`
+        : `${used} Consider downloading a backup and freeing up some space.`, 'warning');
+    }
+    return usage;
+  }
+
+  // A write failed for lack of space (the manager's message says what wasn't saved)
+  static handleStorageFull() {
+    this.showNotice('This device is out of storage space for MindSpace, so your latest changes could not be saved. Download a backup of your data now, then free up space on this device.', 'error');
+  }
+
+  // Banner with a backup download, kept until dismissed
+  static showNotice(message, type) {
+    if (typeof document === 'undefined' || !document.body) return;
+
+    let notice = document.getElementById('storageNotice');
+    if (!notice) {
+      notice = document.createElement('div');
+      notice.id = 'storageNotice';
+      notice.setAttribute('role', 'alert');
+      document.body.appendChild(notice);
+    }
+    notice.className = `storage-notice storage-notice-${type}`;
+
+    const canExport = typeof DataBackup !== 'undefined' && this.userId;
+    notice.innerHTML = `
+      <p>${UIUtils.escapeHtml(message)}</p>
+      <div class="storage-notice-actions">
+        ${canExport
+          ? '<button type="button" class="btn btn-primary btn-sm" id="storageNoticeExport">Download Backup</button>'
+          : '<a class="btn btn-primary btn-sm" href="profile.html">Go to Your Data</a>'}
+        <button type="button" class="btn btn-outline btn-sm" id="storageNoticeDismiss">Dismiss</button>
+      </div>
+    `;
+
+    if (canExport) {
+      document.getElementById('storageNoticeExport').addEventListener('click', () => this.downloadBackup());
+    }
+    document.getElementById('storageNoticeDismiss').addEventListener('click', () => notice.remove());
+  }
+
+  // Download the signed-in user's backup (reading still works when storage is full)
+  static async downloadBackup() {
+    const result = await DataBackup.create(this.userId);
+    if (!result.success) {
+      UIUtils.showNotification(result.message, 'error');
+      return;
+    }
+    DataBackup.download(result.backup);
+    UIUtils.showNotification(result.message, result.withheld > 0 ? 'warning' : 'success');
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.StorageQuota = StorageQuota;
+  window.addEventListener('mindspace:storage-full', () => StorageQuota.handleStorageFull());
+}
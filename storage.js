@@ -0,0 +1,982 @@
+// storage.js - Storage Drivers for MindSpaceDB
+
+// MindSpaceDB reads and writes through a driver, so the managers run on IndexedDB in the
+// browser and on the in-memory or JSON-file drivers under Node. A driver provides:
+//
+//   driver.open(name, version, upgrade)       resolves a connection; upgrade(schema, oldVersion, newVersion)
+//                                             returns a promise and a rejection aborts the upgrade
+//   driver.cmp(a, b)                          -1, 0 or 1 in IndexedDB key order
+//   connection.transaction(storeNames, mode)  { store(name), done, abort() }
+//   connection.hasStore(name), connection.storeNames(), connection.onVersionChange(callback), connection.close()
+//   schema   createStore(name, { keyPath, autoIncrement }), deleteStore(name), hasStore(name),
+//            createIndex(store, name, keyPath, { unique, multiEntry }), deleteIndex(store, name),
+//            hasIndex(store, name), store(name)
+//   store    get(query), getAll(query), getAllByIndex(index, query), count(query, index),
+//            add(value), put(value), delete(query), iterate({ index, range, direction }, visit)
+//
+// A query is a key or a KeyRange. iterate calls visit(cursor) synchronously for each record in
+// key order; the cursor has key, primaryKey, value, update(value) and delete(), plus stop() to end
+// early and seek(key, primaryKey) to jump ahead. Every driver behaves like IndexedDB: stores use
+// in-line keys (a keyPath), a duplicate key or unique-index value fails with a ConstraintError,
+// a failed request aborts its transaction, and a transaction commits on its own as soon as no
+// request is pending, so awaiting anything else inside one lets it finish early.
+
+// Bounds for range queries; drivers translate them (IndexedDB) or evaluate them (memory)
+class KeyRange {
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = lowerOpen;
+    this.upperOpen = upperOpen;
+  }
+
+  static only(value) {
+    return new KeyRange(value, value);
+  }
+
+  static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+    return new KeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  static lowerBound(lower, open = false) {
+    return new KeyRange(lower, undefined, open, false);
+  }
+
+  static upperBound(upper, open = false) {
+    return new KeyRange(undefined, upper, false, open);
+  }
+
+  // Check a key against the range with a driver's comparison
+  includes(key, cmp) {
+    if (this.lower !== undefined) {
+      const order = cmp(key, this.lower);
+      if (order < 0 || (order === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const order = cmp(key, this.upper);
+      if (order > 0 || (order === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+
+  toIDBKeyRange() {
+    if (this.lower !== undefined && this.upper !== undefined) {
+      return IDBKeyRange.bound(this.lower, this.upper, this.lowerOpen, this.upperOpen);
+    }
+    return this.lower !== undefined
+      ? IDBKeyRange.lowerBound(this.lower, this.lowerOpen)
+      : IDBKeyRange.upperBound(this.upper, this.upperOpen);
+  }
+}
+
+// Errors carry the DOMException names IndexedDB uses ('ConstraintError', 'DataError', ...)
+function storageError(name, message) {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException(message, name);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// Check if a request or transaction failed because the browser has no space left for the site
+// (QuotaExceededError in most browsers, a legacy name or code in some)
+function isQuotaError(error) {
+  return Boolean(error) &&
+    (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+// IndexedDB key types, in the order they sort: number < date < string < binary < array
+function getKeyType(key) {
+  const tag = Object.prototype.toString.call(key);
+  if (typeof key === 'number') return Number.isNaN(key) ? null : 1;
+  if (tag === '[object Date]') return Number.isNaN(key.getTime()) ? null : 2;
+  if (typeof key === 'string') return 3;
+  if (tag === '[object ArrayBuffer]' || ArrayBuffer.isView(key)) return 4;
+  if (Array.isArray(key)) return key.every(part => getKeyType(part) !== null) ? 5 : null;
+  return null;
+}
+
+function isValidKey(key) {
+  return getKeyType(key) !== null;
+}
+
+function compareKeys(a, b) {
+  const typeA = getKeyType(a);
+  const typeB = getKeyType(b);
+  if (typeA === null || typeB === null) {
+    throw storageError('DataError', 'The value is not a valid key');
+  }
+  if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+
+  if (typeA === 5) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+  }
+
+  if (typeA === 4) {
+    const bytesA = new Uint8Array(a.buffer || a, a.byteOffset || 0, a.byteLength);
+    const bytesB = new Uint8Array(b.buffer || b, b.byteOffset || 0, b.byteLength);
+    for (let i = 0; i < Math.min(bytesA.length, bytesB.length); i++) {
+      if (bytesA[i] !== bytesB[i]) return bytesA[i] < bytesB[i] ? -1 : 1;
+    }
+    return bytesA.length === bytesB.length ? 0 : (bytesA.length < bytesB.length ? -1 : 1);
+  }
+
+  const valueA = typeA === 2 ? a.getTime() : a;
+  const valueB = typeB === 2 ? b.getTime() : b;
+  return valueA === valueB ? 0 : (valueA < valueB ? -1 : 1);
+}
+
+// Read a key path ('id', 'profile.email' or a compound ['userId', 'date']) from a value
+function evaluateKeyPath(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const parts = keyPath.map(part => evaluateKeyPath(value, part));
+    return parts.some(part => part === undefined) ? undefined : parts;
+  }
+  if (keyPath === '') return value;
+
+  return keyPath.split('.').reduce(
+    (current, part) => (current === undefined || current === null ? undefined : current[part]),
+    value
+  );
+}
+
+// ===== IndexedDB =====
+
+function toIDBQuery(query) {
+  return query instanceof KeyRange ? query.toIDBKeyRange() : query;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class IndexedDBDriver {
+  constructor(factory = indexedDB) {
+    this.factory = factory;
+  }
+
+  cmp(a, b) {
+    return this.factory.cmp(a, b);
+  }
+
+  open(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+      const request = this.factory.open(name, version);
+      let upgradeError = null;
+
+      request.onerror = () => reject(upgradeError || request.error);
+      request.onsuccess = () => resolve(new IndexedDBConnection(request.result));
+
+      request.onupgradeneeded = (event) => {
+        const transaction = request.transaction;
+        const schema = new IndexedDBSchema(request.result, transaction);
+
+        // A failed upgrade aborts, so the database stays at its old version
+        upgrade(schema, event.oldVersion, event.newVersion).catch(error => {
+          upgradeError = error;
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // Already finished or aborted
+          }
+          // Don't let the failed connection block later opens
+          request.result.close();
+        });
+      };
+
+      // Another tab still has an older version open
+      request.onblocked = () => {
+        console.warn('Database upgrade is waiting for other MindSpace tabs to close');
+      };
+    });
+  }
+}
+
+class IndexedDBConnection {
+  constructor(db) {
+    this.db = db;
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    return new IndexedDBTransaction(this.db.transaction(storeNames, mode));
+  }
+
+  hasStore(storeName) {
+    return this.db.objectStoreNames.contains(storeName);
+  }
+
+  storeNames() {
+    return Array.from(this.db.objectStoreNames);
+  }
+
+  // Close when a newer version is opened elsewhere, instead of blocking it
+  onVersionChange(callback) {
+    this.db.onversionchange = () => {
+      this.db.close();
+      callback();
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+class IndexedDBTransaction {
+  constructor(transaction) {
+    this.transaction = transaction;
+    this.done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error || transaction.error);
+      transaction.onabort = () => reject(transaction.error || storageError('AbortError', 'Transaction aborted'));
+    });
+    this.done.catch(() => {}); // callers that care await it
+  }
+
+  store(storeName) {
+    return new IndexedDBStore(this.transaction.objectStore(storeName));
+  }
+
+  abort() {
+    this.transaction.abort();
+  }
+}
+
+class IndexedDBSchema {
+  constructor(db, transaction) {
+    this.db = db;
+    this.transaction = transaction;
+  }
+
+  createStore(storeName, options) {
+    this.db.createObjectStore(storeName, options);
+  }
+
+  deleteStore(storeName) {
+    this.db.deleteObjectStore(storeName);
+  }
+
+  hasStore(storeName) {
+    return this.db.objectStoreNames.contains(storeName);
+  }
+
+  createIndex(storeName, indexName, keyPath, options = {}) {
+    this.transaction.objectStore(storeName).createIndex(indexName, keyPath, options);
+  }
+
+  deleteIndex(storeName, indexName) {
+    this.transaction.objectStore(storeName).deleteIndex(indexName);
+  }
+
+  hasIndex(storeName, indexName) {
+    return this.transaction.objectStore(storeName).indexNames.contains(indexName);
+  }
+
+  store(storeName) {
+    return new IndexedDBStore(this.transaction.objectStore(storeName));
+  }
+}
+
+class IndexedDBStore {
+  constructor(store) {
+    this.store = store;
+  }
+
+  get(query) {
+    return requestToPromise(this.store.get(toIDBQuery(query)));
+  }
+
+  getAll(query) {
+    return requestToPromise(this.store.getAll(toIDBQuery(query)));
+  }
+
+  getAllByIndex(indexName, query) {
+    return requestToPromise(this.store.index(indexName).getAll(toIDBQuery(query)));
+  }
+
+  count(query, indexName = null) {
+    const source = indexName ? this.store.index(indexName) : this.store;
+    return requestToPromise(source.count(toIDBQuery(query)));
+  }
+
+  add(value) {
+    return requestToPromise(this.store.add(value));
+  }
+
+  put(value) {
+    return requestToPromise(this.store.put(value));
+  }
+
+  delete(query) {
+    return requestToPromise(this.store.delete(toIDBQuery(query)));
+  }
+
+  iterate({ index = null, range = null, direction = 'next' } = {}, visit) {
+    return new Promise((resolve, reject) => {
+      const source = index ? this.store.index(index) : this.store;
+      const request = source.openCursor(toIDBQuery(range), direction);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        let next = null;
+        try {
+          visit({
+            key: cursor.key,
+            primaryKey: cursor.primaryKey,
+            value: cursor.value,
+            update: value => { cursor.update(value); },
+            delete: () => { cursor.delete(); },
+            stop: () => { next = { stop: true }; },
+            seek: (key, primaryKey) => { next = { key, primaryKey }; }
+          });
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        if (!next) {
+          cursor.continue();
+        } else if (next.stop) {
+          resolve();
+        } else if (index && next.primaryKey !== undefined) {
+          cursor.continuePrimaryKey(next.key, next.primaryKey);
+        } else {
+          cursor.continue(next.key);
+        }
+      };
+    });
+  }
+}
+
+// ===== In memory =====
+
+// Copy values in and out, as IndexedDB's structured clone does
+function cloneValue(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function createMemoryDatabase(name) {
+  return {
+    name,
+    version: 0,
+    stores: new Map(),
+    transactions: [],       // unfinished, in creation order
+    connections: new Set()
+  };
+}
+
+function cloneMemoryStore(store) {
+  return { ...store, indexes: new Map(store.indexes), records: store.records.slice() };
+}
+
+// Binary search a store's sorted records: { index, found }
+function findRecordPosition(records, key) {
+  let low = 0;
+  let high = records.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    const order = compareKeys(records[middle].key, key);
+    if (order === 0) return { index: middle, found: true };
+    if (order < 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return { index: low, found: false };
+}
+
+// Keys a record has in an index (none when the key path is missing or not a valid key)
+function getIndexKeys(value, index) {
+  const key = evaluateKeyPath(value, index.keyPath);
+  if (index.multiEntry && Array.isArray(key)) {
+    return key.filter(isValidKey).filter((part, i, parts) =>
+      parts.findIndex(other => compareKeys(other, part) === 0) === i);
+  }
+  return isValidKey(key) ? [key] : [];
+}
+
+function matchesQuery(key, query) {
+  if (query === undefined || query === null) return true;
+  if (query instanceof KeyRange) return query.includes(key, compareKeys);
+  return compareKeys(key, query) === 0;
+}
+
+class MemoryDriver {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  cmp(a, b) {
+    return compareKeys(a, b);
+  }
+
+  // Find a database that isn't open in this process yet (the JSON-file driver reads it from disk)
+  loadDatabase(name) {
+    return null;
+  }
+
+  // Called after every committed write (the JSON-file driver saves here)
+  persist(database) {}
+
+  async open(name, version, upgrade) {
+    if (!this.databases.has(name)) {
+      this.databases.set(name, this.loadDatabase(name) || createMemoryDatabase(name));
+    }
+    const database = this.databases.get(name);
+
+    if (version < database.version) {
+      throw storageError('VersionError', `The database is already at version ${database.version}`);
+    }
+
+    if (version > database.version) {
+      // Older connections close, as IndexedDB asks other tabs to
+      database.connections.forEach(connection => connection.handleVersionChange());
+
+      const oldVersion = database.version;
+      const transaction = new MemoryTransaction(this, database, null, 'versionchange');
+      await transaction.started;
+      database.version = version;
+
+      try {
+        await upgrade(new MemorySchema(transaction), oldVersion, version);
+        transaction.commit();
+      } catch (error) {
+        if (transaction.state === 'active') transaction.abort(error);
+        throw error;
+      }
+    }
+
+    const connection = new MemoryConnection(this, database);
+    database.connections.add(connection);
+    return connection;
+  }
+}
+
+class MemoryConnection {
+  constructor(driver, database) {
+    this.driver = driver;
+    this.database = database;
+    this.closed = false;
+    this.versionChangeCallback = null;
+  }
+
+  transaction(storeNames, mode = 'readonly') {
+    if (this.closed) {
+      throw storageError('InvalidStateError', 'The database connection is closed');
+    }
+
+    const names = [].concat(storeNames);
+    names.forEach(storeName => {
+      if (!this.database.stores.has(storeName)) {
+        throw storageError('NotFoundError', `No object store named "${storeName}"`);
+      }
+    });
+    return new MemoryTransaction(this.driver, this.database, names, mode);
+  }
+
+  hasStore(storeName) {
+    return this.database.stores.has(storeName);
+  }
+
+  storeNames() {
+    return Array.from(this.database.stores.keys()).sort();
+  }
+
+  onVersionChange(callback) {
+    this.versionChangeCallback = callback;
+  }
+
+  handleVersionChange() {
+    this.close();
+    if (this.versionChangeCallback) this.versionChangeCallback();
+  }
+
+  close() {
+    this.closed = true;
+    this.database.connections.delete(this);
+  }
+}
+
+class MemoryTransaction {
+  // storeNames is null for the version change transaction, which covers every store
+  constructor(driver, database, storeNames, mode) {
+    this.driver = driver;
+    this.database = database;
+    this.storeNames = storeNames;
+    this.mode = mode;
+    this.state = 'waiting';
+    this.pending = 0;
+    this.error = null;
+
+    // Copies of what the transaction changes, put back if it aborts
+    this.snapshots = new Map();
+    this.schemaSnapshot = storeNames === null
+      ? { version: database.version, stores: new Map([...database.stores].map(([name, store]) => [name, cloneMemoryStore(store)])) }
+      : null;
+
+    this.started = new Promise(resolve => { this.resolveStarted = resolve; });
+    this.done = new Promise((resolve, reject) => {
+      this.resolveDone = resolve;
+      this.rejectDone = reject;
+    });
+    this.done.catch(() => {}); // callers that care await it
+
+    database.transactions.push(this);
+    MemoryTransaction.schedule(database);
+  }
+
+  // Start every waiting transaction that no earlier unfinished one conflicts with:
+  // read-only transactions share stores, anything that writes has them to itself
+  static schedule(database) {
+    database.transactions.forEach((transaction, i) => {
+      if (transaction.state !== 'waiting') return;
+
+      const blocked = database.transactions.slice(0, i).some(earlier => earlier.conflictsWith(transaction));
+      if (!blocked) {
+        transaction.state = 'active';
+        transaction.resolveStarted();
+        transaction.scheduleCommit();
+      }
+    });
+  }
+
+  conflictsWith(other) {
+    if (this.mode === 'readonly' && other.mode === 'readonly') return false;
+    if (!this.storeNames || !other.storeNames) return true;
+    return this.storeNames.some(storeName => other.storeNames.includes(storeName));
+  }
+
+  covers(storeName) {
+    return this.storeNames === null || this.storeNames.includes(storeName);
+  }
+
+  store(storeName) {
+    if (!this.covers(storeName)) {
+      throw storageError('NotFoundError', `"${storeName}" is not part of this transaction`);
+    }
+    return new MemoryStore(this, storeName);
+  }
+
+  // Run one operation once the transaction has started; a failure aborts the transaction
+  async request(operation) {
+    if (this.state !== 'waiting' && this.state !== 'active') {
+      throw storageError('TransactionInactiveError', 'The transaction has already finished');
+    }
+
+    this.pending++;
+    await this.started;
+    this.pending--;
+
+    if (this.state !== 'active') {
+      throw storageError('TransactionInactiveError', 'The transaction has already finished');
+    }
+
+    try {
+      const result = operation();
+      this.scheduleCommit();
+      return result;
+    } catch (error) {
+      this.abort(error);
+      throw error;
+    }
+  }
+
+  // Commit once the caller stops making requests (after the current task), like IndexedDB
+  scheduleCommit() {
+    if (this.mode === 'versionchange') return;
+
+    setTimeout(() => {
+      if (this.state === 'active' && this.pending === 0) {
+        this.commit();
+      }
+    }, 0);
+  }
+
+  // Keep a copy of a store before its first write in this transaction
+  touch(storeName) {
+    if (this.mode === 'readonly') {
+      throw storageError('ReadOnlyError', 'The transaction is read-only');
+    }
+    if (!this.schemaSnapshot && !this.snapshots.has(storeName)) {
+      this.snapshots.set(storeName, cloneMemoryStore(this.database.stores.get(storeName)));
+    }
+  }
+
+  commit() {
+    if (this.state !== 'active') return;
+
+    this.state = 'committed';
+    this.snapshots.clear();
+    this.schemaSnapshot = null;
+    this.finish();
+    if (this.mode !== 'readonly') {
+      this.driver.persist(this.database);
+    }
+    this.resolveDone();
+  }
+
+  abort(error = storageError('AbortError', 'The transaction was aborted')) {
+    if (this.state === 'committed' || this.state === 'aborted') {
+      throw storageError('InvalidStateError', 'The transaction has already finished');
+    }
+
+    if (this.schemaSnapshot) {
+      this.database.version = this.schemaSnapshot.version;
+      this.database.stores = this.schemaSnapshot.stores;
+    } else {
+      this.snapshots.forEach((snapshot, storeName) => this.database.stores.set(storeName, snapshot));
+    }
+
+    this.state = 'aborted';
+    this.error = error;
+    this.resolveStarted(); // requests still waiting to start fail as inactive
+    this.finish();
+    this.rejectDone(error);
+  }
+
+  finish() {
+    this.database.transactions = this.database.transactions.filter(other => other !== this);
+    MemoryTransaction.schedule(this.database);
+  }
+}
+
+class MemorySchema {
+  constructor(transaction) {
+    this.transaction = transaction;
+    this.database = transaction.database;
+  }
+
+  getStore(storeName) {
+    const store = this.database.stores.get(storeName);
+    if (!store) {
+      throw storageError('NotFoundError', `No object store named "${storeName}"`);
+    }
+    return store;
+  }
+
+  createStore(storeName, { keyPath = null, autoIncrement = false } = {}) {
+    if (this.database.stores.has(storeName)) {
+      throw storageError('ConstraintError', `An object store named "${storeName}" already exists`);
+    }
+    if (keyPath === null) {
+      throw storageError('NotSupportedError', 'Stores need a keyPath (in-line keys)');
+    }
+
+    this.database.stores.set(storeName, {
+      name: storeName,
+      keyPath,
+      autoIncrement,
+      currentKey: 0,
+      indexes: new Map(),
+      records: []
+    });
+  }
+
+  deleteStore(storeName) {
+    this.getStore(storeName);
+    this.database.stores.delete(storeName);
+  }
+
+  hasStore(storeName) {
+    return this.database.stores.has(storeName);
+  }
+
+  createIndex(storeName, indexName, keyPath, { unique = false, multiEntry = false } = {}) {
+    const store = this.getStore(storeName);
+    if (store.indexes.has(indexName)) {
+      throw storageError('ConstraintError', `An index named "${indexName}" already exists`);
+    }
+
+    const index = { name: indexName, keyPath, unique, multiEntry };
+
+    // Existing records must already satisfy a unique index
+    if (unique) {
+      const seen = [];
+      store.records.forEach(record => {
+        getIndexKeys(record.value, index).forEach(key => {
+          if (seen.some(other => compareKeys(other, key) === 0)) {
+            throw storageError('ConstraintError', `Existing records break the unique index "${indexName}"`);
+          }
+          seen.push(key);
+        });
+      });
+    }
+
+    store.indexes.set(indexName, index);
+  }
+
+  deleteIndex(storeName, indexName) {
+    const store = this.getStore(storeName);
+    if (!store.indexes.has(indexName)) {
+      throw storageError('NotFoundError', `No index named "${indexName}"`);
+    }
+    store.indexes.delete(indexName);
+  }
+
+  hasIndex(storeName, indexName) {
+    return this.getStore(storeName).indexes.has(indexName);
+  }
+
+  store(storeName) {
+    return this.transaction.store(storeName);
+  }
+}
+
+class MemoryStore {
+  constructor(transaction, storeName) {
+    this.transaction = transaction;
+    this.name = storeName;
+  }
+
+  // Look the store up on every call: an abort swaps in the saved copy
+  data() {
+    const store = this.transaction.database.stores.get(this.name);
+    if (!store) {
+      throw storageError('NotFoundError', `No object store named "${this.name}"`);
+    }
+    return store;
+  }
+
+  // Index (or primary key) entries in key order: { key, primaryKey, value }
+  entries(indexName = null) {
+    const store = this.data();
+    if (!indexName) {
+      return store.records.map(record => ({ key: record.key, primaryKey: record.key, value: record.value }));
+    }
+
+    const index = store.indexes.get(indexName);
+    if (!index) {
+      throw storageError('NotFoundError', `No index named "${indexName}"`);
+    }
+
+    const entries = [];
+    store.records.forEach(record => {
+      getIndexKeys(record.value, index).forEach(key => {
+        entries.push({ key, primaryKey: record.key, value: record.value });
+      });
+    });
+    return entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+  }
+
+  get(query) {
+    return this.transaction.request(() => {
+      const entry = this.entries().find(candidate => matchesQuery(candidate.key, query));
+      return entry ? cloneValue(entry.value) : undefined;
+    });
+  }
+
+  getAll(query) {
+    return this.transaction.request(() => this.entries()
+      .filter(entry => matchesQuery(entry.key, query))
+      .map(entry => cloneValue(entry.value)));
+  }
+
+  getAllByIndex(indexName, query) {
+    return this.transaction.request(() => this.entries(indexName)
+      .filter(entry => matchesQuery(entry.key, query))
+      .map(entry => cloneValue(entry.value)));
+  }
+
+  count(query, indexName = null) {
+    return this.transaction.request(() => this.entries(indexName)
+      .filter(entry => matchesQuery(entry.key, query)).length);
+  }
+
+  add(value) {
+    return this.transaction.request(() => this.write(value, false));
+  }
+
+  put(value) {
+    return this.transaction.request(() => this.write(value, true));
+  }
+
+  delete(query) {
+    return this.transaction.request(() => {
+      this.transaction.touch(this.name);
+      const store = this.data();
+      store.records = store.records.filter(record => !matchesQuery(record.key, query));
+    });
+  }
+
+  // Insert or replace a record, enforcing keys and unique indexes; returns its key
+  write(value, overwrite, expectedKey = undefined) {
+    this.transaction.touch(this.name);
+    const store = this.data();
+    const record = cloneValue(value);
+
+    let key = evaluateKeyPath(record, store.keyPath);
+    if (key === undefined && store.autoIncrement && typeof store.keyPath === 'string') {
+      key = store.currentKey + 1;
+      const path = store.keyPath.split('.');
+      const parent = path.slice(0, -1).reduce((current, part) => {
+        if (current[part] === undefined) current[part] = {};
+        return current[part];
+      }, record);
+      parent[path[path.length - 1]] = key;
+    }
+    if (!isValidKey(key)) {
+      throw storageError('DataError', 'The record has no valid key');
+    }
+    if (expectedKey !== undefined && compareKeys(key, expectedKey) !== 0) {
+      throw storageError('DataError', 'A cursor update cannot change the record\'s key');
+    }
+    if (store.autoIncrement && typeof key === 'number' && key > store.currentKey) {
+      store.currentKey = Math.floor(key);
+    }
+
+    const position = findRecordPosition(store.records, key);
+    if (position.found && !overwrite) {
+      throw storageError('ConstraintError', `A record with key ${JSON.stringify(key)} already exists in "${this.name}"`);
+    }
+
+    store.indexes.forEach(index => {
+      if (!index.unique) return;
+      getIndexKeys(record, index).forEach(indexKey => {
+        const taken = store.records.some(other =>
+          compareKeys(other.key, key) !== 0 &&
+          getIndexKeys(other.value, index).some(otherKey => compareKeys(otherKey, indexKey) === 0));
+        if (taken) {
+          throw storageError('ConstraintError', `Unique index "${index.name}" already has ${JSON.stringify(indexKey)}`);
+        }
+      });
+    });
+
+    store.records.splice(position.index, position.found ? 1 : 0, { key, value: record });
+    return key;
+  }
+
+  iterate({ index = null, range = null, direction = 'next' } = {}, visit) {
+    return this.transaction.request(() => {
+      const forward = direction !== 'prev';
+      const entries = this.entries(index).filter(entry => matchesQuery(entry.key, range));
+      if (!forward) entries.reverse();
+
+      // Whether an entry comes before a seek target in the direction of travel
+      const isBefore = (entry, target) => {
+        let order = compareKeys(entry.key, target.key);
+        if (order === 0 && target.primaryKey !== undefined) {
+          order = compareKeys(entry.primaryKey, target.primaryKey);
+        }
+        return forward ? order < 0 : order > 0;
+      };
+
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+
+        // Skip records deleted through the cursor, and see updates made through it
+        const position = findRecordPosition(this.data().records, entry.primaryKey);
+        if (!position.found) continue;
+        const current = this.data().records[position.index];
+
+        let next = null;
+        visit({
+          key: entry.key,
+          primaryKey: entry.primaryKey,
+          value: cloneValue(current.value),
+          update: value => { this.write(value, true, entry.primaryKey); },
+          delete: () => {
+            this.transaction.touch(this.name);
+            const store = this.data();
+            store.records = store.records.filter(record => compareKeys(record.key, entry.primaryKey) !== 0);
+          },
+          stop: () => { next = { stop: true }; },
+          seek: (key, primaryKey) => { next = { key, primaryKey }; }
+        });
+
+        if (next && next.stop) break;
+        if (next) {
+          while (i + 1 < entries.length && isBefore(entries[i + 1], next)) i++;
+        }
+      }
+    });
+  }
+}
+
+// ===== JSON file (Node) =====
+
+// The in-memory driver, saved to <directory>/<database name>.json after every committed write.
+// Only JSON survives a restart: values such as a session's CryptoKey are left out of the file.
+class JsonFileDriver extends MemoryDriver {
+  constructor(directory, fileSystem = typeof require === 'function' ? require('fs') : null) {
+    super();
+    if (!fileSystem) {
+      throw new Error('The JSON file driver needs Node\'s fs module');
+    }
+    this.directory = directory;
+    this.fs = fileSystem;
+  }
+
+  getFilePath(name) {
+    return `${this.directory.replace(/[\\/]+$/, '')}/${encodeURIComponent(name)}.json`;
+  }
+
+  loadDatabase(name) {
+    const filePath = this.getFilePath(name);
+    if (!this.fs.existsSync(filePath)) return null;
+
+    const saved = JSON.parse(this.fs.readFileSync(filePath, 'utf8'));
+    const database = createMemoryDatabase(name);
+    database.version = saved.version;
+
+    saved.stores.forEach(({ records, indexes, ...store }) => {
+      database.stores.set(store.name, {
+        ...store,
+        indexes: new Map(indexes.map(index => [index.name, index])),
+        records: records
+          .map(value => ({ key: evaluateKeyPath(value, store.keyPath), value }))
+          .sort((a, b) => compareKeys(a.key, b.key))
+      });
+    });
+    return database;
+  }
+
+  persist(database) {
+    const data = {
+      name: database.name,
+      version: database.version,
+      stores: [...database.stores.values()].map(store => ({
+        name: store.name,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        currentKey: store.currentKey,
+        indexes: [...store.indexes.values()],
+        records: store.records.map(record => record.value)
+      }))
+    };
+
+    // Write a temporary file and rename it, so a crash never leaves half a file
+    const filePath = this.getFilePath(database.name);
+    this.fs.mkdirSync(this.directory, { recursive: true });
+    this.fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, (key, value) =>
+      Object.prototype.toString.call(value) === '[object CryptoKey]' ? undefined : value));
+    this.fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+}
+
+// IndexedDB where the browser has it, memory anywhere else (e.g. Node)
+function createDefaultDriver() {
+  return typeof indexedDB !== 'undefined' ? new IndexedDBDriver() : new MemoryDriver();
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.KeyRange = KeyRange;
+  window.IndexedDBDriver = IndexedDBDriver;
+  window.MemoryDriver = MemoryDriver;
+  window.JsonFileDriver = JsonFileDriver;
+}
@@ -0,0 +1,201 @@
+// sync-server.js - Reference MindSpace Sync Server
+//
+// A small self-hostable server for sync.js, with no dependencies beyond Node 20+:
+//
+//   node sync-server.js [--port 8787] [--data ./mindspace-sync.json]
+//
+// Each sync key is its own account: devices that enter the same key share one copy of the data.
+// The server only stores what devices send it; notes sealed by the vault stay encrypted.
+//
+// REST API (JSON, every route but /v1/status needs "Authorization: Bearer <sync key>"):
+//   GET  /v1/status                       -> { ok, apiVersion, time }
+//   GET  /v1/changes?since=<cursor>&limit=<n>
+//                                         -> { changes: [record], cursor, hasMore }
+//   POST /v1/changes  { changes: [record] } -> { accepted, cursor }
+//
+// A record is { uuid, store, fields, fieldTimes, deletedAt, updatedAt }; pulled records also
+// carry the seq the cursor counts. Pushed records are merged field by field (last write wins),
+// and a record only gets a new seq when the merge changed it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { SYNC_CONFIG, SyncMerge } = require('./sync.js');
+
+const SERVER_CONFIG = {
+  port: 8787,
+  dataFile: './mindspace-sync.json',
+  maxBodyBytes: 5 * 1024 * 1024,
+  maxPageSize: 500
+};
+
+// Accounts keyed by a hash of their sync key, saved to one JSON file
+class SyncStore {
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.accounts = {};
+    if (fs.existsSync(this.file)) {
+      this.accounts = JSON.parse(fs.readFileSync(this.file, 'utf8')).accounts || {};
+    }
+  }
+
+  // Account for a sync key, created on first use
+  account(key) {
+    const id = crypto.createHash('sha256').update(key).digest('hex');
+    if (!this.accounts[id]) {
+      this.accounts[id] = { seq: 0, records: {} };
+    }
+    return this.accounts[id];
+  }
+
+  // Records changed after a cursor, oldest first
+  changesSince(account, since, limit) {
+    const changed = Object.values(account.records)
+      .filter(record => record.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    const changes = changed.slice(0, limit);
+
+    return {
+      changes,
+      cursor: changes.length > 0 ? changes[changes.length - 1].seq : Math.max(since, 0),
+      hasMore: changed.length > limit
+    };
+  }
+
+  // Merge pushed records into an account; returns how many changed
+  apply(account, changes) {
+    let accepted = 0;
+    changes.forEach(incoming => {
+      const current = account.records[incoming.uuid] || null;
+      const merged = SyncMerge.merge(current, incoming);
+      if (current && SyncMerge.isSame(current, merged)) return;
+
+      account.seq++;
+      account.records[incoming.uuid] = { ...merged, seq: account.seq };
+      accepted++;
+    });
+    return accepted;
+  }
+
+  // Write through a temporary file, so a crash never leaves half a file behind
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ accounts: this.accounts }));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > SERVER_CONFIG.maxBodyBytes) {
+        reject(new HttpError(413, 'Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function requireKey(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match || match[1].length < SYNC_CONFIG.minKeyLength) {
+    throw new HttpError(401, 'A sync key is required');
+  }
+  return match[1];
+}
+
+function createSyncServer({ dataFile = SERVER_CONFIG.dataFile } = {}) {
+  const store = new SyncStore(dataFile);
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = `${req.method} ${url.pathname}`;
+
+      if (req.method === 'OPTIONS') {
+        send(res, 204, null);
+      } else if (route === `GET /v${SYNC_CONFIG.apiVersion}/status`) {
+        send(res, 200, { ok: true, apiVersion: SYNC_CONFIG.apiVersion, time: new Date().toISOString() });
+      } else if (route === `GET /v${SYNC_CONFIG.apiVersion}/changes`) {
+        const account = store.account(requireKey(req));
+        const since = Number.parseInt(url.searchParams.get('since'), 10) || 0;
+        const limit = Math.min(
+          Number.parseInt(url.searchParams.get('limit'), 10) || SYNC_CONFIG.batchSize,
+          SERVER_CONFIG.maxPageSize
+        );
+        send(res, 200, store.changesSince(account, since, Math.max(limit, 1)));
+      } else if (route === `POST /v${SYNC_CONFIG.apiVersion}/changes`) {
+        const account = store.account(requireKey(req));
+        const body = await readBody(req);
+        if (!Array.isArray(body.changes)) {
+          throw new HttpError(400, 'Expected { changes: [...] }');
+        }
+        body.changes.forEach((change, index) => {
+          const invalid = SyncMerge.validate(change);
+          if (invalid) throw new HttpError(400, `Change ${index}: ${invalid}`);
+        });
+
+        const accepted = store.apply(account, body.changes);
+        if (accepted > 0) store.save();
+        send(res, 200, { accepted, cursor: account.seq });
+      } else {
+        throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Error handling sync request:', error);
+      }
+      send(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Server error' });
+    }
+  });
+}
+
+// Read --port and --data from the command line
+function parseArgs(argv) {
+  const options = { port: SERVER_CONFIG.port, dataFile: SERVER_CONFIG.dataFile };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number.parseInt(argv[++i], 10);
+    if (argv[i] === '--data') options.dataFile = argv[++i];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  createSyncServer(options).listen(options.port, () => {
+    console.log(`MindSpace sync server listening on http://localhost:${options.port} (data: ${path.resolve(options.dataFile)})`);
+  });
+}
+
+module.exports = { createSyncServer, SyncStore };
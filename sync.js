@@ -0,0 +1,696 @@
+// sync.js - Offline-First Sync with a MindSpace Sync Server
+
+// Sync loop timing and request sizes
+const SYNC_CONFIG = {
+  apiVersion: 1,               // REST API version spoken (see sync-server.js)
+  intervalSeconds: 60,         // regular sync while a page is open
+  debounceSeconds: 5,          // wait after a local write before syncing it
+  maxBackoffMinutes: 15,       // longest wait between retries while the server is unreachable
+  batchSize: 100,              // records per push or pull request
+  requestTimeoutSeconds: 15,
+  minKeyLength: 16             // shortest sync key the server accepts
+};
+
+// How the records of each synced store are matched and merged across devices
+// naturalKey: an index on [userId, field] that finds the same record created separately on two devices
+// noteFields: free text whose concurrent edits are kept for the user to choose between
+const SYNC_STORE_RULES = {
+  userTherapists: { naturalKey: { index: 'userTherapist', field: 'therapistId' }, noteFields: [] },
+  appointments: { naturalKey: null, noteFields: ['notes'] },
+  moods: { naturalKey: { index: 'userDate', field: 'date' }, noteFields: ['notes'] }
+};
+
+// Per-field last-writer-wins on wire records, shared with sync-server.js
+// A wire record is { uuid, store, fields, fieldTimes, deletedAt, updatedAt }
+const SyncMerge = {
+  // Latest edit to any field of a record ('' for none)
+  latestFieldTime(record) {
+    return Object.values(record.fieldTimes || {}).reduce((latest, time) => (time > latest ? time : latest), '');
+  },
+
+  // A record is deleted while its tombstone is newer than every field edit
+  isDeleted(record) {
+    return Boolean(record.deletedAt) && record.deletedAt >= this.latestFieldTime(record);
+  },
+
+  // The later edit wins; on a tie the larger value does, so every copy settles on the same one
+  prefersIncoming(current, incoming, field) {
+    const currentTime = current.fieldTimes[field] || '';
+    const incomingTime = incoming.fieldTimes[field] || '';
+    if (incomingTime !== currentTime) return incomingTime > currentTime;
+    return (JSON.stringify(incoming.fields[field]) || '') > (JSON.stringify(current.fields[field]) || '');
+  },
+
+  // Merge an incoming copy of a record into the current one (null when there is none)
+  merge(current, incoming) {
+    const base = current || { uuid: incoming.uuid, store: incoming.store, fields: {}, fieldTimes: {}, deletedAt: null };
+    const merged = {
+      uuid: base.uuid,
+      store: base.store,
+      fields: { ...base.fields },
+      fieldTimes: { ...base.fieldTimes },
+      deletedAt: (incoming.deletedAt || '') > (base.deletedAt || '') ? incoming.deletedAt : (base.deletedAt || null)
+    };
+
+    Object.keys(incoming.fieldTimes).forEach(field => {
+      if (this.prefersIncoming(merged, incoming, field)) {
+        merged.fields[field] = incoming.fields[field];
+        merged.fieldTimes[field] = incoming.fieldTimes[field];
+      }
+    });
+
+    const latest = this.latestFieldTime(merged);
+    merged.updatedAt = (merged.deletedAt || '') > latest ? merged.deletedAt : latest;
+    return merged;
+  },
+
+  // Check if two copies hold the same data, so unchanged records aren't rewritten or sent again
+  isSame(a, b) {
+    const canonical = record => JSON.stringify([
+      record.deletedAt || null,
+      Object.keys(record.fieldTimes).sort().map(field => [field, record.fieldTimes[field], record.fields[field]])
+    ]);
+    return canonical(a) === canonical(b);
+  },
+
+  // Check a wire record's shape; returns an error message, or null if it is usable
+  validate(record) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    const isTime = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+    if (!isObject(record)) return 'Change is not an object';
+    if (typeof record.uuid !== 'string' || !/^[0-9a-f-]{36}$/i.test(record.uuid)) return 'Change has no valid uuid';
+    if (!Object.keys(SYNC_STORE_RULES).includes(record.store)) return `Store "${record.store}" is not synced`;
+    if (!isObject(record.fields) || !isObject(record.fieldTimes)) return 'Change needs fields and fieldTimes';
+    if (!Object.values(record.fieldTimes).every(isTime)) return 'fieldTimes must be ISO timestamps';
+    if (record.deletedAt !== null && record.deletedAt !== undefined && !isTime(record.deletedAt)) {
+      return 'deletedAt must be an ISO timestamp or null';
+    }
+    return null;
+  }
+};
+
+// A failed request to the sync server; retryable when it is unreachable or had a server error
+class SyncRequestError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = 'SyncRequestError';
+    this.status = status;
+    this.retryable = status === 0 || status >= 500;
+  }
+}
+
+class SyncEngine {
+  // ===== Settings =====
+
+  static async getState(userId) {
+    return (await mindspaceDB.get('syncState', userId)) || null;
+  }
+
+  // Update a user's sync state without overwriting what a sync saved meanwhile
+  static async saveState(userId, updates) {
+    await mindspaceDB.transaction('syncState', 'readwrite', async ({ syncState }) => {
+      const state = await syncState.get(userId);
+      if (state) {
+        await syncState.put({ ...state, ...updates });
+      }
+    });
+  }
+
+  // A random sync key to enter on each device that should share this data
+  static generateKey() {
+    return CryptoUtils.toBase64(CryptoUtils.randomBytes(24)).replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  // Turn sync on for a user; works offline too, the first sync happens once the server is reachable
+  static async enable(userId, { serverUrl, key }) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const url = (serverUrl || '').trim().replace(/\/+$/, '');
+      if (!/^https?:\/\/[^\s/]+/i.test(url)) {
+        return {
+          success: false,
+          message: 'Enter the server address, e.g. https://sync.example.com'
+        };
+      }
+      if (!key || key.trim().length < SYNC_CONFIG.minKeyLength) {
+        return {
+          success: false,
+          message: `The sync key must be at least ${SYNC_CONFIG.minKeyLength} characters`
+        };
+      }
+
+      // A different server or key is a different copy of the data: start over from the beginning
+      const previous = await this.getState(userId);
+      const sameCopy = previous && previous.serverUrl === url && previous.key === key.trim();
+      await mindspaceDB.update('syncState', {
+        userId: userId,
+        serverUrl: url,
+        key: key.trim(),
+        enabled: true,
+        cursor: sameCopy ? previous.cursor : 0,
+        needsFullPush: sameCopy ? previous.needsFullPush : true,
+        lastSyncAt: sameCopy ? previous.lastSyncAt : null,
+        lastError: null
+      });
+
+      await SecurityLog.record(userId, 'sync_enabled', { server: url });
+      this.start(userId);
+
+      return {
+        success: true,
+        message: 'Sync turned on'
+      };
+    } catch (error) {
+      console.error('Error enabling sync:', error);
+      return {
+        success: false,
+        message: 'Failed to turn on sync'
+      };
+    }
+  }
+
+  // Turn sync off; local data and unsent changes stay, and sync picks up from here if turned back on
+  static async disable(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      await this.saveState(userId, { enabled: false });
+      if (this.userId === userId) {
+        this.stop();
+      }
+      await SecurityLog.record(userId, 'sync_disabled');
+
+      return {
+        success: true,
+        message: 'Sync turned off'
+      };
+    } catch (error) {
+      console.error('Error disabling sync:', error);
+      return {
+        success: false,
+        message: 'Failed to turn off sync'
+      };
+    }
+  }
+
+  // Sync settings and counts for the profile page (null when denied)
+  static async getStatus(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return null;
+
+      const state = await this.getState(userId);
+      const pending = await mindspaceDB.getByIndex(SYNC_OUTBOX, 'userId', userId);
+      const conflicts = await this.getConflicts(userId);
+
+      return {
+        enabled: Boolean(state && state.enabled),
+        serverUrl: state ? state.serverUrl : '',
+        lastSyncAt: state ? state.lastSyncAt : null,
+        lastError: state ? state.lastError : null,
+        pending: pending.length,
+        conflicts: conflicts.length
+      };
+    } catch (error) {
+      console.error('Error getting sync status:', error);
+      return null;
+    }
+  }
+
+  // ===== Sync loop =====
+
+  // Keep a user's data in sync while a page is open (does nothing until sync is turned on)
+  static start(userId) {
+    if (this.userId === userId && this.unsubscribe) return;
+    this.stop();
+
+    this.userId = userId;
+    this.failures = 0;
+
+    // Sync soon after a write made here (not one pulled by sync), and straight away when the connection comes back
+    this.unsubscribe = mindspaceDB.onChange(SYNCED_STORES, changes => {
+      if (changes.some(change => change.origin === 'local' && change.userId === userId)) {
+        this.schedule(SYNC_CONFIG.debounceSeconds * 1000);
+      }
+    });
+    if (typeof window !== 'undefined') {
+      this.handleOnline = () => this.schedule(0);
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    this.schedule(0);
+  }
+
+  static stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    if (this.handleOnline) window.removeEventListener('online', this.handleOnline);
+    this.handleOnline = null;
+    this.userId = null;
+  }
+
+  static schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.runScheduled(), delay);
+  }
+
+  // Sync, then wait the usual interval, or back off while the server can't be reached
+  static async runScheduled() {
+    const userId = this.userId;
+    if (!userId) return;
+
+    const result = await this.syncNow(userId);
+    if (this.userId !== userId || result.disabled) return;
+
+    this.failures = result.success || !result.retryable ? 0 : this.failures + 1;
+    const delay = Math.min(
+      SYNC_CONFIG.intervalSeconds * 1000 * Math.pow(2, this.failures),
+      SYNC_CONFIG.maxBackoffMinutes * 60 * 1000
+    );
+    this.schedule(delay);
+  }
+
+  // Pull the server's changes, then push this device's; one sync at a time across tabs
+  static async syncNow(userId) {
+    const denied = await Access.requireSelf(userId);
+    if (denied) return denied;
+
+    if (!this.running) {
+      this.running = this.withLock(() => this.run(userId)).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  // Web Locks keep two tabs from syncing at once where the browser has them
+  static withLock(task) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(`${mindspaceDB.name}:sync`, task);
+    }
+    return task();
+  }
+
+  static async run(userId) {
+    const state = await this.getState(userId);
+    if (!state || !state.enabled) {
+      return {
+        success: false,
+        disabled: true,
+        message: 'Sync is turned off'
+      };
+    }
+
+    try {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        throw new SyncRequestError('You are offline');
+      }
+
+      const therapists = await mindspaceDB.getAll('therapists');
+      const pulled = await this.pull(state, therapists);
+      const pushed = await this.push({ ...state, cursor: pulled.cursor }, therapists);
+      await this.saveState(userId, { lastSyncAt: new Date().toISOString(), lastError: null });
+
+      return {
+        success: true,
+        pulled: pulled.applied,
+        pushed: pushed,
+        conflicts: pulled.conflicts,
+        skipped: pulled.skipped,
+        message: pulled.conflicts > 0
+          ? `Synced. ${pulled.conflicts} note(s) were edited on two devices; choose which version to keep.`
+          : 'Synced'
+      };
+    } catch (error) {
+      console.error('Error syncing:', error);
+      await this.saveState(userId, { lastError: error.message });
+      return {
+        success: false,
+        retryable: error instanceof SyncRequestError && error.retryable,
+        message: error instanceof SyncRequestError && error.retryable
+          ? 'The sync server can\'t be reached right now; your changes are kept and will sync later'
+          : `Sync failed: ${error.message}`
+      };
+    }
+  }
+
+  // Call the sync server's REST API (see sync-server.js)
+  static async request(state, method, path, body = null) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), SYNC_CONFIG.requestTimeoutSeconds * 1000) : null;
+
+    let response;
+    try {
+      response = await fetch(`${state.serverUrl}/v${SYNC_CONFIG.apiVersion}${path}`, {
+        method: method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${state.key}`
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      throw new SyncRequestError('The sync server is not reachable');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new SyncRequestError(data.error || `The sync server answered ${response.status}`, response.status);
+    }
+    return data;
+  }
+
+  // ===== Pull =====
+
+  // Apply the server's changes since the last pull, one page per transaction
+  static async pull(state, therapists) {
+    const summary = { applied: 0, conflicts: 0, skipped: 0, cursor: state.cursor || 0 };
+
+    for (;;) {
+      const page = await this.request(state, 'GET', `/changes?since=${summary.cursor}&limit=${SYNC_CONFIG.batchSize}`);
+      const changes = Array.isArray(page.changes) ? page.changes : [];
+
+      await mindspaceDB.transaction([...SYNCED_STORES, SYNC_OUTBOX, 'syncConflicts', 'syncState'], 'readwrite', async (stores) => {
+        for (const remote of changes) {
+          const invalid = SyncMerge.validate(remote);
+          if (invalid) {
+            console.warn('Skipping a change from the sync server:', invalid);
+            summary.skipped++;
+            continue;
+          }
+
+          const result = await this.applyRemote(stores, state.userId, remote, therapists);
+          if (result.status === 'applied') summary.applied++;
+          if (result.status === 'skipped') summary.skipped++;
+          summary.conflicts += result.conflicts || 0;
+        }
+
+        const current = await stores.syncState.get(state.userId);
+        if (current) {
+          await stores.syncState.put({ ...current, cursor: page.cursor });
+        }
+      }, { remote: true });
+
+      const advanced = page.cursor > summary.cursor;
+      summary.cursor = page.cursor;
+      if (!page.hasMore || !advanced) break;
+    }
+
+    return summary;
+  }
+
+  // Merge one record from the server into this device
+  // Returns { status: 'applied' | 'unchanged' | 'skipped', conflicts }
+  static async applyRemote(stores, userId, remote, therapists) {
+    const rules = SYNC_STORE_RULES[remote.store];
+    const store = stores[remote.store];
+    const now = new Date().toISOString();
+
+    let [local] = await store.getByIndex('uuid', remote.uuid);
+    if (local && local.userId !== userId) return { status: 'skipped' };
+
+    // The same connection or day's mood may have been created separately on another device
+    if (!local && rules.naturalKey && !SyncMerge.isDeleted(remote)) {
+      const value = this.toLocalValue(rules.naturalKey.field, remote.fields, therapists);
+      if (value !== undefined && value !== null) {
+        [local] = await store.getByIndex(rules.naturalKey.index, [userId, value]);
+      }
+    }
+    const twin = Boolean(local) && local.uuid !== remote.uuid;
+
+    // Unsent local changes: an edit of this record, or a tombstone if it was deleted here
+    const pending = await stores.syncOutbox.get(local ? local.uuid : remote.uuid);
+    const current = local
+      ? this.toWire(remote.store, local, therapists)
+      : (pending && pending.op === 'delete'
+        ? { uuid: remote.uuid, store: remote.store, fields: {}, fieldTimes: {}, deletedAt: pending.at }
+        : null);
+
+    const merged = SyncMerge.merge(current, remote);
+    if (!twin && current && SyncMerge.isSame(current, merged)) return { status: 'unchanged' };
+
+    if (SyncMerge.isDeleted(merged)) {
+      if (local) {
+        await store.delete(local.id);
+        if (pending) await stores.syncOutbox.delete(pending.uuid);
+        for (const conflict of await stores.syncConflicts.getByIndex('uuid', local.uuid)) {
+          await stores.syncConflicts.delete(conflict.id);
+        }
+      }
+      return { status: local ? 'applied' : 'unchanged' };
+    }
+
+    // Twins keep the smaller uuid, so both devices settle on the same record
+    const uuid = twin && remote.uuid > local.uuid ? local.uuid : remote.uuid;
+    const record = this.fromWire({ ...merged, uuid }, userId, therapists);
+    if (!record) return { status: 'skipped' };
+
+    if (local) {
+      await store.put({ ...record, id: local.id });
+    } else {
+      await store.add(record);
+      if (pending) await stores.syncOutbox.delete(pending.uuid); // edited elsewhere after it was deleted here
+    }
+
+    if (twin) {
+      const other = uuid === local.uuid ? remote.uuid : local.uuid;
+      if (pending) await stores.syncOutbox.delete(pending.uuid);
+      await stores.syncOutbox.put({ uuid: other, store: remote.store, userId, op: 'delete', fields: [], base: {}, at: now });
+      await stores.syncOutbox.put({ uuid, store: remote.store, userId, op: 'put', fields: Object.keys(merged.fields), base: {}, at: now });
+    }
+
+    const conflicts = local ? this.findConflicts(rules, current, remote, twin ? null : pending, twin) : [];
+    for (const conflict of conflicts) {
+      const stale = await stores.syncConflicts.getByIndex('uuid', uuid);
+      for (const old of stale.filter(other => other.field === conflict.field)) {
+        await stores.syncConflicts.delete(old.id);
+      }
+      await stores.syncConflicts.add({
+        userId: userId,
+        store: remote.store,
+        uuid: uuid,
+        field: conflict.field,
+        localValue: conflict.localValue,
+        remoteValue: conflict.remoteValue,
+        detectedAt: now
+      });
+    }
+
+    return { status: 'applied', conflicts: conflicts.length };
+  }
+
+  // Notes changed on both sides since this device last synced them, to different non-empty text
+  static findConflicts(rules, current, remote, pending, twin) {
+    return rules.noteFields
+      .filter(field => {
+        if (!remote.fieldTimes[field]) return false;
+        const localChanged = twin || Boolean(pending && pending.op === 'put' && pending.fields.includes(field));
+        const remoteChanged = twin || remote.fieldTimes[field] > ((pending && pending.base[field]) || '');
+        const localValue = current.fields[field];
+        const remoteValue = remote.fields[field];
+        return localChanged && remoteChanged && Boolean(localValue) && Boolean(remoteValue) &&
+          JSON.stringify(localValue) !== JSON.stringify(remoteValue);
+      })
+      .map(field => ({ field, localValue: current.fields[field], remoteValue: remote.fields[field] }));
+  }
+
+  // ===== Push =====
+
+  // Send this device's unsent changes (everything, the first time), then clear what was sent
+  static async push(state, therapists) {
+    const entries = await mindspaceDB.getByIndex(SYNC_OUTBOX, 'userId', state.userId);
+    const changes = [];
+
+    for (const entry of entries.filter(entry => entry.op === 'delete')) {
+      changes.push({ uuid: entry.uuid, store: entry.store, fields: {}, fieldTimes: {}, deletedAt: entry.at, updatedAt: entry.at });
+    }
+
+    if (state.needsFullPush) {
+      for (const storeName of SYNCED_STORES) {
+        const records = await mindspaceDB.getByIndex(storeName, 'userId', state.userId);
+        records.forEach(record => changes.push(this.toWire(storeName, record, therapists)));
+      }
+    } else {
+      for (const entry of entries.filter(entry => entry.op === 'put')) {
+        const [record] = await mindspaceDB.getByIndex(entry.store, 'uuid', entry.uuid);
+        if (record) changes.push(this.toWire(entry.store, record, therapists));
+      }
+    }
+
+    for (let i = 0; i < changes.length; i += SYNC_CONFIG.batchSize) {
+      await this.request(state, 'POST', '/changes', { changes: changes.slice(i, i + SYNC_CONFIG.batchSize) });
+    }
+
+    // Entries edited again while the push ran stay queued for the next one
+    await mindspaceDB.transaction([SYNC_OUTBOX, 'syncState'], 'readwrite', async (stores) => {
+      for (const entry of entries) {
+        const current = await stores.syncOutbox.get(entry.uuid);
+        if (current && current.op === entry.op && current.at === entry.at) {
+          await stores.syncOutbox.delete(entry.uuid);
+        }
+      }
+
+      const current = await stores.syncState.get(state.userId);
+      if (current && current.needsFullPush) {
+        await stores.syncState.put({ ...current, needsFullPush: false });
+      }
+    }, { remote: true });
+
+    return changes.length;
+  }
+
+  // ===== Record format =====
+
+  // Local record -> wire record; therapists travel by name, since their IDs differ between devices
+  static toWire(storeName, record, therapists) {
+    const fields = {};
+    const fieldTimes = {};
+
+    Object.entries(record.fieldTimes || {}).forEach(([field, time]) => {
+      if (field === 'therapistId') {
+        const therapist = therapists.find(t => t.id === record.therapistId);
+        fields.therapist = therapist ? therapist.name : null;
+        fieldTimes.therapist = time;
+        return;
+      }
+      fields[field] = record[field] === undefined ? null : record[field];
+      fieldTimes[field] = time;
+    });
+
+    return {
+      uuid: record.uuid,
+      store: storeName,
+      fields: fields,
+      fieldTimes: fieldTimes,
+      deletedAt: null,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  // Wire record -> local record for a user (null if it names a therapist this device doesn't have)
+  static fromWire(remote, userId, therapists) {
+    const record = { userId: userId, uuid: remote.uuid, updatedAt: remote.updatedAt, fieldTimes: {} };
+
+    for (const [field, time] of Object.entries(remote.fieldTimes)) {
+      const localField = field === 'therapist' ? 'therapistId' : field;
+      const value = this.toLocalValue(localField, remote.fields, therapists);
+      if (localField === 'therapistId' && value === undefined) return null;
+
+      record[localField] = value;
+      record.fieldTimes[localField] = time;
+    }
+    return record;
+  }
+
+  // A local field's value from wire fields (undefined for an unknown therapist)
+  static toLocalValue(field, fields, therapists) {
+    if (field !== 'therapistId') return fields[field];
+    const therapist = therapists.find(t => t.name === fields.therapist);
+    return therapist ? therapist.id : undefined;
+  }
+
+  // ===== Conflicts =====
+
+  // A user's unresolved note conflicts, with both versions decrypted where the vault allows
+  static async getConflicts(userId) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return [];
+
+      const conflicts = await mindspaceDB.getByIndex('syncConflicts', 'userId', userId);
+      const result = [];
+      for (const conflict of conflicts) {
+        // Nothing left to choose once the record itself was deleted here
+        const [record] = await mindspaceDB.getByIndex(conflict.store, 'uuid', conflict.uuid);
+        if (!record) continue;
+
+        const local = await Vault.open(conflict.store, { [conflict.field]: conflict.localValue });
+        const remote = await Vault.open(conflict.store, { [conflict.field]: conflict.remoteValue });
+
+        result.push({
+          ...conflict,
+          localValue: local[conflict.field],
+          remoteValue: remote[conflict.field],
+          record: record
+        });
+      }
+      return result.sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+    } catch (error) {
+      console.error('Error getting sync conflicts:', error);
+      return [];
+    }
+  }
+
+  // Settle a conflict with this device's version ('local'), the other device's ('remote')
+  // or new text ('custom'); the choice is saved as a fresh edit, so it syncs everywhere
+  static async resolveConflict(userId, conflictId, choice, text = '') {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      const conflict = await mindspaceDB.get('syncConflicts', conflictId);
+      if (!conflict || conflict.userId !== userId) {
+        return {
+          success: false,
+          message: 'Conflict not found'
+        };
+      }
+
+      let value;
+      if (choice === 'local') {
+        value = conflict.localValue;
+      } else if (choice === 'remote') {
+        value = conflict.remoteValue;
+      } else if (choice === 'custom') {
+        value = (await Vault.seal(conflict.store, { [conflict.field]: text }))[conflict.field];
+      } else {
+        return {
+          success: false,
+          message: 'Choose which version to keep'
+        };
+      }
+
+      await mindspaceDB.transaction([conflict.store, 'syncConflicts'], 'readwrite', async (stores) => {
+        const [record] = await stores[conflict.store].getByIndex('uuid', conflict.uuid);
+        if (record) {
+          await stores[conflict.store].put({ ...record, [conflict.field]: value });
+        }
+        await stores.syncConflicts.delete(conflictId);
+      });
+
+      return {
+        success: true,
+        message: 'Conflict resolved'
+      };
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      return {
+        success: false,
+        message: 'Failed to resolve conflict'
+      };
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.SyncEngine = SyncEngine;
+}
+
+// The reference server (sync-server.js) reuses the merge rules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNC_CONFIG,
+    SYNC_STORE_RULES,
+    SyncMerge
+  };
+}
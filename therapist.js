@@ -37,36 +37,47 @@ class TherapistManager {
   // Connect user with therapist
   static async connectTherapist(userId, therapistId) {
     try {
-      // Check if connection already exists
-      const existingConnections = await mindspaceDB.getByIndex('userTherapists', 'userId', userId);
-      const alreadyConnected = existingConnections.some(conn => conn.therapistId === therapistId);
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      return await mindspaceDB.transaction(['therapists', 'userTherapists'], 'readwrite', async (stores) => {
+        if (!(await stores.therapists.get(therapistId))) {
+          return {
+            success: false,
+            message: 'Therapist not found'
+          };
+        }
 
-      if (alreadyConnected) {
-        return {
-          success: false,
-          message: 'You are already connected with this therapist'
-        };
-      }
+        // Check if connection already exists
+        const existing = await stores.userTherapists.getByIndex('userTherapist', [userId, therapistId]);
+        if (existing.length > 0) {
+          return {
+            success: false,
+            message: 'You are already connected with this therapist'
+          };
+        }
 
-      // Create connection
-      const connection = {
-        userId: userId,
-        therapistId: therapistId,
-        connectedDate: new Date().toISOString(),
-        status: 'active'
-      };
+        // Create connection
+        const connection = {
+          userId: userId,
+          therapistId: therapistId,
+          connectedDate: new Date().toISOString(),
+          status: 'active',
+          shareMoods: false // the client opts in per therapist
+        };
 
-      await mindspaceDB.add('userTherapists', connection);
+        await stores.userTherapists.add(connection);
 
-      return {
-        success: true,
-        message: 'Successfully connected with therapist'
-      };
+        return {
+          success: true,
+          message: 'Successfully connected with therapist'
+        };
+      });
     } catch (error) {
       console.error('Error connecting therapist:', error);
       return {
         success: false,
-        message: 'Failed to connect with therapist'
+        message: StorageFullError.describe(error, 'The connection', 'Failed to connect with therapist')
       };
     }
   }
@@ -74,27 +85,64 @@ class TherapistManager {
   // Disconnect from therapist
   static async disconnectTherapist(userId, therapistId) {
     try {
-      const connections = await mindspaceDB.getByIndex('userTherapists', 'userId', userId);
-      const connection = connections.find(conn => conn.therapistId === therapistId);
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
 
-      if (!connection) {
-        return {
-          success: false,
-          message: 'Connection not found'
-        };
-      }
+      return await mindspaceDB.transaction('userTherapists', 'readwrite', async ({ userTherapists }) => {
+        const [connection] = await userTherapists.getByIndex('userTherapist', [userId, therapistId]);
+
+        if (!connection) {
+          return {
+            success: false,
+            message: 'Connection not found'
+          };
+        }
 
-      await mindspaceDB.delete('userTherapists', connection.id);
+        await userTherapists.delete(connection.id);
 
+        return {
+          success: true,
+          message: 'Successfully disconnected from therapist'
+        };
+      });
+    } catch (error) {
+      console.error('Error disconnecting therapist:', error);
       return {
-        success: true,
-        message: 'Successfully disconnected from therapist'
+        success: false,
+        message: StorageFullError.describe(error, 'The change', 'Failed to disconnect from therapist')
       };
+    }
+  }
+
+  // Let a connected therapist see (or stop seeing) the user's mood entries
+  static async setMoodSharing(userId, therapistId, enabled) {
+    try {
+      const denied = await Access.requireSelf(userId);
+      if (denied) return denied;
+
+      return await mindspaceDB.transaction('userTherapists', 'readwrite', async ({ userTherapists }) => {
+        const [connection] = await userTherapists.getByIndex('userTherapist', [userId, therapistId]);
+
+        if (!connection || connection.status !== 'active') {
+          return {
+            success: false,
+            message: 'Connection not found'
+          };
+        }
+
+        connection.shareMoods = Boolean(enabled);
+        await userTherapists.put(connection);
+
+        return {
+          success: true,
+          message: enabled ? 'Mood entries shared with therapist' : 'Mood entries are no longer shared'
+        };
+      });
     } catch (error) {
-      console.error('Error disconnecting therapist:', error);
+      console.error('Error updating mood sharing:', error);
       return {
         success: false,
-        message: 'Failed to disconnect from therapist'
+        message: StorageFullError.describe(error, 'Your mood sharing setting', 'Failed to update mood sharing')
       };
     }
   }
@@ -102,6 +150,7 @@ class TherapistManager {
   // Get user's connected therapists
   static async getMyTherapists(userId) {
     try {
+      await Access.assertCanRead('profile', userId);
       const connections = await mindspaceDB.getByIndex('userTherapists', 'userId', userId);
       const therapists = [];
 
@@ -111,7 +160,8 @@ class TherapistManager {
           if (therapist) {
             therapists.push({
               ...therapist,
-              connectedDate: connection.connectedDate
+              connectedDate: connection.connectedDate,
+              shareMoods: Boolean(connection.shareMoods)
             });
           }
         }
@@ -140,42 +190,244 @@ class TherapistManager {
     }
   }
 
-  // Get therapist availability for booking
-  static async getTherapistAvailability(therapistId, date) {
+  // Get therapist availability for booking: open start times for a session of this length
+  static async getTherapistAvailability(therapistId, date, duration = SCHEDULE_CONFIG.defaultDuration) {
     try {
       const therapist = await mindspaceDB.get('therapists', therapistId);
       if (!therapist) return [];
 
-      const dayOfWeek = DateUtils.getDayOfWeek(date);
-      
-      // Check if therapist is available on this day
-      if (!therapist.availability.includes(dayOfWeek)) {
-        return [];
+      const dayAppointments = await mindspaceDB.getByIndex('appointments', 'therapistDate', [therapistId, date]);
+      return ScheduleUtils.getOpenSlots(therapist, date, dayAppointments, duration);
+    } catch (error) {
+      console.error('Error getting therapist availability:', error);
+      return [];
+    }
+  }
+
+  // Get a therapist's weekly working hours and upcoming time off
+  static async getSchedule(therapistId) {
+    try {
+      const therapist = await mindspaceDB.get('therapists', therapistId);
+      if (!therapist) return null;
+
+      const today = DateUtils.toDateKey();
+      return {
+        workingHours: ScheduleUtils.normalizeWorkingHours(ScheduleUtils.getWeeklyHours(therapist)),
+        timeOff: (therapist.timeOff || []).filter(entry => entry.to >= today),
+        timeZone: ScheduleUtils.getTimeZone(therapist)
+      };
+    } catch (error) {
+      console.error('Error getting therapist schedule:', error);
+      return null;
+    }
+  }
+
+  // Replace a therapist's weekly hours: { Monday: [{ start: '09:00', end: '12:00' }, ...], ... }
+  // Sessions already booked stay as they are
+  static async updateWorkingHours(therapistId, workingHours) {
+    try {
+      if (!Access.canManageTherapist(await Access.getActor(), therapistId)) {
+        return {
+          success: false,
+          message: 'You cannot change this therapist\'s hours'
+        };
       }
 
-      // Get existing appointments for this therapist on this date
-      const allAppointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
-      const dateAppointments = allAppointments.filter(apt => 
-        apt.date === date && apt.status !== 'cancelled'
-      );
+      const problem = ScheduleUtils.validateWorkingHours(workingHours);
+      if (problem) {
+        return {
+          success: false,
+          message: problem
+        };
+      }
 
-      // Generate all possible time slots (9 AM to 5 PM)
-      const allSlots = DateUtils.generateTimeSlots(9, 17, 50);
+      return await mindspaceDB.transaction('therapists', 'readwrite', async ({ therapists }) => {
+        const therapist = await therapists.get(therapistId);
+        if (!therapist) {
+          return {
+            success: false,
+            message: 'Therapist not found'
+          };
+        }
 
-      // Filter out booked slots
-      const bookedTimes = dateAppointments.map(apt => apt.time);
-      const availableSlots = allSlots.filter(slot => !bookedTimes.includes(slot));
+        therapist.workingHours = ScheduleUtils.normalizeWorkingHours(workingHours);
+        therapist.availability = ScheduleUtils.getWorkingDays(therapist);
+        await therapists.put(therapist);
 
-      return availableSlots;
+        return {
+          success: true,
+          message: 'Working hours saved'
+        };
+      });
     } catch (error) {
-      console.error('Error getting therapist availability:', error);
-      return [];
+      console.error('Error updating working hours:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'The working hours', 'Failed to save working hours')
+      };
+    }
+  }
+
+  // Block out whole days (from/to YYYY-MM-DD, inclusive) for a holiday or vacation.
+  // Sessions already booked then aren't cancelled; their number is returned in `affected`.
+  static async addTimeOff(therapistId, { from, to, reason = '' }) {
+    try {
+      if (!Access.canManageTherapist(await Access.getActor(), therapistId)) {
+        return {
+          success: false,
+          message: 'You cannot change this therapist\'s time off'
+        };
+      }
+
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+        return {
+          success: false,
+          message: 'Choose the first and last day of the time off'
+        };
+      }
+      if (to < from) {
+        return {
+          success: false,
+          message: 'The last day must not be before the first'
+        };
+      }
+
+      return await mindspaceDB.transaction(['therapists', 'appointments'], 'readwrite', async ({ therapists, appointments }) => {
+        const therapist = await therapists.get(therapistId);
+        if (!therapist) {
+          return {
+            success: false,
+            message: 'Therapist not found'
+          };
+        }
+
+        const entry = { id: crypto.randomUUID(), from, to, reason: reason.trim() };
+        therapist.timeOff = [...(therapist.timeOff || []), entry].sort((a, b) => a.from.localeCompare(b.from));
+        await therapists.put(therapist);
+
+        const booked = await appointments.query().index('therapistDate')
+          .between([therapistId, from], [therapistId, to])
+          .filter(apt => apt.status === 'confirmed')
+          .toArray();
+
+        return {
+          success: true,
+          timeOff: entry,
+          affected: booked.length,
+          message: booked.length > 0
+            ? `Time off added; ${booked.length} session(s) already booked then still need to be moved or cancelled`
+            : 'Time off added'
+        };
+      });
+    } catch (error) {
+      console.error('Error adding time off:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'The time off', 'Failed to add time off')
+      };
+    }
+  }
+
+  // Move a therapist to another IANA time zone. Working hours keep their wall-clock times in the
+  // new zone; booked sessions keep their instant, so their stored date and time are redone there.
+  static async setTimeZone(therapistId, timeZone) {
+    try {
+      if (!Access.canManageTherapist(await Access.getActor(), therapistId)) {
+        return {
+          success: false,
+          message: 'You cannot change this therapist\'s time zone'
+        };
+      }
+
+      if (!TimeZoneUtils.isValidZone(timeZone)) {
+        return {
+          success: false,
+          message: 'Choose a time zone from the list'
+        };
+      }
+
+      return await mindspaceDB.transaction(['therapists', 'appointments'], 'readwrite', async ({ therapists, appointments }) => {
+        const therapist = await therapists.get(therapistId);
+        if (!therapist) {
+          return {
+            success: false,
+            message: 'Therapist not found'
+          };
+        }
+
+        therapist.timeZone = timeZone;
+        await therapists.put(therapist);
+
+        for (const appointment of await appointments.getByIndex('therapistId', therapistId)) {
+          const start = TimeZoneUtils.getStart(appointment);
+          const wall = TimeZoneUtils.toWallTime(start, timeZone);
+          await appointments.put({
+            ...appointment,
+            date: wall.date,
+            time: wall.time,
+            startsAt: start.toISOString(),
+            timeZone: timeZone
+          });
+        }
+
+        return {
+          success: true,
+          message: 'Time zone saved'
+        };
+      });
+    } catch (error) {
+      console.error('Error setting time zone:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'The time zone', 'Failed to save the time zone')
+      };
+    }
+  }
+
+  // Remove a block of time off
+  static async removeTimeOff(therapistId, timeOffId) {
+    try {
+      if (!Access.canManageTherapist(await Access.getActor(), therapistId)) {
+        return {
+          success: false,
+          message: 'You cannot change this therapist\'s time off'
+        };
+      }
+
+      return await mindspaceDB.transaction('therapists', 'readwrite', async ({ therapists }) => {
+        const therapist = await therapists.get(therapistId);
+        if (!therapist || !(therapist.timeOff || []).some(entry => entry.id === timeOffId)) {
+          return {
+            success: false,
+            message: 'Time off not found'
+          };
+        }
+
+        therapist.timeOff = therapist.timeOff.filter(entry => entry.id !== timeOffId);
+        await therapists.put(therapist);
+
+        return {
+          success: true,
+          message: 'Time off removed'
+        };
+      });
+    } catch (error) {
+      console.error('Error removing time off:', error);
+      return {
+        success: false,
+        message: StorageFullError.describe(error, 'The change', 'Failed to remove time off')
+      };
     }
   }
 
   // Get therapist statistics
   static async getTherapistStats(therapistId) {
     try {
+      if (!Access.canManageTherapist(await Access.getActor(), therapistId)) {
+        throw new AccessDeniedError();
+      }
+
       // Get all appointments for this therapist
       const appointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
       
@@ -189,10 +441,9 @@ class TherapistManager {
       ).length;
 
       // Calculate upcoming appointments
-      const upcomingAppointments = appointments.filter(apt => {
-        const aptDate = new Date(apt.date + ' ' + apt.time);
-        return aptDate > new Date() && apt.status !== 'cancelled';
-      }).length;
+      const upcomingAppointments = appointments.filter(apt =>
+        isFutureAppointment(apt) && apt.status !== 'cancelled'
+      ).length;
 
       return {
         totalPatients: activeConnections.length,
@@ -211,6 +462,74 @@ class TherapistManager {
     }
   }
 
+  // Get a therapist's clients: active connections and anyone who booked with them
+  static async getClients(therapistId) {
+    try {
+      const actor = await Access.getActor();
+      if (!Access.canManageTherapist(actor, therapistId)) {
+        throw new AccessDeniedError();
+      }
+
+      const connections = await mindspaceDB.getByIndex('userTherapists', 'therapistId', therapistId);
+      const appointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
+
+      const clientIds = new Set([
+        ...connections.filter(conn => conn.status === 'active').map(conn => conn.userId),
+        ...appointments.filter(apt => apt.userId).map(apt => apt.userId)
+      ]);
+
+      const clients = [];
+      for (const clientId of clientIds) {
+        const user = await mindspaceDB.get('users', clientId);
+        if (!user || user.deletedAt) continue;
+
+        const connection = connections.find(conn =>
+          conn.userId === clientId && conn.status === 'active'
+        );
+        clients.push({
+          id: user.id,
+          fullName: user.fullName,
+          email: user.email,
+          profileImage: user.profileImage,
+          connected: Boolean(connection),
+          shareMoods: Boolean(connection && connection.shareMoods),
+          sessions: appointments.filter(apt => apt.userId === clientId).length
+        });
+      }
+
+      return clients.sort((a, b) => a.fullName.localeCompare(b.fullName));
+    } catch (error) {
+      console.error('Error getting clients:', error);
+      return [];
+    }
+  }
+
+  // Get all appointments booked with a therapist, with client names and without private notes
+  static async getTherapistAppointments(therapistId) {
+    try {
+      const actor = await Access.getActor();
+      if (!Access.canManageTherapist(actor, therapistId)) {
+        throw new AccessDeniedError();
+      }
+
+      const appointments = await mindspaceDB.getByIndex('appointments', 'therapistId', therapistId);
+      const result = [];
+
+      for (const apt of Access.redactAll('appointments', appointments, actor)) {
+        const client = apt.userId ? await mindspaceDB.get('users', apt.userId) : null;
+        result.push({
+          ...apt,
+          clientName: client ? client.fullName : 'Former client'
+        });
+      }
+
+      return result.sort((a, b) => TimeZoneUtils.getStart(a) - TimeZoneUtils.getStart(b));
+    } catch (error) {
+      console.error('Error getting therapist appointments:', error);
+      return [];
+    }
+  }
+
   // Search therapists
   static async searchTherapists(query) {
     try {
@@ -231,6 +550,8 @@ class TherapistManager {
   // Get recommended therapists based on user's mood patterns
   static async getRecommendedTherapists(userId) {
     try {
+      await Access.assertCanRead('moods', userId);
+
       // Get user's recent moods
       const moods = await mindspaceDB.getByIndex('moods', 'userId', userId);
       
@@ -298,11 +619,12 @@ class TherapistManager {
   // Get user's appointment history with therapist
   static async getAppointmentHistory(userId, therapistId) {
     try {
+      const actor = await Access.assertCanRead('appointments', userId);
       const allAppointments = await mindspaceDB.getByIndex('appointments', 'userId', userId);
       
-      return allAppointments
-        .filter(apt => apt.therapistId === therapistId)
-        .sort((a, b) => new Date(b.date + ' ' + b.time) - new Date(a.date + ' ' + a.time));
+      return Access.redactAll('appointments', allAppointments, actor)
+        .filter(apt => apt.therapistId === therapistId && Access.canSeeAppointment(actor, apt))
+        .sort((a, b) => TimeZoneUtils.getStart(b) - TimeZoneUtils.getStart(a));
     } catch (error) {
       console.error('Error getting appointment history:', error);
       return [];
@@ -0,0 +1,363 @@
+// totp.js - TOTP Two-Factor Authentication (RFC 6238) for MindSpace
+
+// TOTP parameters (authenticator-app defaults)
+const TOTP_CONFIG = {
+  issuer: 'MindSpace',
+  digits: 6,
+  period: 30,          // seconds per code
+  window: 1,           // accept codes one step either side for clock drift
+  backupCodeCount: 10
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// TOTP primitives
+const TOTPUtils = {
+  // Encode bytes as RFC 4648 base32 (no padding)
+  base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  },
+
+  // Decode RFC 4648 base32 (spaces, padding and case ignored)
+  base32Decode(text) {
+    const clean = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(output);
+  },
+
+  // Generate a new 160-bit shared secret
+  generateSecret() {
+    return this.base32Encode(CryptoUtils.randomBytes(20));
+  },
+
+  // HOTP value for a counter (RFC 4226)
+  async hotp(secret, counter, digits = TOTP_CONFIG.digits) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      this.base32Decode(secret),
+      { name: 'HMAC', hash: 'SHA-1' },
+      false,
+      ['sign']
+    );
+
+    const message = new ArrayBuffer(8);
+    const view = new DataView(message);
+    view.setUint32(0, Math.floor(counter / 0x100000000));
+    view.setUint32(4, counter >>> 0);
+
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binary % Math.pow(10, digits)).toString().padStart(digits, '0');
+  },
+
+  // Time step for a moment in time
+  timeStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_CONFIG.period);
+  },
+
+  // Current TOTP code
+  async generate(secret, time = Date.now()) {
+    return this.hotp(secret, this.timeStep(time));
+  },
+
+  // Find the time step a code belongs to, within the drift window (null if none)
+  async verify(secret, code, time = Date.now()) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) return null;
+
+    const current = this.timeStep(time);
+    for (let step = current - TOTP_CONFIG.window; step <= current + TOTP_CONFIG.window; step++) {
+      const expected = await this.hotp(secret, step);
+      if (CryptoUtils.timingSafeEqual(expected, normalized)) return step;
+    }
+    return null;
+  },
+
+  // Build the otpauth:// URI scanned by authenticator apps
+  buildUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_CONFIG.issuer,
+      algorithm: 'SHA1',
+      digits: TOTP_CONFIG.digits,
+      period: TOTP_CONFIG.period
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  },
+
+  // Generate human-friendly one-time backup codes (e.g. 7KQ4-M2XD)
+  generateBackupCodes(count = TOTP_CONFIG.backupCodeCount) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const raw = this.base32Encode(CryptoUtils.randomBytes(5)).slice(0, 8);
+      codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    return codes;
+  },
+
+  // Normalize a backup code as typed by the user
+  normalizeBackupCode(code) {
+    return String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  }
+};
+
+class TwoFactor {
+  // Check if a user has two-factor authentication turned on
+  static isEnabled(user) {
+    return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  }
+
+  // Start enrollment: create a pending secret and its QR code
+  static async beginEnrollment(userId) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      if (this.isEnabled(user)) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        };
+      }
+
+      const secret = TOTPUtils.generateSecret();
+      user.twoFactor = { enabled: false, pendingSecret: secret };
+      await mindspaceDB.update('users', user);
+
+      const uri = TOTPUtils.buildUri(secret, user.email);
+
+      return {
+        success: true,
+        secret: secret,
+        uri: uri,
+        qrSvg: QRCode.toSvg(uri)
+      };
+    } catch (error) {
+      console.error('Begin two-factor enrollment error:', error);
+      return {
+        success: false,
+        message: 'Failed to start two-factor setup'
+      };
+    }
+  }
+
+  // Finish enrollment once the user proves their app produces valid codes
+  static async confirmEnrollment(userId, code) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user || !user.twoFactor || !user.twoFactor.pendingSecret) {
+        return {
+          success: false,
+          message: 'Start two-factor setup first'
+        };
+      }
+
+      const secret = user.twoFactor.pendingSecret;
+      const step = await TOTPUtils.verify(secret, code);
+      if (step === null) {
+        return {
+          success: false,
+          message: 'That code is not valid. Check the time on your device and try again.'
+        };
+      }
+
+      const backupCodes = TOTPUtils.generateBackupCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret: secret,
+        lastUsedStep: step,
+        enabledAt: new Date().toISOString(),
+        backupCodes: await this.hashBackupCodes(backupCodes)
+      };
+      await mindspaceDB.update('users', user);
+      await SecurityLog.record(userId, 'two_factor_enabled');
+
+      return {
+        success: true,
+        backupCodes: backupCodes,
+        message: 'Two-factor authentication enabled'
+      };
+    } catch (error) {
+      console.error('Confirm two-factor enrollment error:', error);
+      return {
+        success: false,
+        message: 'Failed to enable two-factor authentication'
+      };
+    }
+  }
+
+  // Turn two-factor authentication off (requires password and a current code)
+  static async disable(userId, password, code) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user || !this.isEnabled(user)) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        };
+      }
+
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: 'Password is incorrect'
+        };
+      }
+
+      const result = await this.verifyLogin(user, code);
+      if (!result.valid) {
+        return {
+          success: false,
+          message: 'Authentication code is incorrect'
+        };
+      }
+
+      const updatedUser = await mindspaceDB.get('users', userId);
+      delete updatedUser.twoFactor;
+      await mindspaceDB.update('users', updatedUser);
+      await SecurityLog.record(userId, 'two_factor_disabled');
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled'
+      };
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      return {
+        success: false,
+        message: 'Failed to disable two-factor authentication'
+      };
+    }
+  }
+
+  // Replace all backup codes (requires a current code)
+  static async regenerateBackupCodes(userId, code) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user || !this.isEnabled(user)) {
+        return {
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        };
+      }
+
+      const result = await this.verifyLogin(user, code);
+      if (!result.valid) {
+        return {
+          success: false,
+          message: 'Authentication code is incorrect'
+        };
+      }
+
+      const backupCodes = TOTPUtils.generateBackupCodes();
+      const updatedUser = await mindspaceDB.get('users', userId);
+      updatedUser.twoFactor.backupCodes = await this.hashBackupCodes(backupCodes);
+      await mindspaceDB.update('users', updatedUser);
+
+      return {
+        success: true,
+        backupCodes: backupCodes,
+        message: 'New backup codes generated'
+      };
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error);
+      return {
+        success: false,
+        message: 'Failed to generate backup codes'
+      };
+    }
+  }
+
+  // Hash backup codes for storage
+  static async hashBackupCodes(codes) {
+    const records = [];
+    for (const code of codes) {
+      const record = await AuthUtils.createSecretRecord(
+        TOTPUtils.normalizeBackupCode(code),
+        AuthUtils.CODE_ITERATIONS
+      );
+      records.push({ ...record, usedAt: null });
+    }
+    return records;
+  }
+
+  // Count unused backup codes
+  static remainingBackupCodes(user) {
+    if (!this.isEnabled(user)) return 0;
+    return user.twoFactor.backupCodes.filter(c => !c.usedAt).length;
+  }
+
+  // Verify a TOTP or backup code during login
+  // Accepted codes are consumed (TOTP steps cannot be replayed, backup codes are single-use)
+  static async verifyLogin(user, code) {
+    if (!this.isEnabled(user)) return { valid: true };
+
+    const twoFactor = user.twoFactor;
+    const step = await TOTPUtils.verify(twoFactor.secret, code);
+    if (step !== null && step > (twoFactor.lastUsedStep || 0)) {
+      twoFactor.lastUsedStep = step;
+      await mindspaceDB.update('users', user);
+      return { valid: true, method: 'totp' };
+    }
+
+    const normalized = TOTPUtils.normalizeBackupCode(code);
+    if (normalized.length === 8) {
+      for (const backupCode of twoFactor.backupCodes) {
+        if (backupCode.usedAt) continue;
+        if (await AuthUtils.verifySecret(backupCode, normalized)) {
+          backupCode.usedAt = new Date().toISOString();
+          await mindspaceDB.update('users', user);
+          await SecurityLog.record(user.id, 'backup_code_used', {
+            remaining: this.remainingBackupCodes(user)
+          });
+          return { valid: true, method: 'backup' };
+        }
+      }
+    }
+
+    return { valid: false };
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.TwoFactor = TwoFactor;
+}
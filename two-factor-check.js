@@ -0,0 +1,82 @@
+// two-factor-check.js - Enroll in Two-Factor Authentication and Log In, Headless
+//
+// Registers an account in an in-memory database, turns on TOTP two-factor authentication
+// with codes computed here (as an authenticator app would), logs in with a code and a
+// backup code, and logs out:
+//
+//   node two-factor-check.js
+//
+// Prints one line per check and exits with 1 if any fail.
+
+const { createMindSpace } = require('./headless');
+
+const CHECK_ACCOUNT = {
+  username: 'two_factor_check',
+  email: 'two-factor-check@example.com',
+  fullName: 'Two Factor Check',
+  password: 'Quiet-Harbor-Lantern-42'
+};
+
+let failures = 0;
+
+function check(label, passed, detail = '') {
+  console.log(`${passed ? 'ok' : 'FAIL'} - ${label}${passed || !detail ? '' : ` (${detail})`}`);
+  if (!passed) failures++;
+}
+
+async function main() {
+  const app = await createMindSpace();
+  const { Auth, AuthUtils, TwoFactor, TOTPUtils } = app;
+  const period = 30 * 1000;
+
+  const registered = await Auth.register(CHECK_ACCOUNT);
+  check('registers the account', registered.success, registered.message);
+  const userId = registered.userId;
+
+  const enrollment = await TwoFactor.beginEnrollment(userId);
+  check('starts enrollment', enrollment.success, enrollment.message);
+  check('draws the QR code', String(enrollment.qrSvg).startsWith('<svg'));
+  check('gives an otpauth URI', String(enrollment.uri).startsWith('otpauth://totp/'));
+
+  const setupCode = await TOTPUtils.generate(enrollment.secret);
+  const wrongSetup = await TwoFactor.confirmEnrollment(userId, setupCode === '000000' ? '111111' : '000000');
+  check('refuses a wrong setup code', !wrongSetup.success);
+
+  const confirmed = await TwoFactor.confirmEnrollment(userId, setupCode);
+  check('enables two-factor with the current code', confirmed.success, confirmed.message);
+  check('issues backup codes', Array.isArray(confirmed.backupCodes) && confirmed.backupCodes.length > 0);
+
+  const passwordOnly = await Auth.login(CHECK_ACCOUNT.email, CHECK_ACCOUNT.password);
+  check('asks for a code after the password', !passwordOnly.success && passwordOnly.twoFactorRequired, passwordOnly.message);
+
+  // The setup code's time step is used up, so log in with the next one (inside the drift window)
+  const nextCode = await TOTPUtils.generate(enrollment.secret, Date.now() + period);
+  const withCode = await Auth.login(CHECK_ACCOUNT.email, CHECK_ACCOUNT.password, false, nextCode);
+  check('logs in with an authenticator code', withCode.success, withCode.message);
+
+  const replayed = await Auth.login(CHECK_ACCOUNT.email, CHECK_ACCOUNT.password, false, nextCode);
+  check('refuses the same code twice', !replayed.success, replayed.message);
+
+  const backupCode = confirmed.backupCodes[0];
+  const withBackup = await Auth.login(CHECK_ACCOUNT.email, CHECK_ACCOUNT.password, false, backupCode);
+  check('logs in with a backup code', withBackup.success, withBackup.message);
+
+  const backupAgain = await Auth.login(CHECK_ACCOUNT.email, CHECK_ACCOUNT.password, false, backupCode);
+  check('refuses a used backup code', !backupAgain.success, backupAgain.message);
+
+  check('lets the signed-in account through the auth guard', await Auth.requireAuth());
+  const loggedOut = await Auth.logout();
+  check('logs out', loggedOut.success, loggedOut.message);
+  check('ends the session', (await AuthUtils.getCurrentSession()) === null);
+  check('turns the auth guard away after logout', !(await Auth.requireAuth()));
+
+  console.log(failures === 0 ? 'All two-factor checks passed' : `${failures} two-factor check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Two-factor check error:', error);
+    process.exitCode = 1;
+  });
+}
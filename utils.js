@@ -40,6 +40,15 @@ const DateUtils = {
     return today.toDateString() === d.toDateString();
   },
 
+  // Local calendar date as stored on records (YYYY-MM-DD), optionally shifted by whole days
+  toDateKey(date = new Date(), offsetDays = 0) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + offsetDays);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+
   // Get date range for week
   getWeekRange(date = new Date()) {
     const d = new Date(date);
@@ -50,8 +59,8 @@ const DateUtils = {
     return { start, end };
   },
 
-  // Generate time slots
-  generateTimeSlots(startHour = 9, endHour = 17, duration = 50) {
+  // Generate time slots (every `step` minutes; back to back by default)
+  generateTimeSlots(startHour = 9, endHour = 17, duration = 50, step = duration) {
     const slots = [];
     let currentTime = startHour * 60; // Convert to minutes
     const endTime = endHour * 60;
@@ -61,13 +70,367 @@ const DateUtils = {
       const minutes = currentTime % 60;
       const time = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
       slots.push(time);
-      currentTime += duration;
+      currentTime += step;
     }
 
     return slots;
   }
 };
 
+// Time Zone Utilities: an appointment is anchored to a UTC instant (startsAt) and records the
+// therapist's IANA zone (timeZone); its date and time are the therapist's wall-clock time there,
+// which schedules and indexes use. Pages show it in the viewer's zone, and the therapist's too when they differ.
+const TimeZoneUtils = {
+  formatters: new Map(), // Intl formatters by zone, reused since creating one is slow
+
+  // The browser's IANA zone
+  getLocalZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+      return 'UTC';
+    }
+  },
+
+  // Check if a string names an IANA zone this browser knows
+  isValidZone(zone) {
+    if (typeof zone !== 'string' || !zone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Zones to offer in pickers (a short list where the browser can't enumerate them)
+  getZoneNames() {
+    if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('timeZone');
+    return ['UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+      'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+  },
+
+  getFormatter(zone) {
+    if (!this.formatters.has(zone)) {
+      this.formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }));
+    }
+    return this.formatters.get(zone);
+  },
+
+  // Wall-clock date (YYYY-MM-DD) and time (HH:MM) of an instant in a zone
+  toWallTime(instant, zone) {
+    const parts = {};
+    this.getFormatter(zone).formatToParts(new Date(instant)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour === '24' ? '00' : parts.hour}:${parts.minute}`
+    };
+  },
+
+  // Minutes a zone is ahead of UTC at an instant
+  getOffset(instant, zone) {
+    const wall = this.toWallTime(instant, zone);
+    const minute = Math.floor(new Date(instant).getTime() / 60000) * 60000;
+    return Math.round((Date.parse(`${wall.date}T${wall.time}:00Z`) - minute) / 60000);
+  },
+
+  // The instant a wall-clock date and time in a zone falls on. A time a clock change skips
+  // lands an hour off; existsIn tells those apart.
+  toInstant(date, time, zone) {
+    const wall = Date.parse(`${date}T${time}:00Z`);
+    const guess = wall - this.getOffset(wall, zone) * 60000;
+    return new Date(wall - this.getOffset(guess, zone) * 60000);
+  },
+
+  // Check if a wall-clock time happens in a zone on a date (false inside a spring-forward gap)
+  existsIn(date, time, zone) {
+    const wall = this.toWallTime(this.toInstant(date, time, zone), zone);
+    return wall.date === date && wall.time === time;
+  },
+
+  // When an appointment starts; rows from before startsAt was stored are read in their zone
+  getStart(appointment) {
+    if (appointment.startsAt) return new Date(appointment.startsAt);
+    return this.toInstant(appointment.date, appointment.time, appointment.timeZone || this.getLocalZone());
+  },
+
+  // Short zone name at an instant, e.g. "EST" or "GMT+1"
+  getZoneName(instant, zone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'short' })
+      .formatToParts(new Date(instant))
+      .find(p => p.type === 'timeZoneName');
+    return part ? part.value : zone;
+  },
+
+  // How an appointment reads for a viewer: date (YYYY-MM-DD) and time (HH:MM) in the viewer's zone,
+  // and the therapist's time, e.g. "16:00 CET" (with its date when that differs), or null when both clocks agree
+  describe(appointment, viewerZone = this.getLocalZone()) {
+    const start = this.getStart(appointment);
+    const local = this.toWallTime(start, viewerZone);
+    const zone = appointment.timeZone || viewerZone;
+    const therapist = this.toWallTime(start, zone);
+
+    let therapistTime = null;
+    if (therapist.date !== local.date || therapist.time !== local.time) {
+      const day = therapist.date !== local.date ? `${DateUtils.formatDateShort(`${therapist.date}T00:00:00`)} ` : '';
+      therapistTime = `${day}${therapist.time} ${this.getZoneName(start, zone)}`;
+    }
+
+    return { date: local.date, time: local.time, therapistTime };
+  },
+
+  // e.g. "January 7, 2030 at 10:00 (16:00 CET therapist's time)", read in the viewer's zone
+  formatAppointment(appointment, viewerZone = this.getLocalZone()) {
+    const when = this.describe(appointment, viewerZone);
+    const text = `${DateUtils.formatDate(`${when.date}T00:00:00`)} at ${when.time}`;
+    return when.therapistTime ? `${text} (${when.therapistTime} therapist's time)` : text;
+  }
+};
+
+// Therapist session scheduling
+const SCHEDULE_CONFIG = {
+  defaultHours: [{ start: '09:00', end: '17:00' }], // worked on each availability day by therapists without their own hours
+  slotIntervalMinutes: 30,  // offered start times, counted from the start of each range of working hours
+  defaultDuration: 50,      // for bookings saved without a duration
+  bufferMinutes: 10         // kept free after each session for notes and cleanup (a therapist's bufferMinutes overrides it)
+};
+
+// Days in the order working hours are listed
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Scheduling Utilities: the one availability engine behind booking, rescheduling and slot lists.
+// A therapist works weekly hour ranges per day (workingHours, e.g. split around a lunch break),
+// except on dated time off; sessions occupy their start time plus duration, followed by the therapist's buffer.
+const ScheduleUtils = {
+  // Minutes since midnight for an HH:MM time
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  },
+
+  // HH:MM for minutes since midnight
+  fromMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  },
+
+  // A therapist's weekly hours: { Monday: [{ start: '09:00', end: '12:00' }, ...], ... }
+  // Records without their own hours work the default hours on each of their availability days
+  getWeeklyHours(therapist) {
+    if (therapist.workingHours) return therapist.workingHours;
+
+    const hours = {};
+    (therapist.availability || []).forEach(day => {
+      hours[day] = SCHEDULE_CONFIG.defaultHours;
+    });
+    return hours;
+  },
+
+  // The IANA zone a therapist's hours are in (records from before zones were stored use this browser's)
+  getTimeZone(therapist) {
+    return (therapist && therapist.timeZone) || TimeZoneUtils.getLocalZone();
+  },
+
+  // Fields anchoring a session at a therapist's wall-clock date and time: { startsAt (ISO), timeZone }
+  getAnchor(therapist, date, time) {
+    const timeZone = this.getTimeZone(therapist);
+    return { startsAt: TimeZoneUtils.toInstant(date, time, timeZone).toISOString(), timeZone };
+  },
+
+  // Days a therapist has working hours on, Monday first
+  getWorkingDays(therapist) {
+    const hours = this.getWeeklyHours(therapist);
+    return WEEKDAYS.filter(day => (hours[day] || []).length > 0);
+  },
+
+  // The time off ({ id, from, to, reason }, dates inclusive) covering a date, if any
+  getTimeOff(therapist, date) {
+    return (therapist.timeOff || []).find(entry => entry.from <= date && date <= entry.to) || null;
+  },
+
+  // Why a therapist sees no one on a date (null when they work that day)
+  getDayProblem(therapist, date) {
+    if (!therapist) return 'Therapist not found';
+
+    const timeOff = this.getTimeOff(therapist, date);
+    if (timeOff) {
+      return timeOff.reason ? `The therapist is away (${timeOff.reason})` : 'The therapist is away';
+    }
+
+    const day = DateUtils.getDayOfWeek(`${date}T00:00:00`);
+    if ((this.getWeeklyHours(therapist)[day] || []).length === 0) {
+      return `The therapist doesn't work on ${day}s`;
+    }
+    return null;
+  },
+
+  // Ranges a therapist works on a date, in minutes since midnight: [{ start, end }]
+  getWorkingRanges(therapist, date) {
+    if (this.getDayProblem(therapist, date)) return [];
+
+    const day = DateUtils.getDayOfWeek(`${date}T00:00:00`);
+    return this.getWeeklyHours(therapist)[day].map(range => ({
+      start: this.toMinutes(range.start),
+      end: this.toMinutes(range.end)
+    }));
+  },
+
+  // Why weekly hours can't be saved (null when they can): HH:MM ranges that end after they
+  // start and don't overlap another range on the same day
+  validateWorkingHours(workingHours) {
+    if (!workingHours || typeof workingHours !== 'object') return 'Working hours are missing';
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    for (const [day, ranges] of Object.entries(workingHours)) {
+      if (!WEEKDAYS.includes(day)) return `Unknown day "${day}"`;
+      if (!Array.isArray(ranges)) return `${day}: hours must be a list of ranges`;
+      if (ranges.some(range => !range || !timePattern.test(range.start) || !timePattern.test(range.end))) {
+        return `${day}: times must be HH:MM, e.g. 09:00-12:00`;
+      }
+
+      const sorted = [...ranges].sort((a, b) => this.toMinutes(a.start) - this.toMinutes(b.start));
+      for (let i = 0; i < sorted.length; i++) {
+        if (this.toMinutes(sorted[i].end) <= this.toMinutes(sorted[i].start)) {
+          return `${day}: ${this.formatHours([sorted[i]])} ends before it starts`;
+        }
+        if (i > 0 && this.toMinutes(sorted[i].start) < this.toMinutes(sorted[i - 1].end)) {
+          return `${day}: ${this.formatHours([sorted[i - 1]])} overlaps ${this.formatHours([sorted[i]])}`;
+        }
+      }
+    }
+    return null;
+  },
+
+  // Valid weekly hours as stored: days Monday first, only days with hours, ranges in order
+  normalizeWorkingHours(workingHours) {
+    const normalized = {};
+    WEEKDAYS.forEach(day => {
+      const ranges = workingHours[day] || [];
+      if (ranges.length === 0) return;
+      normalized[day] = ranges
+        .map(range => ({ start: range.start, end: range.end }))
+        .sort((a, b) => this.toMinutes(a.start) - this.toMinutes(b.start));
+    });
+    return normalized;
+  },
+
+  // Ranges typed as "09:00-12:00, 13:00-17:00" (blank for a day off); validate the result
+  parseHours(text) {
+    const padTime = time => (time || '').trim().padStart(5, '0');
+    return text.split(',')
+      .map(part => part.trim())
+      .filter(part => part)
+      .map(part => {
+        const [start, end] = part.split(/\s*[-–]\s*/);
+        return { start: padTime(start), end: padTime(end) };
+      });
+  },
+
+  // e.g. "09:00–12:00, 13:00–17:00"
+  formatHours(ranges) {
+    return ranges.map(range => `${range.start}–${range.end}`).join(', ');
+  },
+
+  // One line per working day, e.g. ["Mon 09:00–12:00, 13:00–17:00", ...]
+  describeWeek(therapist) {
+    const hours = this.getWeeklyHours(therapist);
+    return this.getWorkingDays(therapist).map(day => `${day.slice(0, 3)} ${this.formatHours(hours[day])}`);
+  },
+
+  // Length of a booking in minutes
+  getDuration(appointment) {
+    return appointment.duration || SCHEDULE_CONFIG.defaultDuration;
+  },
+
+  // Minutes a therapist keeps free after each session
+  getBuffer(therapist) {
+    return therapist && Number.isInteger(therapist.bufferMinutes) ? therapist.bufferMinutes : SCHEDULE_CONFIG.bufferMinutes;
+  },
+
+  // Check if two sessions on the same day overlap once a buffer follows each
+  overlaps(startA, durationA, startB, durationB, bufferMinutes = 0) {
+    return startA < startB + durationB + bufferMinutes && startB < startA + durationA + bufferMinutes;
+  },
+
+  // The booking a session would collide with, if any: cancelled ones don't count and
+  // ignoreId skips an appointment being moved
+  findConflict(appointments, date, time, duration, { ignoreId = null, bufferMinutes = SCHEDULE_CONFIG.bufferMinutes } = {}) {
+    const start = this.toMinutes(time);
+    return appointments.find(apt =>
+      apt.id !== ignoreId &&
+      apt.date === date &&
+      apt.status !== 'cancelled' &&
+      this.overlaps(start, duration, this.toMinutes(apt.time), this.getDuration(apt), bufferMinutes)
+    ) || null;
+  },
+
+  // The client's own session a new one (starting at the instant `start`) would collide with.
+  // Compared by instant, since a client's therapists can be in different zones.
+  findClientConflict(appointments, start, duration, { ignoreId = null } = {}) {
+    const startMinutes = start.getTime() / 60000;
+    return appointments.find(apt =>
+      apt.id !== ignoreId &&
+      apt.status !== 'cancelled' &&
+      this.overlaps(startMinutes, duration, TimeZoneUtils.getStart(apt).getTime() / 60000, this.getDuration(apt))
+    ) || null;
+  },
+
+  // The busy time from the client's imported calendars (see calendar.js) a session starting at
+  // the instant `start` would overlap
+  findBusyEvent(events, start, duration) {
+    const from = start.getTime();
+    const to = from + duration * 60000;
+    return events.find(event => Date.parse(event.start) < to && from < Date.parse(event.end)) || null;
+  },
+
+  // Why a session can't start at a time with a therapist, given their bookings that day (null when it can)
+  getSlotProblem(therapist, date, time, duration, appointments, { ignoreId = null } = {}) {
+    const dayProblem = this.getDayProblem(therapist, date);
+    if (dayProblem) return dayProblem;
+
+    // The whole session falls within one range, so it never runs into a break
+    const start = this.toMinutes(time);
+    if (!this.getWorkingRanges(therapist, date).some(range => start >= range.start && start + duration <= range.end)) {
+      return 'Outside the therapist\'s working hours';
+    }
+
+    if (!TimeZoneUtils.existsIn(date, time, this.getTimeZone(therapist))) {
+      return 'The clocks change at this time';
+    }
+
+    if (this.findConflict(appointments, date, time, duration, { ignoreId, bufferMinutes: this.getBuffer(therapist) })) {
+      return 'The therapist is already booked at this time';
+    }
+    return null;
+  },
+
+  // Start times open for a session of this length with a therapist, given their bookings that day
+  getOpenSlots(therapist, date, appointments, duration = SCHEDULE_CONFIG.defaultDuration, { ignoreId = null } = {}) {
+    const bufferMinutes = this.getBuffer(therapist);
+    const slots = [];
+
+    this.getWorkingRanges(therapist, date).forEach(range => {
+      for (let start = range.start; start + duration <= range.end; start += SCHEDULE_CONFIG.slotIntervalMinutes) {
+        const time = this.fromMinutes(start);
+        if (!this.findConflict(appointments, date, time, duration, { ignoreId, bufferMinutes }) &&
+            TimeZoneUtils.existsIn(date, time, this.getTimeZone(therapist))) {
+          slots.push(time);
+        }
+      }
+    });
+    return slots;
+  }
+};
+
 // Validation Utilities
 const ValidationUtils = {
   // Validate email
@@ -76,9 +439,9 @@ const ValidationUtils = {
     return emailRegex.test(email);
   },
 
-  // Validate password (min 6 characters, at least 1 number)
-  isValidPassword(password) {
-    return password.length >= 6 && /\d/.test(password);
+  // Validate password against the password policy (see password-policy.js)
+  isValidPassword(password, context = {}) {
+    return PasswordPolicy.evaluate(password, context).valid;
   },
 
   // Validate phone number
@@ -159,54 +522,299 @@ const UIUtils = {
   // Confirm dialog
   confirm(message) {
     return window.confirm(message);
+  },
+
+  // Escape text for use inside innerHTML templates
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  // Render the sidebar account switcher for accounts signed in on this device
+  async renderAccountSwitcher(elementId) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    const currentSession = await AuthUtils.getCurrentSession();
+    const sessions = await AuthUtils.getAccountSessions();
+
+    element.innerHTML = `
+      <label for="accountSelect" class="account-switcher-label">Signed in as</label>
+      <select id="accountSelect" class="account-select">
+        ${sessions.map(session => `
+          <option value="${session.userId}" ${currentSession && session.userId === currentSession.userId ? 'selected' : ''}>
+            ${UIUtils.escapeHtml(session.fullName)}
+          </option>
+        `).join('')}
+        <option value="add">+ Add another account</option>
+      </select>
+    `;
+
+    element.querySelector('select').addEventListener('change', async (e) => {
+      if (e.target.value === 'add') {
+        window.location.href = 'login.html?addAccount=1';
+        return;
+      }
+
+      if (await AuthUtils.switchAccount(Number(e.target.value))) {
+        window.location.reload();
+      }
+    });
+  }
+};
+
+// Crypto Utilities (WebCrypto)
+const CryptoUtils = {
+  // Generate cryptographically secure random bytes
+  randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  },
+
+  // Encode bytes as base64
+  toBase64(bytes) {
+    const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i++) {
+      binary += String.fromCharCode(view[i]);
+    }
+    return btoa(binary);
+  },
+
+  // Decode base64 to bytes
+  fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  // Derive bits from a password with PBKDF2-SHA256
+  async pbkdf2(password, salt, iterations, length = 256) {
+    const keyMaterial = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      keyMaterial,
+      length
+    );
+    return new Uint8Array(bits);
+  },
+
+  // Compare two strings without leaking where they differ
+  timingSafeEqual(a, b) {
+    const left = String(a);
+    const right = String(b);
+    let diff = left.length ^ right.length;
+    const length = Math.max(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+      diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+    }
+    return diff === 0;
   }
 };
 
 // Authentication Utilities
 const AuthUtils = {
+  // PBKDF2 work factor for new and upgraded password hashes
+  PASSWORD_ITERATIONS: 310000,
+
+  // Lighter work factor for random, high-entropy one-time codes
+  CODE_ITERATIONS: 10000,
+
+  // Storage keys for session tokens
+  // The tab's active token lives in sessionStorage; remember-me tokens are
+  // also kept in localStorage so new tabs and the account switcher find them
+  SESSION_TOKEN_KEY: 'mindspace_session',
+  REMEMBERED_TOKENS_KEY: 'mindspace_accounts',
+
   // Generate session token
   generateToken() {
-    return Math.random().toString(36).substr(2) + Date.now().toString(36);
+    return CryptoUtils.toBase64(CryptoUtils.randomBytes(32))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
   },
 
-  // Hash password (simple hash - in production use bcrypt or similar)
-  hashPassword(password) {
-    // This is a simple hash for demo purposes
-    // In production, use a proper hashing library
-    let hash = 0;
-    for (let i = 0; i < password.length; i++) {
-      const char = password.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  // Hash password with PBKDF2-SHA256 (salt is base64)
+  async hashPassword(password, salt, iterations = this.PASSWORD_ITERATIONS) {
+    const hash = await CryptoUtils.pbkdf2(password, CryptoUtils.fromBase64(salt), iterations);
+    return CryptoUtils.toBase64(hash);
+  },
+
+  // Hash a secret (PIN, code) into a { hash, salt, iterations } record
+  async createSecretRecord(secret, iterations = this.PASSWORD_ITERATIONS) {
+    const salt = CryptoUtils.toBase64(CryptoUtils.randomBytes(16));
+    return {
+      hash: await this.hashPassword(secret, salt, iterations),
+      salt,
+      iterations
+    };
+  },
+
+  // Verify a secret against a record from createSecretRecord
+  async verifySecret(record, secret) {
+    if (!record || !record.hash) return false;
+    const hash = await this.hashPassword(secret, record.salt, record.iterations);
+    return CryptoUtils.timingSafeEqual(hash, record.hash);
+  },
+
+  // Create the password fields stored on a user record
+  async createPasswordRecord(password) {
+    const record = await this.createSecretRecord(password);
+    return {
+      passwordHash: record.hash,
+      passwordSalt: record.salt,
+      passwordIterations: record.iterations
+    };
+  },
+
+  // Verify a password against a user record
+  // needsUpgrade is set for legacy plaintext records and outdated work factors
+  async verifyPassword(user, password) {
+    if (!user.passwordHash) {
+      const valid = typeof user.password === 'string' &&
+        CryptoUtils.timingSafeEqual(user.password, password);
+      return { valid, needsUpgrade: valid };
     }
-    return hash.toString();
+
+    const hash = await this.hashPassword(password, user.passwordSalt, user.passwordIterations);
+    const valid = CryptoUtils.timingSafeEqual(hash, user.passwordHash);
+    return {
+      valid,
+      needsUpgrade: valid && user.passwordIterations < this.PASSWORD_ITERATIONS
+    };
+  },
+
+  // Get the session token held by this tab
+  // Falls back to the last remembered token so new tabs stay signed in
+  getSessionToken() {
+    return StorageUtils.getSession(this.SESSION_TOKEN_KEY) ||
+      StorageUtils.getLocal(this.SESSION_TOKEN_KEY);
+  },
+
+  // Make a token the active one for this tab
+  setSessionToken(token, rememberMe = false) {
+    StorageUtils.saveSession(this.SESSION_TOKEN_KEY, token);
+
+    if (rememberMe) {
+      StorageUtils.saveLocal(this.SESSION_TOKEN_KEY, token);
+      const remembered = this.getRememberedTokens();
+      if (!remembered.includes(token)) {
+        StorageUtils.saveLocal(this.REMEMBERED_TOKENS_KEY, [...remembered, token]);
+      }
+    }
+  },
+
+  // Forget a token in this tab and in remember-me storage
+  clearSessionToken(token) {
+    if (StorageUtils.getSession(this.SESSION_TOKEN_KEY) === token) {
+      StorageUtils.removeSession(this.SESSION_TOKEN_KEY);
+    }
+
+    const remembered = this.getRememberedTokens().filter(t => t !== token);
+    StorageUtils.saveLocal(this.REMEMBERED_TOKENS_KEY, remembered);
+
+    if (StorageUtils.getLocal(this.SESSION_TOKEN_KEY) === token) {
+      if (remembered.length > 0) {
+        StorageUtils.saveLocal(this.SESSION_TOKEN_KEY, remembered[remembered.length - 1]);
+      } else {
+        StorageUtils.removeLocal(this.SESSION_TOKEN_KEY);
+      }
+    }
+  },
+
+  // Get remember-me tokens stored on this device
+  getRememberedTokens() {
+    return StorageUtils.getLocal(this.REMEMBERED_TOKENS_KEY) || [];
+  },
+
+  // Look up a session row by token
+  async getSessionByToken(token) {
+    if (!token) return null;
+    const sessions = await mindspaceDB.getByIndex('sessions', 'token', token);
+    return sessions.length > 0 ? sessions[0] : null;
   },
 
   // Get current session
   async getCurrentSession() {
     try {
-      const sessions = await mindspaceDB.getAll('sessions');
-      return sessions.length > 0 ? sessions[0] : null;
+      const token = this.getSessionToken();
+      if (!token) return null;
+
+      const session = await this.getSessionByToken(token);
+      if (!session) {
+        // Token was revoked or replaced by a newer login
+        this.clearSessionToken(token);
+        return null;
+      }
+
+      return session;
     } catch (error) {
       console.error('Error getting session:', error);
       return null;
     }
   },
 
+  // Get every session this tab can switch to
+  async getAccountSessions() {
+    try {
+      const tokens = [...new Set([this.getSessionToken(), ...this.getRememberedTokens()])];
+      const sessions = [];
+
+      for (const token of tokens) {
+        const session = await this.getSessionByToken(token);
+        if (session) {
+          sessions.push(session);
+        } else if (token) {
+          this.clearSessionToken(token);
+        }
+      }
+
+      return sessions;
+    } catch (error) {
+      console.error('Error getting account sessions:', error);
+      return [];
+    }
+  },
+
+  // Switch this tab to another signed-in account
+  async switchAccount(userId) {
+    const sessions = await this.getAccountSessions();
+    const session = sessions.find(s => s.userId === userId);
+    if (!session) return false;
+
+    this.setSessionToken(session.token, session.rememberMe);
+    return true;
+  },
+
   // Check if user is logged in
   async isLoggedIn() {
     const session = await this.getCurrentSession();
     return session !== null;
   },
 
-  // Logout
+  // Logout (only the account active in this tab)
   async logout() {
     try {
-      const sessions = await mindspaceDB.getAll('sessions');
-      for (const session of sessions) {
+      const session = await this.getCurrentSession();
+      if (session) {
         await mindspaceDB.delete('sessions', session.userId);
+        this.clearSessionToken(session.token);
+      }
+      if (typeof window !== 'undefined') {
+        window.location.href = 'index.html';
       }
-      window.location.href = 'index.html';
     } catch (error) {
       console.error('Logout error:', error);
     }
@@ -288,6 +896,35 @@ const StorageUtils = {
     } catch (error) {
       console.error('LocalStorage remove error:', error);
     }
+  },
+
+  // Save to sessionStorage (scoped to the current tab)
+  saveSession(key, value) {
+    try {
+      sessionStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.error('SessionStorage save error:', error);
+    }
+  },
+
+  // Get from sessionStorage
+  getSession(key) {
+    try {
+      const item = sessionStorage.getItem(key);
+      return item ? JSON.parse(item) : null;
+    } catch (error) {
+      console.error('SessionStorage get error:', error);
+      return null;
+    }
+  },
+
+  // Remove from sessionStorage
+  removeSession(key) {
+    try {
+      sessionStorage.removeItem(key);
+    } catch (error) {
+      console.error('SessionStorage remove error:', error);
+    }
   }
 };
 
@@ -295,8 +932,11 @@ const StorageUtils = {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     DateUtils,
+    TimeZoneUtils,
+    ScheduleUtils,
     ValidationUtils,
     UIUtils,
+    CryptoUtils,
     AuthUtils,
     MoodUtils,
     StorageUtils
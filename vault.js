@@ -0,0 +1,289 @@
+// vault.js - Passphrase-Encrypted Vault for Sensitive Fields in MindSpace
+
+// Fields encrypted per store while a user's vault is enabled
+const VAULT_FIELDS = {
+  users: ['emergencyContact'],
+  moods: ['notes'],
+  appointments: ['notes']
+};
+
+class Vault {
+  // Check if a user has enabled the vault
+  static isEnabled(user) {
+    return Boolean(user && user.vault && user.vault.enabled);
+  }
+
+  // Check if a field value is an encrypted envelope
+  static isSealed(value) {
+    return Boolean(value && typeof value === 'object' && value.__vault === 1);
+  }
+
+  // Derive the key-encryption key from the user's password
+  static async deriveWrappingKey(password, salt, iterations) {
+    const bits = await CryptoUtils.pbkdf2(password, CryptoUtils.fromBase64(salt), iterations);
+    return crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['wrapKey', 'unwrapKey']);
+  }
+
+  // Wrap the data key with a password (or recovery code), returning the vault record
+  static async wrapKey(dataKey, password, iterations = AuthUtils.PASSWORD_ITERATIONS) {
+    const salt = CryptoUtils.toBase64(CryptoUtils.randomBytes(16));
+    const iv = CryptoUtils.randomBytes(12);
+    const wrappingKey = await this.deriveWrappingKey(password, salt, iterations);
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+
+    return {
+      enabled: true,
+      wrappedKey: CryptoUtils.toBase64(wrapped),
+      wrapIv: CryptoUtils.toBase64(iv),
+      salt,
+      iterations
+    };
+  }
+
+  // Unwrap the data key from a vault record
+  // Only password changes need an extractable key (to re-wrap it)
+  static async unwrapKey(vault, password, extractable = false) {
+    const wrappingKey = await this.deriveWrappingKey(password, vault.salt, vault.iterations);
+    return crypto.subtle.unwrapKey(
+      'raw',
+      CryptoUtils.fromBase64(vault.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: CryptoUtils.fromBase64(vault.wrapIv) },
+      'AES-GCM',
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Unlock the vault for a user whose password has just been verified
+  static async unlock(user, password) {
+    if (!this.isEnabled(user)) return null;
+    return this.unwrapKey(user.vault, password);
+  }
+
+  // The existing data key wrapped under a new password (null without a vault); the caller stores it
+  // together with the new password. Records stay encrypted with the same data key, so nothing is re-encrypted
+  static async rewrap(user, currentPassword, newPassword) {
+    if (!this.isEnabled(user)) return null;
+    const dataKey = await this.unwrapKey(user.vault, currentPassword, true);
+    return this.wrapKey(dataKey, newPassword);
+  }
+
+  // Get the unlocked key held by the current session
+  static async getKey() {
+    const session = await AuthUtils.getCurrentSession();
+    return session && session.vaultKey ? session.vaultKey : null;
+  }
+
+  // Encrypt a single value into an envelope
+  static async encryptValue(key, value) {
+    const iv = CryptoUtils.randomBytes(12);
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return {
+      __vault: 1,
+      iv: CryptoUtils.toBase64(iv),
+      data: CryptoUtils.toBase64(ciphertext)
+    };
+  }
+
+  // Decrypt an envelope back into its value
+  static async decryptValue(key, envelope) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: CryptoUtils.fromBase64(envelope.iv) },
+      key,
+      CryptoUtils.fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  // Return a copy of a record with its designated fields encrypted
+  // Records are returned unchanged when no vault key is unlocked
+  static async seal(storeName, record, key) {
+    const fields = VAULT_FIELDS[storeName];
+    if (!fields || !record) return record;
+
+    const vaultKey = key !== undefined ? key : await this.getKey();
+    if (!vaultKey) return record;
+
+    const sealed = { ...record };
+    for (const field of fields) {
+      if (sealed[field] === undefined || this.isSealed(sealed[field])) continue;
+      sealed[field] = await this.encryptValue(vaultKey, sealed[field]);
+    }
+    return sealed;
+  }
+
+  // Return a copy of a record with its designated fields decrypted
+  // Fields stay sealed if the vault is locked or the key does not match
+  static async open(storeName, record, key) {
+    const fields = VAULT_FIELDS[storeName];
+    if (!fields || !record) return record;
+    if (!fields.some(field => this.isSealed(record[field]))) return record;
+
+    const vaultKey = key !== undefined ? key : await this.getKey();
+    if (!vaultKey) return record;
+
+    const opened = { ...record };
+    for (const field of fields) {
+      if (!this.isSealed(opened[field])) continue;
+      try {
+        opened[field] = await this.decryptValue(vaultKey, opened[field]);
+      } catch (error) {
+        console.error(`Vault could not decrypt ${storeName}.${field}:`, error);
+      }
+    }
+    return opened;
+  }
+
+  // Decrypt a list of records
+  static async openAll(storeName, records, key) {
+    const vaultKey = key !== undefined ? key : await this.getKey();
+    return Promise.all(records.map(record => this.open(storeName, record, vaultKey)));
+  }
+
+  // Encrypt or decrypt every existing record owned by a user
+  static async transformUserRecords(userId, key, mode) {
+    const transform = mode === 'seal' ? this.seal.bind(this) : this.open.bind(this);
+
+    const user = await mindspaceDB.get('users', userId);
+    await mindspaceDB.update('users', await transform('users', user, key));
+
+    for (const storeName of ['moods', 'appointments']) {
+      const records = await mindspaceDB.getByIndex(storeName, 'userId', userId);
+      for (const record of records) {
+        await mindspaceDB.update(storeName, await transform(storeName, record, key));
+      }
+    }
+  }
+
+  // Turn the vault on, encrypting existing sensitive fields
+  static async enable(userId, password) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user) {
+        return {
+          success: false,
+          message: 'User not found'
+        };
+      }
+
+      if (this.isEnabled(user)) {
+        return {
+          success: false,
+          message: 'Vault is already enabled'
+        };
+      }
+
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: 'Password is incorrect'
+        };
+      }
+
+      const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+      user.vault = await this.wrapKey(dataKey, password);
+
+      // Old recovery codes cannot open the new key, so issue codes that can
+      const recoveryCodes = await AccountRecovery.issueCodes(user, dataKey);
+      await mindspaceDB.update('users', user);
+      await SecurityLog.record(userId, 'recovery_codes_regenerated', { reason: 'vault_enabled' });
+
+      // Keep a non-extractable copy on the session for this login
+      const sessionKey = await this.unwrapKey(user.vault, password);
+      const session = await AuthUtils.getCurrentSession();
+      if (session && session.userId === userId) {
+        session.vaultKey = sessionKey;
+        await mindspaceDB.update('sessions', session);
+      }
+
+      await this.transformUserRecords(userId, sessionKey, 'seal');
+
+      return {
+        success: true,
+        recoveryCodes: recoveryCodes,
+        message: 'Vault enabled. Your notes and emergency contact are now encrypted.'
+      };
+    } catch (error) {
+      console.error('Enable vault error:', error);
+      return {
+        success: false,
+        message: 'Failed to enable vault'
+      };
+    }
+  }
+
+  // Drop the vault when its key can no longer be unwrapped (e.g. password reset without a key-wrapping recovery code)
+  // Encrypted fields are unreadable without the key, so they are cleared
+  static async discard(userId) {
+    const user = await mindspaceDB.get('users', userId);
+    if (this.isSealed(user.emergencyContact)) {
+      user.emergencyContact = null;
+    }
+    delete user.vault;
+    (user.recoveryCodes || []).forEach(code => delete code.vaultKey);
+    await mindspaceDB.update('users', user);
+
+    for (const storeName of ['moods', 'appointments']) {
+      const records = await mindspaceDB.getByIndex(storeName, 'userId', userId);
+      for (const record of records) {
+        if (!this.isSealed(record.notes)) continue;
+        record.notes = '';
+        await mindspaceDB.update(storeName, record);
+      }
+    }
+  }
+
+  // Turn the vault off, decrypting sensitive fields back to plain values
+  static async disable(userId, password) {
+    try {
+      const user = await mindspaceDB.get('users', userId);
+      if (!user || !this.isEnabled(user)) {
+        return {
+          success: false,
+          message: 'Vault is not enabled'
+        };
+      }
+
+      const verification = await AuthUtils.verifyPassword(user, password);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: 'Password is incorrect'
+        };
+      }
+
+      const dataKey = await this.unwrapKey(user.vault, password);
+      await this.transformUserRecords(userId, dataKey, 'open');
+
+      const updatedUser = await mindspaceDB.get('users', userId);
+      delete updatedUser.vault;
+      (updatedUser.recoveryCodes || []).forEach(code => delete code.vaultKey);
+      await mindspaceDB.update('users', updatedUser);
+
+      const session = await AuthUtils.getCurrentSession();
+      if (session && session.vaultKey) {
+        delete session.vaultKey;
+        await mindspaceDB.update('sessions', session);
+      }
+
+      return {
+        success: true,
+        message: 'Vault disabled'
+      };
+    } catch (error) {
+      console.error('Disable vault error:', error);
+      return {
+        success: false,
+        message: 'Failed to disable vault'
+      };
+    }
+  }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+  window.Vault = Vault;
+}